@@ -1,6 +1,6 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { glob } from 'glob';
+import { createFileIndex } from '../utils/file-index.js';
+import { createEvidence, withEvidence } from '../utils/evidence.js';
+import { registerAnalyzer } from './registry.js';
 
 /**
  * Analyzes API patterns and generates API-specific skills
@@ -13,48 +13,44 @@ export async function generateAPISkills(workspaceRoot, techStack, context) {
   const skills = [];
   
   try {
+    const files = context?.files ?? await createFileIndex(workspaceRoot);
+    const evidence = createEvidence();
+    
     // Find API files
-    const apiFiles = await glob('**/*{api,route,endpoint,controller}*.{js,ts,py,java,go}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const apiFiles = files.match('**/*{api,route,endpoint,controller}*.{js,ts,py,java,go}');
     
     // Check for REST patterns
     let hasREST = false;
     let hasGraphQL = false;
     
     for (const file of apiFiles.slice(0, 20)) {
-      try {
-        const content = await fs.readFile(path.join(workspaceRoot, file), 'utf-8');
-        if (content.includes('GET') || content.includes('POST') || content.includes('PUT') || content.includes('DELETE')) {
-          hasREST = true;
-        }
-        if (content.includes('graphql') || content.includes('GraphQL') || content.includes('gql`')) {
-          hasGraphQL = true;
-        }
-      } catch (e) {
-        // Skip
+      const content = await files.read(file);
+      if (content === null) continue;
+      if (evidence.scan('api/rest', file, content, ['GET', 'POST', 'PUT', 'DELETE'])) {
+        hasREST = true;
+      }
+      if (evidence.scan('api/graphql', file, content, ['graphql', 'GraphQL', 'gql`'])) {
+        hasGraphQL = true;
       }
     }
+    // API-like file names without HTTP verbs are a weaker signal
+    evidence.add('api/rest', apiFiles, { confidence: 'low' });
+    await evidence.scanDependencies('api/graphql', files, ['apollo-server', 'graphql', '@apollo/server']);
     
     // Check package.json for API libraries
-    try {
-      const packageJson = JSON.parse(
-        await fs.readFile(path.join(workspaceRoot, 'package.json'), 'utf-8')
-      );
+    const packageJson = await files.readJson('package.json');
+    if (packageJson) {
       const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
       if (deps['apollo-server'] || deps['graphql'] || deps['@apollo/server']) {
         hasGraphQL = true;
       }
-    } catch (e) {
-      // No package.json
     }
     
     const apiGuidelines = [];
     
     // REST API guidelines
     if (hasREST || apiFiles.length > 0) {
-      apiGuidelines.push(
+      apiGuidelines.push(...withEvidence([
         'Use proper HTTP methods: GET for retrieval, POST for creation, PUT for updates, DELETE for removal',
         'Use RESTful URL patterns: /resources/:id for specific resources',
         'Return appropriate HTTP status codes: 200 OK, 201 Created, 400 Bad Request, 404 Not Found, 500 Server Error',
@@ -70,12 +66,12 @@ export async function generateAPISkills(workspaceRoot, techStack, context) {
         'Return consistent response formats',
         'Document APIs with OpenAPI/Swagger',
         'Use proper HTTP caching headers when appropriate'
-      );
+      ], evidence.get('api/rest')));
     }
     
     // GraphQL guidelines
     if (hasGraphQL) {
-      apiGuidelines.push(
+      apiGuidelines.push(...withEvidence([
         'Design GraphQL schema thoughtfully',
         'Use DataLoader to prevent N+1 query problems',
         'Implement proper error handling in resolvers',
@@ -87,7 +83,7 @@ export async function generateAPISkills(workspaceRoot, techStack, context) {
         'Implement proper pagination with connections pattern',
         'Document schema with descriptions',
         'Use GraphQL Playground or GraphiQL for development'
-      );
+      ], evidence.get('api/graphql')));
     }
     
     // General API guidelines
@@ -129,3 +125,12 @@ export async function generateAPISkills(workspaceRoot, techStack, context) {
   
   return skills;
 }
+
+registerAnalyzer({
+  name: 'api',
+  displayName: 'API Analyzer',
+  category: 'api',
+  inputs: ['**/*.{js,ts,py,java,go}', 'package.json'],
+  appliesTo: () => true,
+  analyze: generateAPISkills
+});
@@ -1,6 +1,12 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { glob } from 'glob';
+import { createFileIndex } from '../utils/file-index.js';
+import { createEvidence, withEvidence } from '../utils/evidence.js';
+import { findExamples } from '../utils/examples.js';
+import { PYTHON_MANIFESTS, dependencyPattern } from '../utils/python-project.js';
+import { GO_MANIFESTS, readGoModules, findModule } from '../utils/go-module.js';
+import { CARGO_MANIFESTS, readCargoManifests, cratePattern } from '../utils/cargo.js';
+import { JVM_MANIFESTS, VERSION_CATALOG, readJvmBuild, findDependency, findPlugin, declarationPattern } from '../utils/jvm-build.js';
+import { orderByLanguage } from '../utils/language-census.js';
+import { registerAnalyzer } from './registry.js';
 
 /**
  * Analyzes backend code and generates backend-specific skills
@@ -13,10 +19,16 @@ export async function generateBackendSkills(workspaceRoot, techStack, context) {
   const skills = [];
   
   try {
+    const files = context?.files ?? await createFileIndex(workspaceRoot);
+    const evidence = createEvidence();
+    
     // Find backend files
-    const backendFiles = await glob('**/*{server,api,route,controller,service}*.{js,ts,py,java,go}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/client/**', '**/frontend/**']
+    // JVM class files are PascalCase (UserController.java, OrderResource.kt)
+    const backendFiles = files.match([
+      '**/*{server,api,route,controller,service}*.{js,ts,py,java,kt,go,rs}',
+      '**/*{Server,Controller,Service,Resource}*.{java,kt}'
+    ], {
+      ignore: ['**/client/**', '**/frontend/**']
     });
     
     if (backendFiles.length === 0) {
@@ -25,22 +37,64 @@ export async function generateBackendSkills(workspaceRoot, techStack, context) {
     }
     
     // Check for API patterns
-    const apiFiles = await glob('**/*{api,route,endpoint}*.{js,ts,py,java,go}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const apiFiles = files.match('**/*{api,route,endpoint}*.{js,ts,py,java,kt,go,rs}');
     
     // Check for middleware usage
-    const middlewareFiles = await glob('**/*{middleware,interceptor}*.{js,ts,py,java,go}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const middlewareFiles = files.match('**/*{middleware,interceptor}*.{js,ts,py,java,kt,go,rs}');
+    
+    // Framework guidelines cite the dependency that declares the framework
+    const pythonManifests = files.match(PYTHON_MANIFESTS);
+    const pythonRule = (rule, pattern) =>
+      evidence.scanFiles(rule, files, pythonManifests, pattern, { confidence: 'medium' });
+    await evidence.scanDependencies('backend/node-framework', files, ['express', '@nestjs/core', 'fastify', 'koa']);
+    await evidence.scanDependencies('backend/express', files, 'express');
+    await evidence.scanDependencies('backend/nestjs', files, '@nestjs/core');
+    await pythonRule('backend/django', dependencyPattern('django'));
+    await pythonRule('backend/flask', dependencyPattern('flask'));
+    await pythonRule('backend/fastapi', dependencyPattern('fastapi'));
+    evidence.add('backend/python', pythonManifests);
+    const jvmBuild = await readJvmBuild(files);
+    const jvmRule = async (rule, dependencies, plugins = []) => {
+      const declared = findDependency(jvmBuild, ...dependencies) ?? findPlugin(jvmBuild, ...plugins);
+      if (declared) await evidence.scanFiles(rule, files, [declared.file], declarationPattern(declared), { confidence: 'medium' });
+    };
+    await jvmRule('backend/spring-boot', ['org.springframework.boot:*'], ['org.springframework.boot']);
+    await jvmRule('backend/quarkus', ['io.quarkus:*', 'io.quarkus.platform:*'], ['io.quarkus']);
+    await jvmRule('backend/micronaut', ['io.micronaut*:*'], ['io.micronaut.*']);
+    await jvmRule('backend/kotlin', ['org.jetbrains.kotlin:*'], ['org.jetbrains.kotlin*', 'kotlin']);
+    evidence.add('backend/java', jvmBuild?.manifests ?? []);
+    const goModules = await readGoModules(files);
+    const goRule = async (rule, modulePath) => {
+      const required = findModule(goModules, modulePath);
+      if (required) await evidence.scanFiles(rule, files, [required.file], required.path, { confidence: 'medium' });
+    };
+    await goRule('backend/gin', 'github.com/gin-gonic/gin');
+    await goRule('backend/echo', 'github.com/labstack/echo');
+    await goRule('backend/fiber', 'github.com/gofiber/fiber');
+    await goRule('backend/chi', 'github.com/go-chi/chi');
+    evidence.add('backend/go', goModules?.manifests ?? []);
+    const cargo = await readCargoManifests(files);
+    const crateRule = async (rule, crate) => {
+      const dependency = cargo?.dependencies.get(crate);
+      if (dependency) await evidence.scanFiles(rule, files, [dependency.file], cratePattern(crate), { confidence: 'medium' });
+    };
+    await crateRule('backend/actix-web', 'actix-web');
+    await crateRule('backend/axum', 'axum');
+    await crateRule('backend/rocket', 'rocket');
+    await crateRule('backend/tokio', 'tokio');
+    evidence.add('backend/rust', cargo?.manifests ?? []);
+    evidence.add('backend/backend-files', backendFiles, { confidence: 'low' });
+    evidence.add('backend/middleware-files', middlewareFiles, { confidence: 'low' });
     
     const backendGuidelines = [];
     
+    // Ecosystem guidance, ordered by how much code each language has
+    const sections = [];
+    
     // Node.js/Express backend
     if (techStack.hasNode && techStack.frameworks.some(f => ['Express', 'NestJS', 'Fastify', 'Koa'].includes(f))) {
-      backendGuidelines.push(
+      const nodeGuidelines = [];
+      nodeGuidelines.push(...withEvidence([
         'Use async/await for all async operations',
         'Implement proper error handling middleware',
         'Validate request data using libraries like Joi or Zod',
@@ -51,87 +105,134 @@ export async function generateBackendSkills(workspaceRoot, techStack, context) {
         'Use compression middleware for responses',
         'Structure routes logically and use route modules',
         'Implement proper CORS configuration'
-      );
+      ], evidence.get('backend/node-framework')));
       
       if (techStack.frameworks.includes('Express')) {
-        backendGuidelines.push(
+        nodeGuidelines.push(...withEvidence([
           'Use Express Router for organizing routes',
           'Separate route handlers from business logic',
           'Use middleware for cross-cutting concerns',
           'Implement proper error handling with error middleware'
-        );
+        ], evidence.get('backend/express')));
       }
       
       if (techStack.frameworks.includes('NestJS')) {
-        backendGuidelines.push(
+        nodeGuidelines.push(...withEvidence([
           'Use dependency injection with NestJS',
           'Organize code into modules, controllers, and services',
           'Use DTOs for data validation',
           'Implement guards for authentication and authorization',
           'Use interceptors for cross-cutting concerns',
           'Leverage NestJS decorators for clean code'
-        );
+        ], evidence.get('backend/nestjs')));
       }
+      
+      sections.push({ languages: ['JavaScript', 'TypeScript'], guidelines: nodeGuidelines });
     }
     
     // Python backend
     if (techStack.hasPython) {
-      backendGuidelines.push(
+      const pythonGuidelines = [];
+      pythonGuidelines.push(...withEvidence([
         'Use type hints for better code quality',
         'Implement proper exception handling',
         'Use virtual environments for dependency management',
         'Follow PEP 8 style guidelines',
         'Use async/await for I/O operations when using async frameworks'
-      );
+      ], evidence.get('backend/python')));
       
       if (techStack.frameworks.includes('Django')) {
-        backendGuidelines.push(
+        pythonGuidelines.push(...withEvidence([
           'Use Django REST Framework for APIs',
           'Follow Django best practices: apps, models, views',
           'Use Django middleware for cross-cutting concerns',
           'Implement proper model relationships and migrations',
           'Use Django signals sparingly',
           'Optimize database queries with select_related and prefetch_related'
-        );
+        ], evidence.get('backend/django')));
       }
       
       if (techStack.frameworks.includes('Flask')) {
-        backendGuidelines.push(
+        pythonGuidelines.push(...withEvidence([
           'Use Flask-RESTful or Flask-RESTX for APIs',
           'Organize code into blueprints',
           'Use Flask extensions for common functionality',
           'Implement proper error handling',
           'Use Flask-SQLAlchemy for database operations'
-        );
+        ], evidence.get('backend/flask')));
       }
       
       if (techStack.frameworks.includes('FastAPI')) {
-        backendGuidelines.push(
+        pythonGuidelines.push(...withEvidence([
           'Use Pydantic models for request/response validation',
           'Leverage FastAPI dependency injection',
           'Use async endpoints for I/O-bound operations',
           'Implement proper OpenAPI documentation',
           'Use background tasks for long-running operations'
-        );
+        ], evidence.get('backend/fastapi')));
       }
+      
+      sections.push({ languages: ['Python'], guidelines: pythonGuidelines });
     }
     
-    // Java backend
+    // Java and Kotlin backend
     if (techStack.hasJava) {
-      backendGuidelines.push(
-        'Follow Spring Boot best practices',
-        'Use dependency injection with Spring',
-        'Implement proper exception handling with @ControllerAdvice',
+      const jvmGuidelines = [];
+      jvmGuidelines.push(...withEvidence([
+        'Use constructor injection and keep injected fields final',
         'Use DTOs for API contracts',
         'Implement proper logging with SLF4J',
-        'Use Spring Data JPA for database operations',
         'Follow RESTful API design principles'
-      );
+      ], evidence.get('backend/java')));
+      
+      if (techStack.frameworks.includes('Spring Boot')) {
+        jvmGuidelines.push(...withEvidence([
+          'Follow Spring Boot best practices',
+          'Use dependency injection with Spring',
+          'Implement proper exception handling with @ControllerAdvice',
+          'Keep controllers thin; put business logic and @Transactional boundaries in services',
+          'Bind configuration to @ConfigurationProperties classes instead of scattered @Value fields',
+          ...(techStack.databases.includes('Hibernate') ? ['Use Spring Data JPA for database operations'] : [])
+        ], evidence.get('backend/spring-boot')));
+      }
+      
+      if (techStack.frameworks.includes('Quarkus')) {
+        jvmGuidelines.push(...withEvidence([
+          'Use CDI beans (@ApplicationScoped) with constructor injection',
+          'Map exceptions to responses with @ServerExceptionMapper',
+          'Read configuration through @ConfigMapping interfaces',
+          'Use Dev Services and continuous testing in dev mode',
+          'Keep code native-image friendly: register classes used through reflection'
+        ], evidence.get('backend/quarkus')));
+      }
+      
+      if (techStack.frameworks.includes('Micronaut')) {
+        jvmGuidelines.push(...withEvidence([
+          'Rely on compile-time dependency injection and avoid reflection-based libraries',
+          'Annotate DTOs with @Serdeable so they can be serialized without reflection',
+          'Bind configuration with @ConfigurationProperties',
+          'Handle errors with ExceptionHandler beans'
+        ], evidence.get('backend/micronaut')));
+      }
+      
+      if (techStack.hasKotlin) {
+        jvmGuidelines.push(...withEvidence([
+          'Use data classes for DTOs and prefer val over var',
+          'Use nullable types instead of Optional and avoid the !! operator',
+          'Use suspend functions and coroutines for asynchronous code',
+          ...(techStack.frameworks.includes('Spring Boot') || techStack.databases.includes('Hibernate')
+            ? ['Apply the kotlin-spring and kotlin-jpa compiler plugins so Spring and JPA can proxy and instantiate classes']
+            : [])
+        ], evidence.get('backend/kotlin')));
+      }
+      
+      sections.push({ languages: ['Java', 'Kotlin'], guidelines: jvmGuidelines });
     }
     
     // Go backend
     if (techStack.hasGo) {
-      backendGuidelines.push(
+      const goGuidelines = [];
+      goGuidelines.push(...withEvidence([
         'Follow Go idioms and conventions',
         'Use interfaces for abstraction',
         'Implement proper error handling (return errors, don\'t panic)',
@@ -140,11 +241,95 @@ export async function generateBackendSkills(workspaceRoot, techStack, context) {
         'Use go routines and channels appropriately',
         'Implement proper logging',
         'Use dependency injection patterns'
-      );
+      ], evidence.get('backend/go')));
+      
+      if (techStack.frameworks.includes('Gin')) {
+        goGuidelines.push(...withEvidence([
+          'Group routes with router.Group and attach middleware per group',
+          'Bind and validate request bodies with ShouldBindJSON and binding struct tags',
+          'Report handler errors with c.Error and turn them into responses in one middleware',
+          'Start from gin.New() with explicit Logger and Recovery middleware instead of gin.Default() in production'
+        ], evidence.get('backend/gin')));
+      }
+      
+      if (techStack.frameworks.includes('Echo')) {
+        goGuidelines.push(...withEvidence([
+          'Return errors from handlers and map them to responses in a custom HTTPErrorHandler',
+          'Bind requests with c.Bind and validate them with a registered Validator',
+          'Group routes with e.Group and attach middleware per group'
+        ], evidence.get('backend/echo')));
+      }
+      
+      if (techStack.frameworks.includes('Fiber')) {
+        goGuidelines.push(...withEvidence([
+          'Copy values from c.Params, c.Query and c.Body before using them outside the handler: Fiber reuses their memory',
+          'Group routes with app.Group and attach middleware per group',
+          'Map errors to responses in a custom ErrorHandler in fiber.Config'
+        ], evidence.get('backend/fiber')));
+      }
+      
+      if (techStack.frameworks.includes('chi')) {
+        goGuidelines.push(...withEvidence([
+          'Keep handlers as plain net/http handlers; chi only routes',
+          'Compose middleware with r.Use and r.With, and sub-routers with r.Route and r.Mount',
+          'Read path parameters with chi.URLParam'
+        ], evidence.get('backend/chi')));
+      }
+      
+      sections.push({ languages: ['Go'], guidelines: goGuidelines });
     }
     
+    // Rust backend
+    if (techStack.hasRust) {
+      const rustGuidelines = [];
+      rustGuidelines.push(...withEvidence([
+        'Return Result and propagate errors with ?; keep panics for bugs',
+        'Define error types with thiserror and map them to HTTP responses in one place',
+        'Share application state through the framework\'s state extractor instead of globals',
+        'Run cargo clippy and cargo fmt --check in CI'
+      ], evidence.get('backend/rust')));
+      
+      if (techStack.frameworks.includes('Tokio')) {
+        rustGuidelines.push(...withEvidence([
+          'Never block the async runtime: move blocking or CPU-heavy work to tokio::task::spawn_blocking',
+          'Bound calls to external services with tokio::time::timeout',
+          'Keep the JoinHandle of spawned tasks and handle their errors'
+        ], evidence.get('backend/tokio')));
+      }
+      
+      if (techStack.frameworks.includes('Actix Web')) {
+        rustGuidelines.push(...withEvidence([
+          'Extract request data with typed extractors (web::Json, web::Path, web::Query)',
+          'Share state with web::Data and register it on the App',
+          'Implement ResponseError for error types returned by handlers',
+          'Register each module\'s routes with App::configure'
+        ], evidence.get('backend/actix-web')));
+      }
+      
+      if (techStack.frameworks.includes('Axum')) {
+        rustGuidelines.push(...withEvidence([
+          'Take request data through typed extractors (Json, Path, Query, State) in handler signatures',
+          'Implement IntoResponse for the error type so handlers can return Result',
+          'Add cross-cutting behaviour as tower layers such as TraceLayer and TimeoutLayer',
+          'Share state with Router::with_state'
+        ], evidence.get('backend/axum')));
+      }
+      
+      if (techStack.frameworks.includes('Rocket')) {
+        rustGuidelines.push(...withEvidence([
+          'Use request guards for authentication and input validation',
+          'Share state with .manage() and read it through &State<T>',
+          'Use fairings for cross-cutting concerns'
+        ], evidence.get('backend/rocket')));
+      }
+      
+      sections.push({ languages: ['Rust'], guidelines: rustGuidelines });
+    }
+    
+    backendGuidelines.push(...orderByLanguage(techStack, sections));
+    
     // General backend guidelines
-    backendGuidelines.push(
+    backendGuidelines.push(...withEvidence([
       'Implement proper authentication and authorization',
       'Use HTTPS in production',
       'Implement request validation and sanitization',
@@ -157,14 +342,28 @@ export async function generateBackendSkills(workspaceRoot, techStack, context) {
       'Use proper HTTP status codes',
       'Implement pagination for list endpoints',
       'Use versioning for APIs when needed'
-    );
+    ], evidence.get('backend/backend-files')));
     
     if (middlewareFiles.length > 0) {
-      backendGuidelines.push(
+      backendGuidelines.push(...withEvidence([
         'Use middleware for authentication, logging, error handling',
         'Order middleware correctly (auth before routes)',
         'Keep middleware focused and reusable'
-      );
+      ], evidence.get('backend/middleware-files')));
+    }
+    
+    // Representative routes from the codebase
+    const examples = [];
+    if (techStack.frameworks.some(f => ['Express', 'Fastify', 'Koa'].includes(f))) {
+      const sourceFiles = [...new Set([...backendFiles, ...files.byExtension('js', 'ts', 'mjs', 'cjs')])];
+      examples.push(...await findExamples(files, sourceFiles, /\b(router|app|server|fastify)\.(get|post|put|patch|delete)\(/, {
+        title: 'Route handler'
+      }));
+    }
+    if (techStack.hasPython) {
+      examples.push(...await findExamples(files, files.byExtension('py'), /^\s*@\w+\.(get|post|put|patch|delete|route)\(/, {
+        title: 'Route handler'
+      }));
     }
     
     skills.push({
@@ -172,8 +371,9 @@ export async function generateBackendSkills(workspaceRoot, techStack, context) {
       displayName: 'Backend Best Practices',
       description: 'Guidelines for writing high-quality backend code based on detected frameworks',
       guidelines: backendGuidelines,
+      examples,
       category: 'backend',
-      techStack: techStack.languages.filter(l => ['JavaScript', 'TypeScript', 'Python', 'Java', 'Go'].includes(l)),
+      techStack: techStack.languages.filter(l => ['JavaScript', 'TypeScript', 'Python', 'Java', 'Kotlin', 'Go', 'Rust'].includes(l)),
       metadata: {
         frameworks: techStack.frameworks,
         hasMiddleware: middlewareFiles.length > 0,
@@ -189,3 +389,12 @@ export async function generateBackendSkills(workspaceRoot, techStack, context) {
   
   return skills;
 }
+
+registerAnalyzer({
+  name: 'backend',
+  displayName: 'Backend Analyzer',
+  category: 'backend',
+  inputs: ['**/*.{js,ts,py,java,kt,go,rs}', 'package.json', PYTHON_MANIFESTS, GO_MANIFESTS, CARGO_MANIFESTS, JVM_MANIFESTS, VERSION_CATALOG],
+  appliesTo: () => true,
+  analyze: generateBackendSkills
+});
@@ -1,6 +1,11 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { glob } from 'glob';
+import { createFileIndex } from '../utils/file-index.js';
+import { createEvidence, withEvidence } from '../utils/evidence.js';
+import { findExamples } from '../utils/examples.js';
+import { PYTHON_MANIFESTS, readPythonProject, dependencyPattern } from '../utils/python-project.js';
+import { GO_MANIFESTS, readGoModules, findModule } from '../utils/go-module.js';
+import { CARGO_MANIFESTS, readCargoManifests, cratePattern } from '../utils/cargo.js';
+import { JVM_MANIFESTS, VERSION_CATALOG, readJvmBuild, findDependency, declarationPattern } from '../utils/jvm-build.js';
+import { registerAnalyzer } from './registry.js';
 
 /**
  * Analyzes database usage and generates database-specific skills
@@ -18,11 +23,11 @@ export async function generateDatabaseSkills(workspaceRoot, techStack, context)
   }
   
   try {
+    const files = context?.files ?? await createFileIndex(workspaceRoot);
+    const evidence = createEvidence();
+    
     // Find database-related files
-    const dbFiles = await glob('**/*{model,schema,migration,db,database}*.{js,ts,py,java,go}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const dbFiles = files.match('**/*{model,schema,migration,db,database,entity,repository}*.{js,ts,py,java,kt,go,rs}');
     
     // Check for ORM usage
     let usesMongoose = false;
@@ -30,36 +35,83 @@ export async function generateDatabaseSkills(workspaceRoot, techStack, context)
     let usesTypeORM = false;
     let usesPrisma = false;
     let usesSQLAlchemy = false;
+    let usesGorm = false;
+    let usesGoSqlx = false;
+    let usesPgx = false;
+    let usesDiesel = false;
+    let usesSeaORM = false;
+    let usesRustSqlx = false;
+    let usesHibernate = false;
     
-    try {
-      const packageJson = JSON.parse(
-        await fs.readFile(path.join(workspaceRoot, 'package.json'), 'utf-8')
-      );
+    const packageJson = await files.readJson('package.json');
+    if (packageJson) {
       const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
       if (deps.mongoose) usesMongoose = true;
       if (deps.sequelize) usesSequelize = true;
       if (deps.typeorm) usesTypeORM = true;
       if (deps['@prisma/client']) usesPrisma = true;
-    } catch (e) {
-      // No package.json
     }
     
     // Check for Python ORMs
-    try {
-      const requirements = await fs.readFile(
-        path.join(workspaceRoot, 'requirements.txt'),
-        'utf-8'
-      );
-      if (requirements.includes('sqlalchemy')) usesSQLAlchemy = true;
-    } catch (e) {
-      // No requirements.txt
+    const python = await readPythonProject(files);
+    const sqlAlchemy = python?.dependencies.get('sqlalchemy') ?? python?.dependencies.get('flask-sqlalchemy');
+    if (sqlAlchemy) usesSQLAlchemy = true;
+    
+    // Check for Go and Rust database libraries
+    const goModules = await readGoModules(files);
+    const goRule = async (rule, modulePath) => {
+      const required = findModule(goModules, modulePath);
+      if (required) await evidence.scanFiles(rule, files, [required.file], required.path, { confidence: 'medium' });
+      return required !== null;
+    };
+    usesGorm = await goRule('database/gorm', 'gorm.io/gorm');
+    usesGoSqlx = await goRule('database/go-sqlx', 'github.com/jmoiron/sqlx');
+    usesPgx = await goRule('database/pgx', 'github.com/jackc/pgx');
+    
+    const cargo = await readCargoManifests(files);
+    const crateRule = async (rule, crate) => {
+      const dependency = cargo?.dependencies.get(crate);
+      if (dependency) await evidence.scanFiles(rule, files, [dependency.file], cratePattern(crate), { confidence: 'medium' });
+      return Boolean(dependency);
+    };
+    usesDiesel = await crateRule('database/diesel', 'diesel');
+    usesSeaORM = await crateRule('database/sea-orm', 'sea-orm');
+    usesRustSqlx = await crateRule('database/rust-sqlx', 'sqlx');
+    
+    // Check for Hibernate/JPA
+    const hibernate = findDependency(
+      await readJvmBuild(files),
+      'org.hibernate*:hibernate-core',
+      'org.springframework.boot:spring-boot-starter-data-jpa',
+      'jakarta.persistence:*',
+      'javax.persistence:*',
+      'io.quarkus:quarkus-hibernate-orm*',
+      'io.micronaut.data:micronaut-data-hibernate-jpa'
+    );
+    if (hibernate) {
+      usesHibernate = true;
+      await evidence.scanFiles('database/hibernate', files, [hibernate.file], declarationPattern(hibernate), { confidence: 'medium' });
+    }
+    
+    await evidence.scanDependencies('database/mongodb', files, 'mongoose');
+    await evidence.scanDependencies('database/sql', files, ['pg', 'pg-native', 'mysql', 'mysql2', 'sequelize', 'typeorm']);
+    await evidence.scanDependencies('database/prisma', files, '@prisma/client');
+    evidence.add('database/prisma', files.byBasename('schema.prisma'));
+    await evidence.scanDependencies('database/sequelize', files, 'sequelize');
+    await evidence.scanDependencies('database/typeorm', files, 'typeorm');
+    await evidence.scanDependencies('database/redis', files, ['redis', 'ioredis']);
+    if (sqlAlchemy) {
+      const pattern = [dependencyPattern('sqlalchemy'), dependencyPattern('flask-sqlalchemy')];
+      for (const rule of ['database/sql', 'database/sqlalchemy']) {
+        await evidence.scanFiles(rule, files, [sqlAlchemy.file], pattern, { confidence: 'medium' });
+      }
     }
     
     const databaseGuidelines = [];
     
     // MongoDB
     if (techStack.databases.includes('MongoDB') || usesMongoose) {
-      databaseGuidelines.push(
+      databaseGuidelines.push(...withEvidence([
         'Use Mongoose for MongoDB operations in Node.js',
         'Define schemas with proper validation',
         'Use indexes for frequently queried fields',
@@ -68,12 +120,12 @@ export async function generateDatabaseSkills(workspaceRoot, techStack, context)
         'Avoid deep nesting in documents',
         'Use aggregation pipeline for complex queries',
         'Implement proper connection handling and pooling'
-      );
+      ], evidence.get('database/mongodb')));
     }
     
     // SQL databases
     if (techStack.databases.some(db => ['SQL', 'PostgreSQL', 'MySQL'].includes(db))) {
-      databaseGuidelines.push(
+      databaseGuidelines.push(...withEvidence([
         'Use parameterized queries to prevent SQL injection',
         'Create indexes on frequently queried columns',
         'Use transactions for multi-step operations',
@@ -82,60 +134,121 @@ export async function generateDatabaseSkills(workspaceRoot, techStack, context)
         'Avoid N+1 query problems',
         'Use EXPLAIN to analyze query performance',
         'Normalize database schema appropriately'
-      );
+      ], evidence.get('database/sql')));
       
       if (usesPrisma) {
-        databaseGuidelines.push(
+        databaseGuidelines.push(...withEvidence([
           'Use Prisma Client for type-safe database access',
           'Define schema in schema.prisma file',
           'Use Prisma migrations for schema changes',
           'Leverage Prisma relations for data relationships',
           'Use Prisma Studio for database inspection',
           'Generate Prisma Client after schema changes'
-        );
+        ], evidence.get('database/prisma')));
       }
       
       if (usesSequelize) {
-        databaseGuidelines.push(
+        databaseGuidelines.push(...withEvidence([
           'Define models with Sequelize',
           'Use migrations for schema changes',
           'Use Sequelize associations for relationships',
           'Implement proper error handling',
           'Use transactions for complex operations'
-        );
+        ], evidence.get('database/sequelize')));
       }
       
       if (usesTypeORM) {
-        databaseGuidelines.push(
+        databaseGuidelines.push(...withEvidence([
           'Use TypeORM decorators for entity definitions',
           'Use migrations for schema changes',
           'Leverage TypeORM relations',
           'Use repositories for data access',
           'Implement proper transaction handling'
-        );
+        ], evidence.get('database/typeorm')));
       }
       
       if (usesSQLAlchemy) {
-        databaseGuidelines.push(
+        databaseGuidelines.push(...withEvidence([
           'Use SQLAlchemy ORM for database operations',
           'Define models with SQLAlchemy',
           'Use Alembic for migrations',
           'Implement proper session management',
           'Use SQLAlchemy relationships for associations'
-        );
+        ], evidence.get('database/sqlalchemy')));
+      }
+      
+      if (usesGorm) {
+        databaseGuidelines.push(...withEvidence([
+          'Check result.Error after every GORM call',
+          'Pass the request context with db.WithContext',
+          'Load associations explicitly with Preload or Joins to avoid N+1 queries',
+          'Use versioned migrations in production; keep AutoMigrate for local development'
+        ], evidence.get('database/gorm')));
+      }
+      
+      if (usesGoSqlx) {
+        databaseGuidelines.push(...withEvidence([
+          'Scan rows into structs with db tags using GetContext and SelectContext',
+          'Use named queries (NamedExecContext) for statements with many parameters',
+          'Expand IN clauses with sqlx.In and rebind them for your driver'
+        ], evidence.get('database/go-sqlx')));
+      }
+      
+      if (usesPgx) {
+        databaseGuidelines.push(...withEvidence([
+          'Share one pgxpool.Pool across the application',
+          'Scan results with pgx.CollectRows and pgx.RowToStructByName',
+          'Pass a context to every query so cancellations reach the database'
+        ], evidence.get('database/pgx')));
+      }
+      
+      if (usesDiesel) {
+        databaseGuidelines.push(...withEvidence([
+          'Manage schema changes with diesel migration and keep schema.rs generated, not edited',
+          'Run blocking Diesel queries in spawn_blocking, or use diesel-async, inside async code',
+          'Derive Queryable, Selectable and Insertable for models and prefer the query builder to raw SQL'
+        ], evidence.get('database/diesel')));
+      }
+      
+      if (usesSeaORM) {
+        databaseGuidelines.push(...withEvidence([
+          'Generate entities with sea-orm-cli instead of writing them by hand',
+          'Manage schema changes with sea-orm-migration',
+          'Insert and update through ActiveModel, setting only the fields that change'
+        ], evidence.get('database/sea-orm')));
+      }
+      
+      if (usesRustSqlx) {
+        databaseGuidelines.push(...withEvidence([
+          'Use the query! and query_as! macros for compile-time checked SQL',
+          'Commit the .sqlx offline query data so CI builds without a database',
+          'Manage schema changes with sqlx migrate',
+          'Share one connection pool across the application'
+        ], evidence.get('database/rust-sqlx')));
+      }
+      
+      if (usesHibernate) {
+        databaseGuidelines.push(...withEvidence([
+          'Map associations with FetchType.LAZY and fetch what a use case needs with JOIN FETCH or entity graphs',
+          'Keep transactions in the service layer and out of controllers',
+          'Manage schema changes with Flyway or Liquibase instead of hbm2ddl auto-update',
+          'Use DTO projections for read-only queries instead of loading entities',
+          'Log generated SQL in development to catch N+1 queries early',
+          'Implement equals and hashCode on entities from a stable business key or the id, not from all fields'
+        ], evidence.get('database/hibernate')));
       }
     }
     
     // Redis
     if (techStack.databases.includes('Redis')) {
-      databaseGuidelines.push(
+      databaseGuidelines.push(...withEvidence([
         'Use Redis for caching and session storage',
         'Set appropriate expiration times for cached data',
         'Use Redis pub/sub for real-time features',
         'Implement cache invalidation strategies',
         'Use Redis pipelines for batch operations',
         'Monitor Redis memory usage'
-      );
+      ], evidence.get('database/redis')));
     }
     
     // General database guidelines
@@ -152,16 +265,35 @@ export async function generateDatabaseSkills(workspaceRoot, techStack, context)
       'Use database constraints for data integrity'
     );
     
+    // Representative queries from the codebase
+    const examples = [];
+    const sourceFiles = files.byExtension('js', 'ts', 'mjs', 'cjs');
+    if (usesPrisma) {
+      examples.push(...await findExamples(files, sourceFiles, /\bprisma\.\w+\.\w+\(/, { title: 'Prisma query' }));
+    }
+    if (usesMongoose) {
+      examples.push(...await findExamples(files, sourceFiles, /\b[A-Z]\w*\.(find|findOne|findById|aggregate|create|updateOne|deleteOne)\(/, {
+        title: 'Mongoose query'
+      }));
+    }
+    if (usesSQLAlchemy) {
+      examples.push(...await findExamples(files, files.byExtension('py'), /\b(session|db\.session)\.(query|execute|scalars)\(/, {
+        title: 'SQLAlchemy query'
+      }));
+    }
+    
     skills.push({
       name: 'database-best-practices',
       displayName: 'Database Best Practices',
       description: 'Guidelines for working with databases based on detected database technologies',
       guidelines: databaseGuidelines,
+      examples,
       category: 'database',
       techStack: techStack.languages,
       metadata: {
         databases: techStack.databases,
-        orm: usesPrisma ? 'Prisma' : usesMongoose ? 'Mongoose' : usesSequelize ? 'Sequelize' : usesTypeORM ? 'TypeORM' : usesSQLAlchemy ? 'SQLAlchemy' : 'None'
+        orm: usesPrisma ? 'Prisma' : usesMongoose ? 'Mongoose' : usesSequelize ? 'Sequelize' : usesTypeORM ? 'TypeORM' : usesSQLAlchemy ? 'SQLAlchemy' :
+          usesHibernate ? 'Hibernate' : usesGorm ? 'GORM' : usesDiesel ? 'Diesel' : usesSeaORM ? 'SeaORM' : usesGoSqlx || usesRustSqlx ? 'sqlx' : 'None'
       }
     });
     
@@ -173,3 +305,12 @@ export async function generateDatabaseSkills(workspaceRoot, techStack, context)
   
   return skills;
 }
+
+registerAnalyzer({
+  name: 'database',
+  displayName: 'Database Analyzer',
+  category: 'database',
+  inputs: ['**/*.{js,ts,py,java,kt,go,rs}', 'package.json', PYTHON_MANIFESTS, GO_MANIFESTS, CARGO_MANIFESTS, JVM_MANIFESTS, VERSION_CATALOG],
+  appliesTo: (techStack) => techStack.databases.length > 0,
+  analyze: generateDatabaseSkills
+});
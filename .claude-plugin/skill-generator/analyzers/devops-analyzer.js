@@ -1,6 +1,6 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { glob } from 'glob';
+import { createFileIndex } from '../utils/file-index.js';
+import { createEvidence, withEvidence } from '../utils/evidence.js';
+import { registerAnalyzer } from './registry.js';
 
 /**
  * Analyzes DevOps configuration and generates DevOps-specific skills
@@ -13,45 +13,39 @@ export async function generateDevOpsSkills(workspaceRoot, techStack, context) {
   const skills = [];
   
   try {
+    const files = context?.files ?? await createFileIndex(workspaceRoot);
+    const evidence = createEvidence();
+    
     // Check for CI/CD files
-    const cicdFiles = await glob('**/.github/workflows/*.yml', { cwd: workspaceRoot });
+    const cicdFiles = files.match('**/.github/workflows/*.yml');
     const hasGitHubActions = cicdFiles.length > 0;
     
     // Check for Docker
-    let hasDocker = false;
-    try {
-      await fs.access(path.join(workspaceRoot, 'Dockerfile'));
-      hasDocker = true;
-    } catch (e) {
-      // No Dockerfile
-    }
+    const hasDocker = files.has('Dockerfile');
     
     // Check for docker-compose
-    let hasDockerCompose = false;
-    try {
-      await fs.access(path.join(workspaceRoot, 'docker-compose.yml'));
-      hasDockerCompose = true;
-    } catch (e) {
-      try {
-        await fs.access(path.join(workspaceRoot, 'docker-compose.yaml'));
-        hasDockerCompose = true;
-      } catch (e2) {
-        // No docker-compose
-      }
-    }
+    const hasDockerCompose = files.has('docker-compose.yml') || files.has('docker-compose.yaml');
     
     // Check for Kubernetes
-    const k8sFiles = await glob('**/*{k8s,kubernetes}*.{yaml,yml}', { cwd: workspaceRoot });
+    const k8sFiles = files.match('**/*{k8s,kubernetes}*.{yaml,yml}');
     const hasK8s = k8sFiles.length > 0;
     
     // Check for infrastructure as code
-    const iacFiles = await glob('**/*.{tf,tf.json}', { cwd: workspaceRoot });
+    const iacFiles = files.match('**/*.{tf,tf.json}');
     const hasTerraform = iacFiles.length > 0;
     
     // Check for environment files
-    const envFiles = await glob('**/.env*', { cwd: workspaceRoot });
+    const envFiles = files.match('**/.env*');
     const hasEnvFiles = envFiles.length > 0;
     
+    evidence.add('devops/github-actions', cicdFiles);
+    evidence.add('devops/docker', files.match('Dockerfile'));
+    evidence.add('devops/docker-compose', files.match('docker-compose.{yml,yaml}'));
+    evidence.add('devops/kubernetes', k8sFiles);
+    evidence.add('devops/terraform', iacFiles);
+    evidence.add('devops/env-files', envFiles);
+    evidence.add('devops/cloud', files.match('**/{vercel.json,netlify.toml,serverless.yml,.github/workflows/*.yml}'));
+    
     const devopsGuidelines = [];
     
     // General DevOps guidelines
@@ -70,7 +64,7 @@ export async function generateDevOpsSkills(workspaceRoot, techStack, context) {
     
     // CI/CD
     if (hasGitHubActions) {
-      devopsGuidelines.push(
+      devopsGuidelines.push(...withEvidence([
         'Use GitHub Actions for CI/CD pipelines',
         'Organize workflows into reusable actions',
         'Use matrix builds for testing multiple versions',
@@ -79,7 +73,7 @@ export async function generateDevOpsSkills(workspaceRoot, techStack, context) {
         'Use environment secrets for sensitive data',
         'Implement proper workflow permissions',
         'Use conditionals and job dependencies effectively'
-      );
+      ], evidence.get('devops/github-actions')));
     }
     
     devopsGuidelines.push(
@@ -93,7 +87,7 @@ export async function generateDevOpsSkills(workspaceRoot, techStack, context) {
     
     // Docker
     if (hasDocker) {
-      devopsGuidelines.push(
+      devopsGuidelines.push(...withEvidence([
         'Use multi-stage builds to reduce image size',
         'Use .dockerignore to exclude unnecessary files',
         'Use specific version tags, avoid latest',
@@ -102,22 +96,22 @@ export async function generateDevOpsSkills(workspaceRoot, techStack, context) {
         'Use health checks in Dockerfiles',
         'Optimize Dockerfile for caching',
         'Scan images for vulnerabilities'
-      );
+      ], evidence.get('devops/docker')));
     }
     
     if (hasDockerCompose) {
-      devopsGuidelines.push(
+      devopsGuidelines.push(...withEvidence([
         'Use docker-compose for local development',
         'Define services and dependencies clearly',
         'Use environment files for configuration',
         'Use volumes for persistent data',
         'Define networks for service communication'
-      );
+      ], evidence.get('devops/docker-compose')));
     }
     
     // Kubernetes
     if (hasK8s) {
-      devopsGuidelines.push(
+      devopsGuidelines.push(...withEvidence([
         'Use Kubernetes for container orchestration',
         'Define resources (CPU, memory) for pods',
         'Use ConfigMaps and Secrets for configuration',
@@ -128,12 +122,12 @@ export async function generateDevOpsSkills(workspaceRoot, techStack, context) {
         'Implement proper service discovery',
         'Use Ingress for external access',
         'Monitor and log Kubernetes resources'
-      );
+      ], evidence.get('devops/kubernetes')));
     }
     
     // Infrastructure as Code
     if (hasTerraform) {
-      devopsGuidelines.push(
+      devopsGuidelines.push(...withEvidence([
         'Use Terraform for infrastructure provisioning',
         'Organize Terraform code into modules',
         'Use remote state for team collaboration',
@@ -142,24 +136,24 @@ export async function generateDevOpsSkills(workspaceRoot, techStack, context) {
         'Implement proper resource tagging',
         'Use Terraform workspaces for environments',
         'Review Terraform plans before applying'
-      );
+      ], evidence.get('devops/terraform')));
     }
     
     // Environment management
     if (hasEnvFiles) {
-      devopsGuidelines.push(
+      devopsGuidelines.push(...withEvidence([
         'Use .env.example as a template',
         'Never commit .env files',
         'Use different configurations for different environments',
         'Use secret management services in production',
         'Rotate secrets regularly',
         'Document required environment variables'
-      );
+      ], evidence.get('devops/env-files')));
     }
     
     // Cloud providers
     if (techStack.cloudProviders.length > 0) {
-      devopsGuidelines.push(
+      devopsGuidelines.push(...withEvidence([
         `Configure for cloud providers: ${techStack.cloudProviders.join(', ')}`,
         'Use cloud-native services when appropriate',
         'Implement proper IAM and security policies',
@@ -167,7 +161,7 @@ export async function generateDevOpsSkills(workspaceRoot, techStack, context) {
         'Implement auto-scaling when needed',
         'Use CDN for static assets',
         'Implement proper backup strategies'
-      );
+      ], evidence.get('devops/cloud')));
     }
     
     skills.push({
@@ -195,3 +189,12 @@ export async function generateDevOpsSkills(workspaceRoot, techStack, context) {
   
   return skills;
 }
+
+registerAnalyzer({
+  name: 'devops',
+  displayName: 'DevOps Analyzer',
+  category: 'devops',
+  inputs: ['**/.github/workflows/*.yml', '**/*.{yaml,yml,tf,tf.json}', '**/.env*', 'Dockerfile', 'docker-compose.{yml,yaml}'],
+  appliesTo: () => true,
+  analyze: generateDevOpsSkills
+});
@@ -1,6 +1,6 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { glob } from 'glob';
+import { createFileIndex } from '../utils/file-index.js';
+import { createEvidence, withEvidence } from '../utils/evidence.js';
+import { registerAnalyzer } from './registry.js';
 
 /**
  * Analyzes frontend code and generates frontend-specific skills
@@ -13,51 +13,44 @@ export async function generateFrontendSkills(workspaceRoot, techStack, context)
   const skills = [];
   
   try {
+    const files = context?.files ?? await createFileIndex(workspaceRoot);
+    const evidence = createEvidence();
+    
     // Find frontend files
-    const frontendFiles = await glob('**/*.{js,jsx,ts,tsx,css,scss,sass,less}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/server/**', '**/backend/**']
+    const frontendFiles = files.match('**/*.{js,jsx,ts,tsx,css,scss,sass,less}', {
+      ignore: ['**/server/**', '**/backend/**']
     });
     
     // Check for CSS frameworks
-    const cssFiles = await glob('**/*.{css,scss,sass,less}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const cssFiles = files.byExtension('css', 'scss', 'sass', 'less');
     
     let usesTailwind = false;
     let usesStyledComponents = false;
     let usesCSSModules = false;
     
     // Check package.json for CSS frameworks
-    try {
-      const packageJson = JSON.parse(
-        await fs.readFile(path.join(workspaceRoot, 'package.json'), 'utf-8')
-      );
-      const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
-      if (deps.tailwindcss) usesTailwind = true;
-      if (deps['styled-components']) usesStyledComponents = true;
-      if (deps['css-modules']) usesCSSModules = true;
-    } catch (e) {
-      // No package.json
-    }
+    const packageJson = await files.readJson('package.json');
+    const deps = packageJson ? { ...packageJson.dependencies, ...packageJson.devDependencies } : {};
+    if (deps.tailwindcss) usesTailwind = true;
+    if (deps['styled-components']) usesStyledComponents = true;
+    if (deps['css-modules']) usesCSSModules = true;
     
     // Check for component libraries
     let usesMaterialUI = false;
     let usesChakraUI = false;
     let usesAntDesign = false;
     
-    try {
-      const packageJson = JSON.parse(
-        await fs.readFile(path.join(workspaceRoot, 'package.json'), 'utf-8')
-      );
-      const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
-      if (deps['@mui/material'] || deps['@material-ui/core']) usesMaterialUI = true;
-      if (deps['@chakra-ui/react']) usesChakraUI = true;
-      if (deps['antd']) usesAntDesign = true;
-    } catch (e) {
-      // No package.json
-    }
+    if (deps['@mui/material'] || deps['@material-ui/core']) usesMaterialUI = true;
+    if (deps['@chakra-ui/react']) usesChakraUI = true;
+    if (deps['antd']) usesAntDesign = true;
+    
+    evidence.add('frontend/typescript', files.match('tsconfig.json'));
+    await evidence.scanDependencies('frontend/tailwind', files, 'tailwindcss');
+    await evidence.scanDependencies('frontend/styled-components', files, 'styled-components');
+    await evidence.scanDependencies('frontend/css-modules', files, 'css-modules');
+    await evidence.scanDependencies('frontend/material-ui', files, ['@mui/material', '@material-ui/core']);
+    await evidence.scanDependencies('frontend/chakra-ui', files, '@chakra-ui/react');
+    await evidence.scanDependencies('frontend/ant-design', files, 'antd');
     
     const frontendGuidelines = [];
     
@@ -74,65 +67,65 @@ export async function generateFrontendSkills(workspaceRoot, techStack, context)
     );
     
     if (techStack.hasTypeScript) {
-      frontendGuidelines.push(
+      frontendGuidelines.push(...withEvidence([
         'Use TypeScript for type safety',
         'Define proper interfaces for props and data structures',
         'Avoid using any type',
         'Use strict mode for better type checking'
-      );
+      ], evidence.get('frontend/typescript')));
     }
     
     if (usesTailwind) {
-      frontendGuidelines.push(
+      frontendGuidelines.push(...withEvidence([
         'Use Tailwind utility classes for styling',
         'Extract repeated patterns into components',
         'Use Tailwind plugins for custom utilities',
         'Configure Tailwind theme for design system consistency',
         'Use @apply sparingly, prefer utility classes'
-      );
+      ], evidence.get('frontend/tailwind')));
     }
     
     if (usesStyledComponents) {
-      frontendGuidelines.push(
+      frontendGuidelines.push(...withEvidence([
         'Use styled-components for component-scoped styling',
         'Extract styled components into separate files for reusability',
         'Use theme provider for consistent theming',
         'Avoid inline styles, use styled components',
         'Use CSS-in-JS best practices for performance'
-      );
+      ], evidence.get('frontend/styled-components')));
     }
     
     if (usesCSSModules) {
-      frontendGuidelines.push(
+      frontendGuidelines.push(...withEvidence([
         'Use CSS Modules for scoped styling',
         'Follow BEM naming convention when appropriate',
         'Keep CSS modules co-located with components'
-      );
+      ], evidence.get('frontend/css-modules')));
     }
     
     if (usesMaterialUI) {
-      frontendGuidelines.push(
+      frontendGuidelines.push(...withEvidence([
         'Use Material-UI components consistently',
         'Customize theme using MUI theme provider',
         'Follow Material Design principles',
         'Use MUI Grid system for layouts'
-      );
+      ], evidence.get('frontend/material-ui')));
     }
     
     if (usesChakraUI) {
-      frontendGuidelines.push(
+      frontendGuidelines.push(...withEvidence([
         'Use Chakra UI components and hooks',
         'Customize theme through ChakraProvider',
         'Use Chakra responsive props for mobile-first design'
-      );
+      ], evidence.get('frontend/chakra-ui')));
     }
     
     if (usesAntDesign) {
-      frontendGuidelines.push(
+      frontendGuidelines.push(...withEvidence([
         'Use Ant Design components consistently',
         'Customize theme through ConfigProvider',
         'Follow Ant Design design principles'
-      );
+      ], evidence.get('frontend/ant-design')));
     }
     
     // Performance
@@ -175,3 +168,12 @@ export async function generateFrontendSkills(workspaceRoot, techStack, context)
   
   return skills;
 }
+
+registerAnalyzer({
+  name: 'frontend',
+  displayName: 'Frontend Analyzer',
+  category: 'frontend',
+  inputs: ['**/*.{js,jsx,ts,tsx,css,scss,sass,less}', 'package.json'],
+  appliesTo: () => true,
+  analyze: generateFrontendSkills
+});
@@ -0,0 +1,21 @@
+/**
+ * Loads the built-in analyzers, which register themselves with the registry
+ */
+import './security-analyzer.js';
+import './performance-analyzer.js';
+import './react-analyzer.js';
+import './backend-analyzer.js';
+import './frontend-analyzer.js';
+import './database-analyzer.js';
+import './api-analyzer.js';
+import './testing-analyzer.js';
+import './devops-analyzer.js';
+
+export { analyzeTechStack } from './tech-stack-analyzer.js';
+export {
+  registerAnalyzer,
+  createAnalyzerRegistry,
+  loadCustomAnalyzers,
+  validateAnalyzer,
+  WORKSPACE_ANALYZERS_DIR
+} from './registry.js';
@@ -1,6 +1,7 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { glob } from 'glob';
+import { createFileIndex } from '../utils/file-index.js';
+import { createEvidence, withEvidence } from '../utils/evidence.js';
+import { orderByLanguage } from '../utils/language-census.js';
+import { registerAnalyzer } from './registry.js';
 
 /**
  * Analyzes codebase for performance patterns and generates performance skills
@@ -13,36 +14,31 @@ export async function generatePerformanceSkills(workspaceRoot, techStack, contex
   const skills = [];
   
   try {
+    const files = context?.files ?? await createFileIndex(workspaceRoot);
+    const evidence = createEvidence();
+    
     // Check for database query patterns
-    const dbFiles = await glob('**/*{db,database,model,query}*.{js,ts,jsx,tsx,py,java,go}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const dbFiles = files.match('**/*{db,database,model,query}*.{js,ts,jsx,tsx,py,java,go}');
     
     // Check for caching implementations
-    const cacheFiles = await glob('**/*{cache,redis,memcached}*.{js,ts,jsx,tsx,py,java,go}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const cacheFiles = files.match('**/*{cache,redis,memcached}*.{js,ts,jsx,tsx,py,java,go}');
     
     // Check for async/await patterns
-    const asyncFiles = await glob('**/*.{js,ts,jsx,tsx}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const asyncFiles = files.byExtension('js', 'ts', 'jsx', 'tsx');
     
-    let hasAsyncPatterns = false;
-    for (const file of asyncFiles.slice(0, 20)) {
-      try {
-        const content = await fs.readFile(path.join(workspaceRoot, file), 'utf-8');
-        if (content.includes('async') || content.includes('await') || content.includes('Promise')) {
-          hasAsyncPatterns = true;
-          break;
-        }
-      } catch (e) {
-        // Skip
-      }
-    }
+    const hasAsyncPatterns = await evidence.scanFiles(
+      'performance/async-code',
+      files,
+      asyncFiles.slice(0, 20),
+      ['async', 'await', 'Promise']
+    );
+    
+    evidence.add('performance/node', files.match('package.json'));
+    await evidence.scanDependencies('performance/react', files, 'react');
+    evidence.add('performance/typescript', files.match('tsconfig.json'));
+    evidence.add('performance/db-files', dbFiles, { confidence: 'low' });
+    evidence.add('performance/cache-files', cacheFiles, { confidence: 'low' });
+    await evidence.scanDependencies('performance/cache-files', files, ['redis', 'ioredis']);
     
     const performanceGuidelines = [];
     
@@ -59,18 +55,22 @@ export async function generatePerformanceSkills(workspaceRoot, techStack, contex
     );
     
     if (techStack.hasNode) {
-      performanceGuidelines.push(
-        'Use async/await or Promises for I/O operations, never block the event loop',
-        'Implement connection pooling for database connections',
-        'Use streaming for large file operations',
-        'Enable gzip/brotli compression for HTTP responses',
-        'Use worker threads for CPU-intensive tasks',
-        'Implement request queuing for rate-limited APIs'
-      );
+      // Dropped when the census finds no JavaScript or TypeScript to run on Node
+      performanceGuidelines.push(...orderByLanguage(techStack, [{
+        languages: ['JavaScript', 'TypeScript'],
+        guidelines: withEvidence([
+          'Use async/await or Promises for I/O operations, never block the event loop',
+          'Implement connection pooling for database connections',
+          'Use streaming for large file operations',
+          'Enable gzip/brotli compression for HTTP responses',
+          'Use worker threads for CPU-intensive tasks',
+          'Implement request queuing for rate-limited APIs'
+        ], evidence.get('performance/node'))
+      }]));
     }
     
     if (techStack.hasReact) {
-      performanceGuidelines.push(
+      performanceGuidelines.push(...withEvidence([
         'Use React.memo() for expensive components',
         'Implement code splitting with React.lazy() and Suspense',
         'Avoid unnecessary re-renders: use useMemo() and useCallback()',
@@ -78,42 +78,42 @@ export async function generatePerformanceSkills(workspaceRoot, techStack, contex
         'Optimize images: use next/image, WebP format, lazy loading',
         'Use production builds with optimizations enabled',
         'Profile with React DevTools Profiler'
-      );
+      ], evidence.get('performance/react')));
     }
     
     if (techStack.hasTypeScript) {
-      performanceGuidelines.push(
+      performanceGuidelines.push(...withEvidence([
         'Use TypeScript for better tree-shaking and dead code elimination',
         'Avoid any types that prevent optimizations'
-      );
+      ], evidence.get('performance/typescript')));
     }
     
     if (dbFiles.length > 0) {
-      performanceGuidelines.push(
+      performanceGuidelines.push(...withEvidence([
         'Use database indexes on frequently queried columns',
         'Implement query result caching',
         'Use database connection pooling',
         'Avoid SELECT * - only fetch needed columns',
         'Use batch operations instead of individual queries',
         'Implement database query logging and monitoring'
-      );
+      ], evidence.get('performance/db-files')));
     }
     
     if (cacheFiles.length > 0 || techStack.databases.includes('Redis')) {
-      performanceGuidelines.push(
+      performanceGuidelines.push(...withEvidence([
         'Cache expensive computations and API responses',
         'Set appropriate cache expiration times',
         'Use cache invalidation strategies',
         'Implement cache warming for critical data'
-      );
+      ], evidence.get('performance/cache-files')));
     }
     
     if (hasAsyncPatterns) {
-      performanceGuidelines.push(
+      performanceGuidelines.push(...withEvidence([
         'Use Promise.all() for parallel async operations when possible',
         'Avoid sequential await calls when operations are independent',
         'Handle errors properly in async code to prevent unhandled rejections'
-      );
+      ], evidence.get('performance/async-code')));
     }
     
     skills.push({
@@ -133,3 +133,12 @@ export async function generatePerformanceSkills(workspaceRoot, techStack, contex
   
   return skills;
 }
+
+registerAnalyzer({
+  name: 'performance',
+  displayName: 'Performance Analyzer',
+  category: 'performance',
+  inputs: ['**/*.{js,ts,jsx,tsx,py,java,go}', 'package.json'],
+  appliesTo: () => true,
+  analyze: generatePerformanceSkills
+});
@@ -1,6 +1,8 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { glob } from 'glob';
+import { createFileIndex } from '../utils/file-index.js';
+import { createEvidence, withEvidence } from '../utils/evidence.js';
+import { findExamples } from '../utils/examples.js';
+import { isOlderThan } from '../utils/versions.js';
+import { registerAnalyzer } from './registry.js';
 
 /**
  * Analyzes React code and generates React-specific skills
@@ -18,11 +20,11 @@ export async function generateReactSkills(workspaceRoot, techStack, context) {
   }
   
   try {
+    const files = context?.files ?? await createFileIndex(workspaceRoot);
+    const evidence = createEvidence();
+    
     // Find React component files
-    const reactFiles = await glob('**/*.{jsx,tsx}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const reactFiles = files.byExtension('jsx', 'tsx');
     
     // Check for hooks usage
     let usesHooks = false;
@@ -32,109 +34,140 @@ export async function generateReactSkills(workspaceRoot, techStack, context) {
     let usesCustomHooks = false;
     
     for (const file of reactFiles.slice(0, 30)) {
-      try {
-        const content = await fs.readFile(path.join(workspaceRoot, file), 'utf-8');
-        if (content.includes('useState')) usesState = true;
-        if (content.includes('useEffect')) usesEffect = true;
-        if (content.includes('useContext') || content.includes('Context')) usesContext = true;
-        if (content.includes('use') && content.includes('const')) usesHooks = true;
-        if (content.includes('function use') || content.includes('const use')) usesCustomHooks = true;
-      } catch (e) {
-        // Skip
-      }
+      const content = await files.read(file);
+      if (content === null) continue;
+      if (evidence.scan('react/use-state', file, content, 'useState')) usesState = true;
+      if (evidence.scan('react/use-effect', file, content, 'useEffect')) usesEffect = true;
+      if (evidence.scan('react/context', file, content, ['useContext', 'Context'])) usesContext = true;
+      if (content.includes('use') && content.includes('const')) usesHooks = true;
+      if (evidence.scan('react/custom-hooks', file, content, ['function use', 'const use'])) usesCustomHooks = true;
     }
     
     // Check for state management
-    const stateFiles = await glob('**/*{store,redux,zustand,mobx,recoil}*.{js,ts,jsx,tsx}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const stateFiles = files.match('**/*{store,redux,zustand,mobx,recoil}*.{js,ts,jsx,tsx}');
     
     let usesRedux = false;
     let usesZustand = false;
     let usesMobX = false;
     
     for (const file of stateFiles.slice(0, 10)) {
-      try {
-        const content = await fs.readFile(path.join(workspaceRoot, file), 'utf-8');
-        if (content.includes('redux') || content.includes('createSlice')) usesRedux = true;
-        if (content.includes('zustand') || content.includes('create(')) usesZustand = true;
-        if (content.includes('mobx') || content.includes('observable')) usesMobX = true;
-      } catch (e) {
-        // Skip
-      }
+      const content = await files.read(file);
+      if (content === null) continue;
+      if (evidence.scan('react/redux-store', file, content, ['redux', 'createSlice'])) usesRedux = true;
+      // A bare create( call is only a hint that the store is Zustand
+      if (evidence.scan('react/zustand-store', file, content, 'zustand') ||
+          evidence.scan('react/zustand-store', file, content, 'create(', { confidence: 'low' })) usesZustand = true;
+      if (evidence.scan('react/mobx-store', file, content, ['mobx', 'observable'])) usesMobX = true;
     }
     
     // Check for Next.js
     const isNextJS = techStack.frameworks.includes('Next.js');
+    await evidence.scanDependencies('react/dependency', files, 'react');
+    await evidence.scanDependencies('react/nextjs', files, 'next');
+    
+    // Hooks arrived in React 16.8; without a known version, assume a current release
+    const reactVersion = techStack.versions?.react ?? null;
+    const hasHooks = !isOlderThan(techStack, 'react', '16.8');
+    if (reactVersion) evidence.add('react/version', reactVersion.source);
     
     const reactGuidelines = [];
     
     // Core React guidelines
-    reactGuidelines.push(
-      'Use functional components with hooks instead of class components',
+    reactGuidelines.push(...withEvidence([
+      ...(hasHooks ? ['Use functional components with hooks instead of class components'] : []),
       'Keep components small and focused on a single responsibility',
-      'Extract reusable logic into custom hooks',
+      ...(hasHooks ? ['Extract reusable logic into custom hooks'] : []),
       'Use proper key props for list items',
       'Avoid creating functions and objects inside render methods',
       'Use TypeScript for type safety in React components'
-    );
+    ], evidence.get('react/dependency')));
+    
+    // Version-specific guidance
+    if (!hasHooks) {
+      reactGuidelines.push(...withEvidence([
+        `Write stateful components as classes: hooks need React 16.8 or later (detected: ${reactVersion.version})`,
+        'Share logic between components with higher-order components or render props',
+        'Use React.PureComponent or shouldComponentUpdate to skip unnecessary re-renders'
+      ], evidence.get('react/version')));
+    } else if (isOlderThan(techStack, 'react', '18')) {
+      reactGuidelines.push(...withEvidence([
+        `Do not rely on createRoot, transitions or automatic batching outside event handlers: they need React 18 (detected: ${reactVersion.version})`
+      ], evidence.get('react/version')));
+    } else if (reactVersion?.major >= 19) {
+      reactGuidelines.push(...withEvidence([
+        'Use Actions with useActionState and useFormStatus for form submissions',
+        'Pass ref as a regular prop; forwardRef is no longer needed',
+        'Read promises and context during render with use()'
+      ], evidence.get('react/version')));
+    }
     
     if (usesState) {
-      reactGuidelines.push(
+      reactGuidelines.push(...withEvidence([
         'Lift state up when multiple components need the same data',
         'Use useState for local component state',
         'Consider useReducer for complex state logic',
         'Avoid prop drilling - use Context or state management library'
-      );
+      ], evidence.get('react/use-state')));
     }
     
     if (usesEffect) {
-      reactGuidelines.push(
+      reactGuidelines.push(...withEvidence([
         'Always include dependencies in useEffect dependency array',
         'Clean up subscriptions and timers in useEffect cleanup function',
         'Use multiple useEffect hooks to separate concerns',
         'Avoid side effects in render - use useEffect',
         'Be careful with infinite loops in useEffect'
-      );
+      ], evidence.get('react/use-effect')));
     }
     
     if (usesContext) {
-      reactGuidelines.push(
+      reactGuidelines.push(...withEvidence([
         'Split contexts by concern to avoid unnecessary re-renders',
         'Use Context for theme, auth, or app-wide state',
         'Consider performance implications of Context value changes'
-      );
+      ], evidence.get('react/context')));
     }
     
     if (usesCustomHooks) {
-      reactGuidelines.push(
+      reactGuidelines.push(...withEvidence([
         'Extract component logic into custom hooks for reusability',
         'Custom hooks should start with "use" prefix',
         'Return values and functions from custom hooks consistently'
-      );
+      ], evidence.get('react/custom-hooks')));
     }
     
     if (usesRedux) {
-      reactGuidelines.push(
+      reactGuidelines.push(...withEvidence([
         'Use Redux Toolkit for modern Redux patterns',
         'Keep reducers pure and side-effect free',
         'Use createSlice for simpler reducer logic',
         'Use RTK Query for data fetching when appropriate',
         'Select only needed data from Redux store'
-      );
+      ], evidence.get('react/redux-store')));
     }
     
     if (usesZustand) {
-      reactGuidelines.push(
+      reactGuidelines.push(...withEvidence([
         'Use Zustand for simpler state management needs',
         'Keep stores focused and split by domain',
         'Use selectors to prevent unnecessary re-renders'
-      );
+      ], evidence.get('react/zustand-store')));
     }
     
-    if (isNextJS) {
-      reactGuidelines.push(
+    // The App Router is stable since Next.js 13.4; older projects use the Pages Router
+    if (isNextJS && isOlderThan(techStack, 'next', '13.4')) {
+      reactGuidelines.push(...withEvidence([
+        'Use the Pages Router: routes in pages/, API routes in pages/api/',
+        'Fetch data with getStaticProps, getStaticPaths or getServerSideProps',
+        'Use next/head for page titles and meta tags',
+        'Use next/image for optimized images',
+        'Use next/link for client-side navigation',
+        'Leverage ISR (Incremental Static Regeneration) with revalidate in getStaticProps',
+        'Share layout and global styles through pages/_app',
+        'Implement proper error boundaries and error pages'
+      ], evidence.get('react/nextjs')));
+    } else if (isNextJS) {
+      reactGuidelines.push(...withEvidence([
         'Use Next.js App Router for new projects',
         'Use Server Components by default, Client Components when needed',
         'Use next/image for optimized images',
@@ -143,14 +176,13 @@ export async function generateReactSkills(workspaceRoot, techStack, context) {
         'Leverage ISR (Incremental Static Regeneration) for dynamic content',
         'Use API routes for backend functionality',
         'Implement proper error boundaries and error pages'
-      );
+      ], evidence.get('react/nextjs')));
     }
     
     // Performance
     reactGuidelines.push(
       'Use React.memo() for components that render frequently with same props',
-      'Use useMemo() for expensive computations',
-      'Use useCallback() for functions passed as props',
+      ...(hasHooks ? ['Use useMemo() for expensive computations', 'Use useCallback() for functions passed as props'] : []),
       'Implement code splitting with React.lazy()',
       'Virtualize long lists',
       'Optimize re-renders with React DevTools Profiler'
@@ -163,11 +195,20 @@ export async function generateReactSkills(workspaceRoot, techStack, context) {
       'Use data-testid sparingly, prefer accessible queries'
     );
     
+    // Representative custom hook from the codebase
+    const examples = await findExamples(
+      files,
+      files.byExtension('jsx', 'tsx', 'js', 'ts'),
+      /^\s*(export\s+)?(default\s+)?(function\s+use[A-Z]|const\s+use[A-Z]\w*\s*=)/,
+      { title: 'Custom hook' }
+    );
+    
     skills.push({
       name: 'react-best-practices',
       displayName: 'React Best Practices',
       description: 'Guidelines for writing high-quality React code based on codebase patterns',
       guidelines: reactGuidelines,
+      examples,
       category: 'react',
       techStack: ['JavaScript', 'TypeScript'],
       metadata: {
@@ -177,7 +218,8 @@ export async function generateReactSkills(workspaceRoot, techStack, context) {
         usesEffect,
         usesCustomHooks,
         stateManagement: usesRedux ? 'Redux' : usesZustand ? 'Zustand' : usesMobX ? 'MobX' : 'Context/State',
-        framework: isNextJS ? 'Next.js' : 'React'
+        framework: isNextJS ? 'Next.js' : 'React',
+        ...(reactVersion && { reactVersion: reactVersion.version })
       }
     });
     
@@ -189,3 +231,12 @@ export async function generateReactSkills(workspaceRoot, techStack, context) {
   
   return skills;
 }
+
+registerAnalyzer({
+  name: 'react',
+  displayName: 'React Analyzer',
+  category: 'react',
+  inputs: ['**/*.{js,ts,jsx,tsx}', 'package.json'],
+  appliesTo: (techStack) => techStack.hasReact,
+  analyze: generateReactSkills
+});
@@ -0,0 +1,148 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { GENERATOR_VERSION } from '../utils/manifest.js';
+
+/**
+ * Analyzer registry
+ *
+ * An analyzer is a plain object:
+ *   {
+ *     name: 'security',                       // unique id, used by --only / --skip
+ *     displayName: 'Security Analyzer',       // optional, used in logs
+ *     category: 'security',                   // default category of the skills it produces
+ *     version: '1.0.0',                       // optional, recorded in the run manifest
+ *     inputs: ['**\/*.js', 'package.json'],   // optional, globs the cache fingerprints
+ *     appliesTo(techStack) { return true; },  // optional, skip the analyzer when false
+ *     async analyze(workspaceRoot, techStack, context) { return [skill, ...]; }
+ *   }
+ */
+
+// Directory (relative to the workspace) that custom analyzers are loaded from
+export const WORKSPACE_ANALYZERS_DIR = path.join('.claude', 'skill-generator', 'analyzers');
+
+const builtinAnalyzers = new Map();
+
+/**
+ * Checks an analyzer against the contract and returns a list of problems
+ */
+export function validateAnalyzer(analyzer) {
+  const problems = [];
+  if (!analyzer || typeof analyzer !== 'object') {
+    return ['analyzer must be an object'];
+  }
+  if (typeof analyzer.name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(analyzer.name)) {
+    problems.push('name must be a lowercase string of letters, digits and dashes');
+  }
+  if (typeof analyzer.category !== 'string' || analyzer.category.length === 0) {
+    problems.push('category must be a non-empty string');
+  }
+  if (analyzer.version !== undefined && typeof analyzer.version !== 'string') {
+    problems.push('version must be a string');
+  }
+  if (analyzer.inputs !== undefined && (!Array.isArray(analyzer.inputs) || analyzer.inputs.some(i => typeof i !== 'string'))) {
+    problems.push('inputs must be an array of glob strings');
+  }
+  if (analyzer.appliesTo !== undefined && typeof analyzer.appliesTo !== 'function') {
+    problems.push('appliesTo must be a function');
+  }
+  if (typeof analyzer.analyze !== 'function') {
+    problems.push('analyze must be a function');
+  }
+  return problems;
+}
+
+/**
+ * Registers a built-in analyzer. Built-in modules call this when imported
+ * and share the plugin's version.
+ */
+export function registerAnalyzer(analyzer) {
+  const problems = validateAnalyzer(analyzer);
+  if (problems.length > 0) {
+    throw new Error(`Invalid analyzer ${analyzer?.name || '(unnamed)'}: ${problems.join('; ')}`);
+  }
+  builtinAnalyzers.set(analyzer.name, {
+    displayName: analyzer.name,
+    version: GENERATOR_VERSION,
+    ...analyzer,
+    source: 'builtin'
+  });
+}
+
+/**
+ * Creates a registry for a single run, seeded with the built-in analyzers.
+ * Custom analyzers are added to the run's registry only, never globally.
+ */
+export function createAnalyzerRegistry() {
+  const analyzers = new Map(builtinAnalyzers);
+
+  return {
+    register(analyzer, source = 'custom') {
+      const problems = validateAnalyzer(analyzer);
+      if (problems.length > 0) {
+        throw new Error(`Invalid analyzer ${analyzer?.name || '(unnamed)'}: ${problems.join('; ')}`);
+      }
+      const replaced = analyzers.get(analyzer.name);
+      analyzers.set(analyzer.name, { displayName: analyzer.name, version: null, ...analyzer, source });
+      return replaced;
+    },
+    get: (name) => analyzers.get(name),
+    has: (name) => analyzers.has(name),
+    list: () => [...analyzers.values()]
+  };
+}
+
+/**
+ * Loads custom analyzers from the workspace analyzers directory and from
+ * npm packages, registering them on the given registry
+ */
+export async function loadCustomAnalyzers(registry, workspaceRoot, context, packages = []) {
+  const logger = context?.logger || {
+    info: (msg) => console.log(msg),
+    error: (msg) => console.error(msg)
+  };
+  const sources = [];
+
+  // Workspace-local analyzer modules
+  const analyzersDir = path.join(workspaceRoot, WORKSPACE_ANALYZERS_DIR);
+  try {
+    const entries = await fs.readdir(analyzersDir);
+    for (const entry of entries.filter(e => /\.(js|mjs)$/.test(e)).sort()) {
+      sources.push({ label: path.join(WORKSPACE_ANALYZERS_DIR, entry), specifier: path.join(analyzersDir, entry) });
+    }
+  } catch (e) {
+    // No workspace analyzers
+  }
+
+  // Analyzer packages, resolved from the workspace so its node_modules is used
+  const require = createRequire(path.join(workspaceRoot, 'package.json'));
+  for (const pkg of packages) {
+    try {
+      sources.push({ label: pkg, specifier: require.resolve(pkg) });
+    } catch (e) {
+      logger.error(`  ❌ Could not resolve analyzer package ${pkg}: ${e.message}`);
+    }
+  }
+
+  const loaded = [];
+  for (const { label, specifier } of sources) {
+    try {
+      const module = await import(pathToFileURL(specifier).href);
+      const exported = module.default ?? module.analyzer ?? module.analyzers;
+      const analyzers = Array.isArray(exported) ? exported : [exported];
+
+      for (const analyzer of analyzers) {
+        const replaced = registry.register(analyzer, label);
+        if (replaced) {
+          logger.info(`  ↺ ${label} replaces analyzer "${analyzer.name}" (${replaced.source})`);
+        }
+        loaded.push(analyzer.name);
+      }
+    } catch (e) {
+      logger.error(`  ❌ Failed to load analyzer ${label}: ${e.message}`);
+    }
+  }
+
+  return loaded;
+}
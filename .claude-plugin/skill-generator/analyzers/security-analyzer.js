@@ -1,6 +1,8 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { glob } from 'glob';
+import { createFileIndex } from '../utils/file-index.js';
+import { createEvidence, withEvidence } from '../utils/evidence.js';
+import { PYTHON_MANIFESTS } from '../utils/python-project.js';
+import { orderByLanguage } from '../utils/language-census.js';
+import { registerAnalyzer } from './registry.js';
 
 /**
  * Analyzes codebase for security patterns and generates security skills
@@ -13,49 +15,44 @@ export async function generateSecuritySkills(workspaceRoot, techStack, context)
   const skills = [];
   
   try {
+    const files = context?.files ?? await createFileIndex(workspaceRoot);
+    const evidence = createEvidence();
+    
     // Analyze authentication patterns
-    const authFiles = await glob('**/*{auth,login,security,oauth,jwt}*.{js,ts,jsx,tsx,py,java,go}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const authFiles = files.match('**/*{auth,login,security,oauth,jwt}*.{js,ts,jsx,tsx,py,java,go}');
     
     // Analyze input validation
-    const validationFiles = await glob('**/*{validate,sanitize,validator}*.{js,ts,jsx,tsx,py,java,go}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const validationFiles = files.match('**/*{validate,sanitize,validator}*.{js,ts,jsx,tsx,py,java,go}');
     
     // Check for security headers/config
-    const securityConfigs = await glob('**/*{security,helmet,cors}*.{js,ts,json}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const securityConfigs = files.match('**/*{security,helmet,cors}*.{js,ts,json}');
     
     // Check for environment variable usage
-    const envFiles = await glob('**/.env*', { cwd: workspaceRoot });
-    const envUsage = await glob('**/*.{js,ts,jsx,tsx,py}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const envFiles = files.match('**/.env*');
+    const envUsage = files.byExtension('js', 'ts', 'jsx', 'tsx', 'py');
     
-    let hasEnvVars = false;
-    for (const file of envUsage.slice(0, 10)) {
-      try {
-        const content = await fs.readFile(path.join(workspaceRoot, file), 'utf-8');
-        if (content.includes('process.env') || content.includes('os.getenv') || content.includes('os.environ')) {
-          hasEnvVars = true;
-          break;
-        }
-      } catch (e) {
-        // Skip
-      }
-    }
+    const hasEnvVars = await evidence.scanFiles(
+      'security/env-vars',
+      files,
+      envUsage.slice(0, 10),
+      ['process.env', 'os.getenv', 'os.environ']
+    );
+    
+    // Stack-wide guidelines cite the manifest the language was detected from
+    evidence.add('security/node', files.match('package.json'));
+    evidence.add('security/python', files.match(PYTHON_MANIFESTS));
+    // File names alone are a weak signal
+    evidence.add('security/auth-files', authFiles, { confidence: 'low' });
+    evidence.add('security/validation-files', validationFiles, { confidence: 'low' });
     
     // Generate security skills based on findings
     const securityGuidelines = [];
     
+    // Ecosystem guidance, ordered by how much code each language has
+    const sections = [];
+    
     if (techStack.hasNode) {
-      securityGuidelines.push(
+      sections.push({ languages: ['JavaScript', 'TypeScript'], guidelines: withEvidence([
         'Always use parameterized queries or ORM methods to prevent SQL injection',
         'Validate and sanitize all user inputs before processing',
         'Use environment variables for sensitive data, never hardcode secrets',
@@ -64,46 +61,48 @@ export async function generateSecuritySkills(workspaceRoot, techStack, context)
         'Implement rate limiting on API endpoints',
         'Use Content Security Policy (CSP) headers',
         'Keep dependencies updated and scan for vulnerabilities'
-      );
+      ], evidence.get('security/node')) });
     }
     
     if (techStack.hasPython) {
-      securityGuidelines.push(
+      sections.push({ languages: ['Python'], guidelines: withEvidence([
         'Use parameterized queries with database libraries',
         'Validate inputs using libraries like pydantic or marshmallow',
         'Never use eval() or exec() with user input',
         'Use secrets management for API keys and credentials',
         'Implement proper session management',
         'Use CSRF protection for forms'
-      );
+      ], evidence.get('security/python')) });
     }
     
+    securityGuidelines.push(...orderByLanguage(techStack, sections));
+    
     if (authFiles.length > 0) {
-      securityGuidelines.push(
+      securityGuidelines.push(...withEvidence([
         'Follow OAuth 2.0 best practices when implementing authentication',
         'Store JWT tokens securely (httpOnly cookies preferred over localStorage)',
         'Implement token refresh mechanisms',
         'Validate JWT signatures and expiration',
         'Use strong password hashing (bcrypt, argon2)'
-      );
+      ], evidence.get('security/auth-files')));
     }
     
     if (validationFiles.length > 0) {
-      securityGuidelines.push(
+      securityGuidelines.push(...withEvidence([
         'Validate input types, ranges, and formats',
         'Sanitize user input to prevent XSS attacks',
         'Use whitelist validation over blacklist',
         'Validate file uploads (type, size, content)'
-      );
+      ], evidence.get('security/validation-files')));
     }
     
     if (hasEnvVars) {
-      securityGuidelines.push(
+      securityGuidelines.push(...withEvidence([
         'Never commit .env files to version control',
         'Use different credentials for development, staging, and production',
         'Rotate secrets regularly',
         'Use secret management services in production'
-      );
+      ], evidence.get('security/env-vars')));
     }
     
     // Create security skill
@@ -124,3 +123,12 @@ export async function generateSecuritySkills(workspaceRoot, techStack, context)
   
   return skills;
 }
+
+registerAnalyzer({
+  name: 'security',
+  displayName: 'Security Analyzer',
+  category: 'security',
+  inputs: ['**/*.{js,ts,jsx,tsx,py,java,go,json}', '**/.env*', 'package.json', PYTHON_MANIFESTS],
+  appliesTo: () => true,
+  analyze: generateSecuritySkills
+});
@@ -1,6 +1,102 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { glob } from 'glob';
+import { createFileIndex } from '../utils/file-index.js';
+import { readLockfile } from '../utils/lockfile.js';
+import { readPythonProject } from '../utils/python-project.js';
+import { readGoModules, findModule } from '../utils/go-module.js';
+import { readCargoManifests } from '../utils/cargo.js';
+import { readJvmBuild, findDependency, findPlugin } from '../utils/jvm-build.js';
+import { countLanguages, primaryLanguages } from '../utils/language-census.js';
+
+// Packages whose installed version changes the guidance analyzers give
+const VERSIONED_PACKAGES = [
+  'react', 'next', 'vue', '@angular/core', 'express', '@nestjs/core', 'fastify', 'koa',
+  'typescript', 'webpack', 'vite', 'jest', 'vitest', 'mongoose', 'prisma', '@prisma/client'
+];
+
+// The flags standing for each language once the census has weighed them;
+// hasJava covers every JVM language
+const LANGUAGE_FLAGS = {
+  hasTypeScript: ['TypeScript'],
+  hasPython: ['Python'],
+  hasJava: ['Java', 'Kotlin'],
+  hasKotlin: ['Kotlin'],
+  hasGo: ['Go'],
+  hasRust: ['Rust']
+};
+
+// What Go modules and Rust crates add to the tech stack
+const GO_MODULES = {
+  'github.com/gin-gonic/gin': { frameworks: ['Gin'] },
+  'github.com/labstack/echo': { frameworks: ['Echo'] },
+  'github.com/gofiber/fiber': { frameworks: ['Fiber'] },
+  'github.com/go-chi/chi': { frameworks: ['chi'] },
+  'gorm.io/gorm': { databases: ['GORM', 'SQL'] },
+  'gorm.io/driver/postgres': { databases: ['PostgreSQL'] },
+  'gorm.io/driver/mysql': { databases: ['MySQL'] },
+  'github.com/jmoiron/sqlx': { databases: ['sqlx', 'SQL'] },
+  'github.com/jackc/pgx': { databases: ['PostgreSQL'] },
+  'github.com/lib/pq': { databases: ['PostgreSQL'] },
+  'github.com/go-sql-driver/mysql': { databases: ['MySQL'] },
+  'github.com/redis/go-redis': { databases: ['Redis'] },
+  'github.com/go-redis/redis': { databases: ['Redis'] },
+  'go.mongodb.org/mongo-driver': { databases: ['MongoDB'] }
+};
+
+const RUST_CRATES = {
+  'actix-web': { frameworks: ['Actix Web'] },
+  axum: { frameworks: ['Axum'] },
+  rocket: { frameworks: ['Rocket'] },
+  tokio: { frameworks: ['Tokio'] },
+  diesel: { databases: ['Diesel', 'SQL'] },
+  'sea-orm': { databases: ['SeaORM', 'SQL'] },
+  sqlx: { databases: ['sqlx', 'SQL'] },
+  'tokio-postgres': { databases: ['PostgreSQL'] },
+  redis: { databases: ['Redis'] },
+  mongodb: { databases: ['MongoDB'] }
+};
+
+// What Maven and Gradle dependencies and plugins add to the tech stack
+const JVM_LIBRARIES = [
+  {
+    frameworks: ['Spring Boot'],
+    dependencies: ['org.springframework.boot:*'],
+    plugins: ['org.springframework.boot', 'org.springframework.boot:spring-boot-maven-plugin']
+  },
+  {
+    frameworks: ['Quarkus'],
+    dependencies: ['io.quarkus:*', 'io.quarkus.platform:*'],
+    plugins: ['io.quarkus', 'io.quarkus*:quarkus-maven-plugin']
+  },
+  {
+    frameworks: ['Micronaut'],
+    dependencies: ['io.micronaut*:*'],
+    plugins: ['io.micronaut.*', 'io.micronaut*:micronaut-maven-plugin']
+  },
+  {
+    databases: ['Hibernate', 'SQL'],
+    dependencies: [
+      'org.hibernate*:hibernate-core',
+      'org.springframework.boot:spring-boot-starter-data-jpa',
+      'jakarta.persistence:*',
+      'javax.persistence:*',
+      'io.quarkus:quarkus-hibernate-orm*',
+      'io.micronaut.data:micronaut-data-hibernate-jpa'
+    ]
+  },
+  { databases: ['PostgreSQL'], dependencies: ['org.postgresql:postgresql'] },
+  { databases: ['MySQL'], dependencies: ['mysql:mysql-connector-java', 'com.mysql:mysql-connector-j'] }
+];
+
+/**
+ * Adds the frameworks and databases a dependency implies, once each
+ */
+function addDetected(techStack, { frameworks = [], databases = [] }) {
+  for (const framework of frameworks) {
+    if (!techStack.frameworks.includes(framework)) techStack.frameworks.push(framework);
+  }
+  for (const database of databases) {
+    if (!techStack.databases.includes(database)) techStack.databases.push(database);
+  }
+}
 
 /**
  * Analyzes the codebase to detect the tech stack
@@ -17,26 +113,34 @@ export async function analyzeTechStack(workspaceRoot, context) {
     buildTools: [],
     packageManagers: [],
     cloudProviders: [],
+    versions: {},
+    languageStats: {},
+    primaryLanguages: [],
     hasReact: false,
     hasTypeScript: false,
     hasNode: false,
     hasPython: false,
     hasJava: false,
+    hasKotlin: false,
     hasGo: false,
     hasRust: false
   };
   
   try {
+    const files = context?.files ?? await createFileIndex(workspaceRoot);
+    
     // Check for package.json (Node.js/JavaScript)
-    try {
-      const packageJson = JSON.parse(
-        await fs.readFile(path.join(workspaceRoot, 'package.json'), 'utf-8')
-      );
-      techStack.packageManagers.push('npm');
+    const packageJson = await files.readJson('package.json');
+    if (packageJson) {
       techStack.hasNode = true;
+      const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+      
+      // Detect the package manager and installed versions from the lockfile
+      const lock = await readLockfile(files, packageJson, VERSIONED_PACKAGES.filter(name => deps[name]), logger);
+      techStack.packageManagers.push(lock.packageManager);
+      techStack.versions = lock.versions;
       
       if (packageJson.dependencies || packageJson.devDependencies) {
-        const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
         
         // Detect React
         if (deps.react || deps['react-dom']) {
@@ -77,95 +181,100 @@ export async function analyzeTechStack(workspaceRoot, context) {
       if (techStack.hasTypeScript) {
         techStack.languages.push('TypeScript');
       }
-    } catch (e) {
-      // No package.json
     }
     
-    // Check for requirements.txt or pyproject.toml (Python)
-    try {
-      await fs.access(path.join(workspaceRoot, 'requirements.txt'));
+    // Check for pyproject.toml, Pipfile, setup.cfg, setup.py or requirements files (Python)
+    const python = await readPythonProject(files, logger);
+    if (python) {
       techStack.hasPython = true;
       techStack.languages.push('Python');
-      techStack.packageManagers.push('pip');
+      techStack.packageManagers.push(python.packageManager);
       
       // Check for frameworks
-      const requirements = await fs.readFile(
-        path.join(workspaceRoot, 'requirements.txt'),
-        'utf-8'
-      );
-      if (requirements.includes('django')) techStack.frameworks.push('Django');
-      if (requirements.includes('flask')) techStack.frameworks.push('Flask');
-      if (requirements.includes('fastapi')) techStack.frameworks.push('FastAPI');
-      if (requirements.includes('sqlalchemy')) techStack.databases.push('SQL');
-    } catch (e) {
-      // No requirements.txt
+      const deps = python.dependencies;
+      if (deps.has('django')) techStack.frameworks.push('Django');
+      if (deps.has('flask')) techStack.frameworks.push('Flask');
+      if (deps.has('fastapi')) techStack.frameworks.push('FastAPI');
+      if (deps.has('sqlalchemy') || deps.has('flask-sqlalchemy')) techStack.databases.push('SQL');
     }
     
-    // Check for pom.xml or build.gradle (Java)
-    try {
-      await fs.access(path.join(workspaceRoot, 'pom.xml'));
+    // Check for pom.xml, build.gradle or build.gradle.kts (Java, Kotlin).
+    // hasJava is set for any JVM build, so Kotlin projects get JVM guidance too.
+    const jvmBuild = await readJvmBuild(files, logger);
+    if (jvmBuild) {
       techStack.hasJava = true;
-      techStack.languages.push('Java');
-      techStack.packageManagers.push('Maven');
-    } catch (e) {
-      try {
-        await fs.access(path.join(workspaceRoot, 'build.gradle'));
-        techStack.hasJava = true;
-        techStack.languages.push('Java');
-        techStack.packageManagers.push('Gradle');
-      } catch (e2) {
-        // No Java build files
+      techStack.hasKotlin = Boolean(
+        findPlugin(jvmBuild, 'org.jetbrains.kotlin*', 'kotlin') ||
+        findDependency(jvmBuild, 'org.jetbrains.kotlin:kotlin-stdlib*') ||
+        files.byExtension('kt').length > 0
+      );
+      if (!techStack.hasKotlin || files.byExtension('java').length > 0) techStack.languages.push('Java');
+      if (techStack.hasKotlin) techStack.languages.push('Kotlin');
+      techStack.packageManagers.push(...jvmBuild.buildTools);
+      for (const { dependencies = [], plugins = [], ...detected } of JVM_LIBRARIES) {
+        if (findDependency(jvmBuild, ...dependencies) || findPlugin(jvmBuild, ...plugins)) addDetected(techStack, detected);
       }
     }
     
     // Check for go.mod (Go)
-    try {
-      await fs.access(path.join(workspaceRoot, 'go.mod'));
+    const goModules = await readGoModules(files);
+    if (goModules) {
       techStack.hasGo = true;
       techStack.languages.push('Go');
-    } catch (e) {
-      // No go.mod
+      techStack.packageManagers.push('Go modules');
+      for (const [modulePath, detected] of Object.entries(GO_MODULES)) {
+        if (findModule(goModules, modulePath)) addDetected(techStack, detected);
+      }
     }
     
     // Check for Cargo.toml (Rust)
-    try {
-      await fs.access(path.join(workspaceRoot, 'Cargo.toml'));
+    const cargo = await readCargoManifests(files, logger);
+    if (cargo) {
       techStack.hasRust = true;
       techStack.languages.push('Rust');
-    } catch (e) {
-      // No Cargo.toml
+      techStack.packageManagers.push('Cargo');
+      for (const [crate, detected] of Object.entries(RUST_CRATES)) {
+        if (cargo.dependencies.has(crate)) addDetected(techStack, detected);
+      }
     }
     
-    // Check for cloud provider configs
-    try {
-      const files = await glob('**/{vercel.json,netlify.toml,serverless.yml,.github/workflows/*.yml}', {
-        cwd: workspaceRoot,
-        absolute: false
-      });
-      if (files.some(f => f.includes('vercel'))) techStack.cloudProviders.push('Vercel');
-      if (files.some(f => f.includes('netlify'))) techStack.cloudProviders.push('Netlify');
-      if (files.some(f => f.includes('serverless'))) techStack.cloudProviders.push('AWS Lambda');
-      if (files.some(f => f.includes('.github/workflows'))) techStack.cloudProviders.push('GitHub Actions');
-    } catch (e) {
-      // Ignore
+    // Weigh the manifests against the source code: a manifest language with
+    // no source files is dropped (a package.json kept for tooling does not
+    // make a Python codebase JavaScript), primary languages are added even
+    // without a manifest, and the languages are ordered by lines of code
+    techStack.languageStats = await countLanguages(workspaceRoot, files, { cache: context?.cache });
+    const counted = Object.keys(techStack.languageStats);
+    if (counted.length > 0) {
+      techStack.primaryLanguages = primaryLanguages(techStack.languageStats);
+      techStack.languages = counted.filter(language =>
+        techStack.languages.includes(language) || techStack.primaryLanguages.includes(language)
+      );
+      // The flags follow suit. hasNode means a package.json is there to read,
+      // so it is only ever cleared.
+      for (const [flag, languages] of Object.entries(LANGUAGE_FLAGS)) {
+        techStack[flag] = languages.some(language => techStack.languages.includes(language));
+      }
+      techStack.hasNode &&= techStack.languages.some(language => ['JavaScript', 'TypeScript'].includes(language));
+    } else {
+      techStack.primaryLanguages = [...techStack.languages];
     }
     
+    // Check for cloud provider configs
+    const cloudFiles = files.match('**/{vercel.json,netlify.toml,serverless.yml,.github/workflows/*.yml}');
+    if (cloudFiles.some(f => f.includes('vercel'))) techStack.cloudProviders.push('Vercel');
+    if (cloudFiles.some(f => f.includes('netlify'))) techStack.cloudProviders.push('Netlify');
+    if (cloudFiles.some(f => f.includes('serverless'))) techStack.cloudProviders.push('AWS Lambda');
+    if (cloudFiles.some(f => f.includes('.github/workflows'))) techStack.cloudProviders.push('GitHub Actions');
+    
     // Check for Docker
-    try {
-      await fs.access(path.join(workspaceRoot, 'Dockerfile'));
+    if (files.has('Dockerfile')) {
       techStack.buildTools.push('Docker');
-    } catch (e) {
-      // No Dockerfile
     }
     
     // Check for Kubernetes
-    try {
-      const k8sFiles = await glob('**/*.yaml', { cwd: workspaceRoot });
-      if (k8sFiles.some(f => f.includes('k8s') || f.includes('kubernetes'))) {
-        techStack.cloudProviders.push('Kubernetes');
-      }
-    } catch (e) {
-      // Ignore
+    const k8sFiles = files.byExtension('yaml');
+    if (k8sFiles.some(f => f.includes('k8s') || f.includes('kubernetes'))) {
+      techStack.cloudProviders.push('Kubernetes');
     }
     
     return techStack;
@@ -1,6 +1,12 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { glob } from 'glob';
+import { createFileIndex } from '../utils/file-index.js';
+import { createEvidence, withEvidence } from '../utils/evidence.js';
+import { findExamples } from '../utils/examples.js';
+import { PYTHON_MANIFESTS, readPythonProject, dependencyPattern } from '../utils/python-project.js';
+import { GO_MANIFESTS, readGoModules, findModule } from '../utils/go-module.js';
+import { CARGO_MANIFESTS, readCargoManifests } from '../utils/cargo.js';
+import { JVM_MANIFESTS, VERSION_CATALOG, readJvmBuild, findDependency, declarationPattern } from '../utils/jvm-build.js';
+import { orderByLanguage } from '../utils/language-census.js';
+import { registerAnalyzer } from './registry.js';
 
 /**
  * Analyzes testing patterns and generates testing-specific skills
@@ -13,26 +19,27 @@ export async function generateTestingSkills(workspaceRoot, techStack, context) {
   const skills = [];
   
   try {
+    const files = context?.files ?? await createFileIndex(workspaceRoot);
+    const evidence = createEvidence();
+    
     // Find test files
-    const testFiles = await glob('**/*{test,spec}*.{js,ts,jsx,tsx,py,java,go}', {
-      cwd: workspaceRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
-    });
+    const testFiles = files.match('**/*{test,spec}*.{js,ts,jsx,tsx,py,java,kt,go,rs}');
     
     // Check for testing frameworks
     let usesJest = false;
     let usesVitest = false;
     let usesMocha = false;
     let usesPytest = false;
-    let usesJUnit = false;
+    let usesTestify = false;
+    let usesJUnit4 = false;
+    let usesJUnit5 = false;
+    let usesMockito = false;
     let usesReactTestingLibrary = false;
     let usesCypress = false;
     let usesPlaywright = false;
     
-    try {
-      const packageJson = JSON.parse(
-        await fs.readFile(path.join(workspaceRoot, 'package.json'), 'utf-8')
-      );
+    const packageJson = await files.readJson('package.json');
+    if (packageJson) {
       const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
       if (deps.jest) usesJest = true;
       if (deps.vitest) usesVitest = true;
@@ -40,20 +47,45 @@ export async function generateTestingSkills(workspaceRoot, techStack, context) {
       if (deps['@testing-library/react']) usesReactTestingLibrary = true;
       if (deps.cypress) usesCypress = true;
       if (deps['@playwright/test']) usesPlaywright = true;
-    } catch (e) {
-      // No package.json
     }
     
     // Check for Python testing
-    try {
-      const requirements = await fs.readFile(
-        path.join(workspaceRoot, 'requirements.txt'),
-        'utf-8'
-      );
-      if (requirements.includes('pytest')) usesPytest = true;
-    } catch (e) {
-      // No requirements.txt
+    const python = await readPythonProject(files);
+    const pytest = python?.dependencies.get('pytest');
+    if (pytest) usesPytest = true;
+    
+    await evidence.scanDependencies('testing/jest', files, 'jest');
+    await evidence.scanDependencies('testing/vitest', files, 'vitest');
+    await evidence.scanDependencies('testing/mocha', files, 'mocha');
+    await evidence.scanDependencies('testing/react-testing-library', files, '@testing-library/react');
+    await evidence.scanDependencies('testing/cypress', files, 'cypress');
+    await evidence.scanDependencies('testing/playwright', files, '@playwright/test');
+    if (pytest) {
+      await evidence.scanFiles('testing/pytest', files, [pytest.file], dependencyPattern('pytest'), { confidence: 'medium' });
     }
+    evidence.add('testing/python', python?.manifests ?? []);
+    
+    // Check for JVM testing. spring-boot-starter-test brings JUnit 5 and Mockito.
+    const jvmBuild = await readJvmBuild(files);
+    const jvmRule = async (rule, ...patterns) => {
+      const declared = findDependency(jvmBuild, ...patterns);
+      if (declared) await evidence.scanFiles(rule, files, [declared.file], declarationPattern(declared), { confidence: 'medium' });
+      return declared !== null;
+    };
+    usesJUnit5 = await jvmRule('testing/junit', 'org.junit.jupiter:*', 'org.junit:junit-bom',
+      'org.springframework.boot:spring-boot-starter-test', 'io.quarkus:quarkus-junit5*', 'io.micronaut.test:micronaut-test-junit5');
+    usesJUnit4 = await jvmRule('testing/junit4', 'junit:junit', 'org.junit.vintage:*');
+    usesMockito = await jvmRule('testing/mockito', 'org.mockito*:*', 'org.springframework.boot:spring-boot-starter-test');
+    
+    // Check for Go and Rust testing
+    const goModules = await readGoModules(files);
+    const testify = findModule(goModules, 'github.com/stretchr/testify');
+    if (testify) {
+      usesTestify = true;
+      await evidence.scanFiles('testing/testify', files, [testify.file], testify.path, { confidence: 'medium' });
+    }
+    evidence.add('testing/go', goModules?.manifests ?? []);
+    evidence.add('testing/rust', (await readCargoManifests(files))?.manifests ?? []);
     
     const testingGuidelines = [];
     
@@ -71,10 +103,14 @@ export async function generateTestingSkills(workspaceRoot, techStack, context) {
       'Refactor tests when code changes'
     );
     
+    // Ecosystem guidance, ordered by how much code each language has
+    const sections = [];
+    
     // JavaScript/TypeScript testing
     if (techStack.hasNode) {
+      const nodeGuidelines = [];
       if (usesJest) {
-        testingGuidelines.push(
+        nodeGuidelines.push(...withEvidence([
           'Use Jest for unit and integration tests',
           'Use describe blocks to group related tests',
           'Use beforeEach/afterEach for test setup and cleanup',
@@ -83,28 +119,28 @@ export async function generateTestingSkills(workspaceRoot, techStack, context) {
           'Use test.each for parameterized tests',
           'Configure Jest coverage thresholds',
           'Use async/await in tests for async code'
-        );
+        ], evidence.get('testing/jest')));
       }
       
       if (usesVitest) {
-        testingGuidelines.push(
+        nodeGuidelines.push(...withEvidence([
           'Use Vitest for fast unit tests',
           'Leverage Vitest\'s ESM support',
           'Use Vitest UI for better test debugging',
           'Configure Vitest for your project structure'
-        );
+        ], evidence.get('testing/vitest')));
       }
       
       if (usesMocha) {
-        testingGuidelines.push(
+        nodeGuidelines.push(...withEvidence([
           'Use Mocha with Chai for assertions',
           'Use beforeEach/afterEach hooks for setup',
           'Organize tests with describe blocks'
-        );
+        ], evidence.get('testing/mocha')));
       }
       
       if (usesReactTestingLibrary && techStack.hasReact) {
-        testingGuidelines.push(
+        nodeGuidelines.push(...withEvidence([
           'Use React Testing Library for component tests',
           'Test user interactions, not implementation details',
           'Use accessible queries (getByRole, getByLabelText)',
@@ -113,11 +149,11 @@ export async function generateTestingSkills(workspaceRoot, techStack, context) {
           'Test accessibility as part of component tests',
           'Use userEvent for simulating user interactions',
           'Mock external API calls in tests'
-        );
+        ], evidence.get('testing/react-testing-library')));
       }
       
       if (usesCypress) {
-        testingGuidelines.push(
+        nodeGuidelines.push(...withEvidence([
           'Use Cypress for end-to-end testing',
           'Write tests from user perspective',
           'Use data-cy attributes for stable selectors',
@@ -125,25 +161,28 @@ export async function generateTestingSkills(workspaceRoot, techStack, context) {
           'Use custom commands for reusable actions',
           'Test critical user flows',
           'Use fixtures for test data'
-        );
+        ], evidence.get('testing/cypress')));
       }
       
       if (usesPlaywright) {
-        testingGuidelines.push(
+        nodeGuidelines.push(...withEvidence([
           'Use Playwright for cross-browser testing',
           'Write tests that work across browsers',
           'Use page object model for maintainability',
           'Test accessibility with Playwright',
           'Use Playwright\'s auto-waiting features',
           'Test on multiple viewport sizes'
-        );
+        ], evidence.get('testing/playwright')));
       }
+      
+      sections.push({ languages: ['JavaScript', 'TypeScript'], guidelines: nodeGuidelines });
     }
     
     // Python testing
     if (techStack.hasPython) {
+      const pythonGuidelines = [];
       if (usesPytest) {
-        testingGuidelines.push(
+        pythonGuidelines.push(...withEvidence([
           'Use pytest for Python testing',
           'Use fixtures for test setup and dependencies',
           'Use parametrize for testing multiple inputs',
@@ -151,29 +190,97 @@ export async function generateTestingSkills(workspaceRoot, techStack, context) {
           'Use pytest fixtures for dependency injection',
           'Follow pytest naming conventions',
           'Use pytest plugins for additional functionality'
-        );
+        ], evidence.get('testing/pytest')));
       }
       
-      testingGuidelines.push(
+      pythonGuidelines.push(...withEvidence([
         'Use unittest.mock for mocking',
         'Test both success and failure cases',
         'Use pytest-cov for coverage reporting'
-      );
+      ], evidence.get('testing/python')));
+      
+      sections.push({ languages: ['Python'], guidelines: pythonGuidelines });
     }
     
-    // Java testing
+    // Java and Kotlin testing
     if (techStack.hasJava) {
-      if (usesJUnit) {
-        testingGuidelines.push(
+      const jvmGuidelines = [];
+      if (usesJUnit5) {
+        jvmGuidelines.push(...withEvidence([
           'Use JUnit for unit testing',
           'Use @BeforeEach and @AfterEach for setup',
           'Use assertions from AssertJ or Hamcrest',
           'Use @ParameterizedTest for multiple test cases',
           'Follow JUnit 5 best practices'
-        );
+        ], evidence.get('testing/junit')));
+      }
+      
+      if (usesJUnit4 && usesJUnit5) {
+        jvmGuidelines.push(...withEvidence([
+          'Write new tests with JUnit 5 (org.junit.jupiter) and migrate JUnit 4 tests as you touch them',
+          'Run remaining JUnit 4 tests on the JUnit Platform through the vintage engine'
+        ], evidence.get('testing/junit4')));
+      } else if (usesJUnit4) {
+        jvmGuidelines.push(...withEvidence([
+          'Use JUnit 4 for unit testing',
+          'Use @Before and @After for setup and cleanup',
+          'Use @RunWith(Parameterized.class) for multiple test cases',
+          'Use assertThrows (JUnit 4.13+) instead of @Test(expected = ...)',
+          'Do not mix in JUnit 5 annotations: org.junit.jupiter tests are not run by the JUnit 4 runner'
+        ], evidence.get('testing/junit4')));
+      }
+      
+      if (usesMockito) {
+        jvmGuidelines.push(...withEvidence([
+          usesJUnit5
+            ? 'Create mocks with @ExtendWith(MockitoExtension.class) and @Mock instead of calling mock() in every test'
+            : 'Create mocks with @RunWith(MockitoJUnitRunner.class) and @Mock instead of calling mock() in every test',
+          'Stub with when(...).thenReturn(...) and verify only the interactions the test is about',
+          'Prefer constructor injection so classes can be tested with plain mocks',
+          ...(techStack.frameworks.includes('Spring Boot')
+            ? ['Reserve @MockBean for Spring slice tests; it rebuilds the application context']
+            : [])
+        ], evidence.get('testing/mockito')));
       }
+      
+      sections.push({ languages: ['Java', 'Kotlin'], guidelines: jvmGuidelines });
+    }
+    
+    // Go testing
+    if (techStack.hasGo) {
+      const goGuidelines = [];
+      goGuidelines.push(...withEvidence([
+        'Write table-driven tests with t.Run subtests',
+        'Call t.Helper() in test helpers so failures point at the caller',
+        'Run tests with -race in CI',
+        'Use t.Cleanup and t.TempDir instead of manual teardown'
+      ], evidence.get('testing/go')));
+      
+      if (usesTestify) {
+        goGuidelines.push(...withEvidence([
+          'Use testify require for preconditions that must stop the test and assert for independent checks',
+          'Use testify suite when tests share setup and teardown',
+          'Generate testify mocks with mockery instead of writing them by hand'
+        ], evidence.get('testing/testify')));
+      }
+      
+      sections.push({ languages: ['Go'], guidelines: goGuidelines });
     }
     
+    // Rust testing
+    if (techStack.hasRust) {
+      const rustGuidelines = [];
+      rustGuidelines.push(...withEvidence([
+        'Keep unit tests in a #[cfg(test)] mod tests next to the code and integration tests in tests/',
+        'Return Result from tests and use ? instead of unwrap where setup can fail',
+        ...(techStack.frameworks.includes('Tokio') ? ['Use #[tokio::test] for async tests'] : [])
+      ], evidence.get('testing/rust')));
+      
+      sections.push({ languages: ['Rust'], guidelines: rustGuidelines });
+    }
+    
+    testingGuidelines.push(...orderByLanguage(techStack, sections));
+    
     // Test organization
     testingGuidelines.push(
       'Organize tests to mirror source code structure',
@@ -183,11 +290,18 @@ export async function generateTestingSkills(workspaceRoot, techStack, context) {
       'Review and refactor tests regularly'
     );
     
+    // Representative test cases from the codebase
+    const examples = [
+      ...await findExamples(files, testFiles.filter(f => !f.endsWith('.py')), /^\s*(it|test)\(/, { title: 'Test case' }),
+      ...await findExamples(files, testFiles.filter(f => f.endsWith('.py')), /^\s*(async\s+)?def test_/, { title: 'Test case' })
+    ];
+    
     skills.push({
       name: 'testing-best-practices',
       displayName: 'Testing Best Practices',
       description: 'Guidelines for writing effective tests based on detected testing frameworks',
       guidelines: testingGuidelines,
+      examples,
       category: 'testing',
       techStack: techStack.languages,
       metadata: {
@@ -197,7 +311,10 @@ export async function generateTestingSkills(workspaceRoot, techStack, context) {
           usesVitest && 'Vitest',
           usesMocha && 'Mocha',
           usesPytest && 'pytest',
-          usesJUnit && 'JUnit',
+          usesJUnit5 && 'JUnit 5',
+          usesJUnit4 && 'JUnit 4',
+          usesMockito && 'Mockito',
+          usesTestify && 'testify',
           usesReactTestingLibrary && 'React Testing Library',
           usesCypress && 'Cypress',
           usesPlaywright && 'Playwright'
@@ -213,3 +330,12 @@ export async function generateTestingSkills(workspaceRoot, techStack, context) {
   
   return skills;
 }
+
+registerAnalyzer({
+  name: 'testing',
+  displayName: 'Testing Analyzer',
+  category: 'testing',
+  inputs: ['**/*.{js,ts,jsx,tsx,py,java,kt,go,rs}', 'package.json', PYTHON_MANIFESTS, GO_MANIFESTS, CARGO_MANIFESTS, JVM_MANIFESTS, VERSION_CATALOG],
+  appliesTo: () => true,
+  analyze: generateTestingSkills
+});
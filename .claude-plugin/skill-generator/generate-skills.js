@@ -1,21 +1,21 @@
 #!/usr/bin/env node
 
 /**
- * Skill Generator - Main entry point
+ * Skill Generator - Command line entry point
  * Analyzes codebase and generates specialized skills using 10 sub-agents
  */
 
-import { analyzeTechStack } from './analyzers/tech-stack-analyzer.js';
-import { generateSecuritySkills } from './analyzers/security-analyzer.js';
-import { generatePerformanceSkills } from './analyzers/performance-analyzer.js';
-import { generateReactSkills } from './analyzers/react-analyzer.js';
-import { generateBackendSkills } from './analyzers/backend-analyzer.js';
-import { generateFrontendSkills } from './analyzers/frontend-analyzer.js';
-import { generateDatabaseSkills } from './analyzers/database-analyzer.js';
-import { generateAPISkills } from './analyzers/api-analyzer.js';
-import { generateTestingSkills } from './analyzers/testing-analyzer.js';
-import { generateDevOpsSkills } from './analyzers/devops-analyzer.js';
-import { saveSkill } from './utils/skill-writer.js';
+import {
+  generateSkills,
+  listAnalyzers,
+  cleanGeneratedSkills,
+  rollbackSkills,
+  UsageError,
+  ConfigError,
+  SkillGeneratorError
+} from './index.js';
+import path from 'path';
+import { parseArgs, formatHelp } from './utils/cli.js';
 
 // Simple logger that uses console
 const logger = {
@@ -23,141 +23,169 @@ const logger = {
   error: (msg) => console.error(msg)
 };
 
-// Get workspace root from command line argument or use current working directory
-const workspaceRoot = process.argv[2] || process.cwd();
+/**
+ * Logs the end-of-run summary
+ */
+function logSummary({ techStack, skills }) {
+  logger.info('\n📋 Skill Generation Summary:');
+  logger.info(`   Total Skills Generated: ${skills.length}`);
+  const share = (language) => techStack.languageStats?.[language]
+    ? ` (${Math.round(techStack.languageStats[language].share * 100)}%)`
+    : '';
+  logger.info(`   Tech Stack: ${techStack.languages.map(language => `${language}${share(language)}`).join(', ')}`);
+  logger.info(`   Frameworks: ${techStack.frameworks.join(', ') || 'None detected'}`);
+  logger.info(`   Databases: ${techStack.databases.join(', ') || 'None detected'}`);
+}
 
-// Create context object
-const context = {
-  workspaceRoot,
-  logger
-};
+/**
+ * Prints the diff of every added or changed skill, and the path of every
+ * stale one, followed by a summary
+ */
+function logDryRun(changes) {
+  for (const change of changes.filter(c => c.status !== 'unchanged')) {
+    // Stale files have no diff; what happens to them depends on --prune
+    logger.info(change.diff ? `\n${change.diff}` : `\n${change.status} ${change.filePath}`);
+  }
+
+  const count = (status) => changes.filter(c => c.status === status).length;
+  logger.info('\n🔍 Dry run summary (no files written):');
+  for (const change of changes) {
+    logger.info(`   ${change.status.padEnd(9)} ${change.filePath}`);
+  }
+  logger.info(`   Added: ${count('added')}, Changed: ${count('changed')}, Unchanged: ${count('unchanged')}, Stale: ${count('stale')}`);
+}
+
+// Diff lines shown per file in the --check report
+const CHECK_DIFF_LINES = 8;
+
+/**
+ * Prints the files that are out of date with the lines that differ.
+ * Returns the number of drifted files.
+ */
+function logCheck(changes, workspaceRoot) {
+  const drifted = changes.filter(c => c.status !== 'unchanged');
+  if (drifted.length === 0) {
+    logger.info(`\n✅ All ${changes.length} generated file(s) are up to date`);
+    return 0;
+  }
+
+  logger.error(`\n❌ ${drifted.length} generated file(s) are out of date:`);
+  for (const change of drifted) {
+    logger.error(`\n   ${change.status.padEnd(9)} ${path.relative(workspaceRoot, change.filePath)}`);
+    if (change.status === 'stale') {
+      logger.error('             no analyzer produces this file anymore');
+      continue;
+    }
+    const lines = change.diff.split('\n')
+      .filter(line => /^[+-]/.test(line) && !/^(\+\+\+|---) /.test(line));
+    for (const line of lines.slice(0, CHECK_DIFF_LINES)) {
+      logger.error(`             ${line}`);
+    }
+    if (lines.length > CHECK_DIFF_LINES) {
+      logger.error(`             … ${lines.length - CHECK_DIFF_LINES} more line(s)`);
+    }
+  }
+  logger.error('\nRun generate-skills and commit the result.');
+  return drifted.length;
+}
 
 /**
- * Main function that kicks off 10 sub-agents to analyze codebase and generate skills
+ * Main function that parses the command line and dispatches to a subcommand.
+ * This is the only place that exits the process; the library throws instead.
  */
-async function main() {
+async function main(argv = process.argv.slice(2)) {
   try {
-    logger.info('🚀 Starting skill generation process with 10 sub-agents...');
-    logger.info(`📁 Workspace: ${workspaceRoot}`);
-    
-    // Step 1: Analyze tech stack first (needed by other analyzers)
-    logger.info('📊 Step 1/11: Analyzing tech stack...');
-    const techStack = await analyzeTechStack(workspaceRoot, context);
-    logger.info(`✅ Detected tech stack: ${JSON.stringify(techStack, null, 2)}`);
-    
-    // Step 2-11: Run all 10 sub-agents in parallel
-    logger.info('🤖 Step 2-11: Launching 10 sub-agents in parallel...');
-    
-    const agentPromises = [
-      {
-        name: 'Security Analyzer',
-        task: () => generateSecuritySkills(workspaceRoot, techStack, context)
-      },
-      {
-        name: 'Performance Analyzer',
-        task: () => generatePerformanceSkills(workspaceRoot, techStack, context)
-      },
-      {
-        name: 'React Analyzer',
-        task: () => generateReactSkills(workspaceRoot, techStack, context)
-      },
-      {
-        name: 'Backend Analyzer',
-        task: () => generateBackendSkills(workspaceRoot, techStack, context)
-      },
-      {
-        name: 'Frontend Analyzer',
-        task: () => generateFrontendSkills(workspaceRoot, techStack, context)
-      },
-      {
-        name: 'Database Analyzer',
-        task: () => generateDatabaseSkills(workspaceRoot, techStack, context)
-      },
-      {
-        name: 'API Analyzer',
-        task: () => generateAPISkills(workspaceRoot, techStack, context)
-      },
-      {
-        name: 'Testing Analyzer',
-        task: () => generateTestingSkills(workspaceRoot, techStack, context)
-      },
-      {
-        name: 'DevOps Analyzer',
-        task: () => generateDevOpsSkills(workspaceRoot, techStack, context)
+    const args = parseArgs(argv);
+
+    if (args.help) {
+      logger.info(formatHelp());
+      return { success: true };
+    }
+
+    const options = {
+      workspaceRoot: args.workspaceRoot || process.cwd(),
+      outputDir: args.outputDir,
+      layout: args.layout,
+      targets: args.targets,
+      configPath: args.configPath,
+      logger
+    };
+
+    if (args.command === 'list-analyzers') {
+      logger.info('Available analyzers:');
+      for (const analyzer of await listAnalyzers(options)) {
+        const source = analyzer.source === 'builtin' ? '' : ` [${analyzer.source}]`;
+        logger.info(`  ${analyzer.name.padEnd(12)} ${analyzer.displayName}${source}`);
       }
-    ];
-    
-    // Execute all agents in parallel
-    const results = await Promise.allSettled(
-      agentPromises.map(async ({ name, task }) => {
-        try {
-          logger.info(`  → Starting ${name}...`);
-          const skills = await task();
-          logger.info(`  ✅ ${name} completed: Generated ${skills.length} skill(s)`);
-          return { name, skills, success: true };
-        } catch (error) {
-          logger.error(`  ❌ ${name} failed: ${error.message}`);
-          return { name, skills: [], success: false, error: error.message };
-        }
-      })
-    );
-    
-    // Collect all generated skills
-    const allSkills = [];
-    const summary = [];
-    
-    for (const result of results) {
-      if (result.status === 'fulfilled' && result.value.success) {
-        allSkills.push(...result.value.skills);
-        summary.push({
-          agent: result.value.name,
-          skillsGenerated: result.value.skills.length,
-          status: 'success'
-        });
-      } else {
-        const agentName = result.status === 'fulfilled' 
-          ? result.value.name 
-          : 'Unknown';
-        summary.push({
-          agent: agentName,
-          skillsGenerated: 0,
-          status: 'failed',
-          error: result.status === 'rejected' 
-            ? result.reason?.message 
-            : result.value?.error
-        });
+      return { success: true };
+    }
+
+    if (args.command === 'clean') {
+      const removed = await cleanGeneratedSkills(options);
+      logger.info(`\n✅ Removed ${removed.length} generated skill file(s)`);
+      return { success: true, removed };
+    }
+
+    if (args.command === 'rollback') {
+      const restored = await rollbackSkills(options);
+      if (!restored) {
+        logger.info('Nothing to roll back: no backup found');
+        return { success: true, restored: null };
       }
+      logger.info(`\n✅ Rolled back ${restored.files.length} file(s) from backup ${restored.backup}`);
+      return { success: true, restored };
     }
-    
-    // Save all generated skills
-    logger.info(`💾 Saving ${allSkills.length} generated skill(s)...`);
-    for (const skill of allSkills) {
-      await saveSkill(skill, workspaceRoot, context);
+
+    const result = await generateSkills({
+      ...options,
+      analyzers: args.only,
+      skip: args.skip,
+      ignore: args.ignore,
+      cache: args.cache,
+      prune: args.prune,
+      tokenBudget: args.tokenBudget,
+      write: args.command !== 'report' && !args.dryRun && !args.check
+    });
+
+    if (args.check) {
+      // Exit non-zero without cutting the report short
+      const drifted = logCheck(result.changes, options.workspaceRoot);
+      if (drifted > 0) process.exitCode = 1;
+      return { success: drifted === 0, ...result };
     }
-    
-    // Generate summary report
-    const report = {
-      techStack,
-      totalSkillsGenerated: allSkills.length,
-      agents: summary,
-      timestamp: new Date().toISOString()
-    };
-    
-    logger.info('\n📋 Skill Generation Summary:');
-    logger.info(`   Total Skills Generated: ${allSkills.length}`);
-    logger.info(`   Tech Stack: ${techStack.languages.join(', ')}`);
-    logger.info(`   Frameworks: ${techStack.frameworks.join(', ') || 'None detected'}`);
-    logger.info(`   Databases: ${techStack.databases.join(', ') || 'None detected'}`);
+
+    if (args.command === 'report') {
+      logSummary(result);
+      logger.info(`\n${JSON.stringify(result.report, null, 2)}`);
+      return { success: true, ...result };
+    }
+
+    if (args.dryRun) {
+      logDryRun(result.changes);
+      return { success: true, ...result };
+    }
+
+    logSummary(result);
     logger.info('\n✅ Skill generation complete!');
-    
+
     return {
       success: true,
-      report,
-      skills: allSkills
+      report: result.report,
+      skills: result.skills,
+      files: result.files
     };
   } catch (error) {
-    logger.error(`\n❌ Fatal error: ${error.message}`);
-    logger.error(error.stack);
+    if (error instanceof UsageError) {
+      logger.error(`❌ ${error.message}\n`);
+      logger.error(formatHelp());
+    } else if (error instanceof ConfigError) {
+      logger.error(`❌ Invalid configuration: ${error.message}`);
+    } else if (error instanceof SkillGeneratorError) {
+      logger.error(`❌ ${error.message}`);
+    } else {
+      logger.error(`\n❌ Fatal error: ${error.message}`);
+      logger.error(error.stack);
+    }
     process.exit(1);
   }
 }
@@ -0,0 +1,492 @@
+/**
+ * Skill Generator - Library entry point
+ *
+ * Runs the same pipeline as the CLI without touching process.argv, the
+ * console or process.exit. Failures are reported by throwing the typed errors
+ * from ./utils/errors.js.
+ *
+ *   import { generateSkills } from 'skill-generator';
+ *   const { techStack, skills, report } = await generateSkills({
+ *     workspaceRoot: '/path/to/project',
+ *     analyzers: ['security', 'api'],
+ *     write: false
+ *   });
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  analyzeTechStack,
+  createAnalyzerRegistry,
+  loadCustomAnalyzers
+} from './analyzers/index.js';
+import { LAYOUTS, getSkillFilePath } from './utils/skill-writer.js';
+import {
+  renderTargets,
+  stageRenderedFiles,
+  compareRenderedFiles,
+  cleanTargets,
+  TARGETS,
+  DEFAULT_TARGETS
+} from './writers/index.js';
+import { formatManifest, readManifest, createManifestEntry, getManifestPath } from './utils/manifest.js';
+import { createTransaction, rollbackLatest, recoverTransaction } from './utils/transaction.js';
+import { findStaleSkills, pruneStaleSkills, PRUNE_MODES } from './utils/prune.js';
+import { createCache } from './utils/cache.js';
+import { createFileIndex } from './utils/file-index.js';
+import { loadConfig, applyGuidelineConfig } from './utils/config.js';
+import { dedupeGuidelines } from './utils/dedupe.js';
+import { validateSkills } from './utils/validate.js';
+import { loadTemplates } from './utils/template.js';
+import {
+  SkillGeneratorError,
+  UsageError,
+  ConfigError,
+  WorkspaceError,
+  WriteError,
+  SkillValidationError
+} from './utils/errors.js';
+
+export {
+  SkillGeneratorError,
+  UsageError,
+  ConfigError,
+  WorkspaceError,
+  WriteError,
+  SkillValidationError
+};
+export { createEvidence, withEvidence } from './utils/evidence.js';
+export { findExamples } from './utils/examples.js';
+export { parseFrontmatter } from './utils/yaml.js';
+
+// Used when the caller does not pass a logger
+const silentLogger = {
+  info: () => {},
+  error: () => {}
+};
+
+/**
+ * Resolves the workspace root and checks that it is a directory
+ */
+async function resolveWorkspace(workspaceRoot) {
+  const resolved = path.resolve(workspaceRoot);
+  let stat;
+  try {
+    stat = await fs.stat(resolved);
+  } catch (e) {
+    throw new WorkspaceError(`Workspace not found: ${resolved}`, resolved);
+  }
+  if (!stat.isDirectory()) {
+    throw new WorkspaceError(`Workspace is not a directory: ${resolved}`, resolved);
+  }
+  return resolved;
+}
+
+/**
+ * Loads the configuration and the analyzer registry shared by every entry point
+ */
+async function prepare(options) {
+  const logger = options.logger || silentLogger;
+  const workspaceRoot = await resolveWorkspace(options.workspaceRoot ?? process.cwd());
+
+  const config = await loadConfig(workspaceRoot, { configPath: options.configPath ?? null });
+  if (config.configPath) {
+    logger.info(`⚙️  Using configuration: ${config.configPath}`);
+  }
+
+  const context = {
+    workspaceRoot,
+    outputDir: options.outputDir ?? config.outputDir,
+    layout: options.layout ?? config.layout ?? 'flat',
+    targets: options.targets ?? config.targets ?? DEFAULT_TARGETS,
+    tokenBudget: options.tokenBudget ?? config.tokenBudget,
+    config,
+    logger
+  };
+
+  // Built-in analyzers plus any the workspace provides
+  const registry = createAnalyzerRegistry();
+  await loadCustomAnalyzers(registry, workspaceRoot, context, config.plugins);
+
+  return { workspaceRoot, config, context, registry };
+}
+
+/**
+ * Applies the configured analyzer lists and the only / skip options to the registry.
+ * Options take precedence over the configuration file.
+ */
+function selectAnalyzers(registry, { only, skip }, config) {
+  const known = new Set(registry.list().map(a => a.name));
+  const unknownIn = (names) => names.filter(name => !known.has(name));
+
+  const unknownConfigured = unknownIn([...config.analyzers.enabled, ...config.analyzers.disabled]);
+  if (unknownConfigured.length > 0) {
+    throw new ConfigError(
+      `Unknown analyzer(s): ${unknownConfigured.join(', ')}. Available: ${[...known].join(', ')}`,
+      config.configPath
+    );
+  }
+  const unknownOptions = unknownIn([...only, ...skip]);
+  if (unknownOptions.length > 0) {
+    throw new UsageError(
+      `Unknown analyzer(s): ${unknownOptions.join(', ')}. Available: ${[...known].join(', ')}`
+    );
+  }
+
+  const selected = only.length > 0 ? only : config.analyzers.enabled;
+  const skipped = [
+    ...config.analyzers.disabled.filter(name => !only.includes(name)),
+    ...skip
+  ];
+
+  return registry.list().filter(a =>
+    (selected.length === 0 || selected.includes(a.name)) && !skipped.includes(a.name)
+  );
+}
+
+/**
+ * Runs the tech stack analysis followed by the selected sub-agents in parallel.
+ * Analyzers whose inputs are unchanged since the last run reuse cached skills.
+ */
+async function runAnalyzers(workspaceRoot, analyzers, context, cache) {
+  const { logger } = context;
+  const totalSteps = analyzers.length + 1;
+
+  // Step 1: Analyze tech stack first (needed by other analyzers)
+  logger.info(`📊 Step 1/${totalSteps}: Analyzing tech stack...`);
+  const techStack = await analyzeTechStack(workspaceRoot, context);
+  logger.info(`✅ Detected tech stack: ${JSON.stringify(techStack, null, 2)}`);
+
+  // Remaining steps: run the selected sub-agents in parallel
+  logger.info(`🤖 Step 2-${totalSteps}: Launching ${analyzers.length} sub-agent(s) in parallel...`);
+
+  const results = await Promise.allSettled(
+    analyzers.map(async (analyzer) => {
+      const name = analyzer.displayName;
+      // Each analyzer sees its own options from the configuration file
+      const options = context.config?.analyzerOptions[analyzer.name] ?? {};
+      try {
+        // A custom analyzer's appliesTo may throw; the failure is still its own
+        if (analyzer.appliesTo && !analyzer.appliesTo(techStack)) {
+          logger.info(`  ⏭  Skipping ${name}: not applicable to this tech stack`);
+          return { analyzer: analyzer.name, name, skills: [], success: true, skipped: true };
+        }
+
+        const fingerprint = await cache.fingerprint(analyzer, techStack, options);
+        const cached = cache.get(analyzer, fingerprint);
+        if (cached) {
+          logger.info(`  ♻️  ${name} inputs unchanged: reusing ${cached.length} cached skill(s)`);
+          return { analyzer: analyzer.name, name, skills: cached, success: true, cached: true };
+        }
+
+        logger.info(`  → Starting ${name}...`);
+        const skills = (await analyzer.analyze(workspaceRoot, techStack, { ...context, options }))
+          .map(skill => ({
+            category: analyzer.category,
+            ...skill,
+            generatedBy: { analyzer: analyzer.name, version: analyzer.version }
+          }));
+        cache.set(analyzer, fingerprint, skills);
+        logger.info(`  ✅ ${name} completed: Generated ${skills.length} skill(s)`);
+        return { analyzer: analyzer.name, name, skills, success: true };
+      } catch (error) {
+        logger.error(`  ❌ ${name} failed: ${error.message}`);
+        return { analyzer: analyzer.name, name, skills: [], success: false, error: error.message };
+      }
+    })
+  );
+
+  // Collect all generated skills
+  const allSkills = [];
+  const summary = [];
+
+  for (const result of results) {
+    if (result.status === 'fulfilled' && result.value.success) {
+      allSkills.push(...result.value.skills);
+      summary.push({
+        agent: result.value.name,
+        analyzer: result.value.analyzer,
+        skillsGenerated: result.value.skills.length,
+        status: result.value.skipped ? 'skipped' : result.value.cached ? 'cached' : 'success'
+      });
+    } else {
+      const agentName = result.status === 'fulfilled'
+        ? result.value.name
+        : 'Unknown';
+      summary.push({
+        agent: agentName,
+        analyzer: result.value?.analyzer ?? null,
+        skillsGenerated: 0,
+        status: 'failed',
+        error: result.status === 'rejected'
+          ? result.reason?.message
+          : result.value?.error
+      });
+    }
+  }
+
+  // Configured guideline additions and suppressions
+  const configured = context.config
+    ? applyGuidelineConfig(allSkills, context.config.guidelines, logger)
+    : allSkills;
+
+  // The same advice from several analyzers is kept once, in its best-fit skill
+  const { skills, duplicates, repeated, conflicts } = dedupeGuidelines(configured);
+  if (duplicates.length > 0) {
+    logger.info(`🧹 Merged ${duplicates.length} guideline(s) repeated across skills`);
+  }
+  if (repeated.length > 0) {
+    logger.info(`🧹 Merged ${repeated.length} guideline(s) repeated within a skill`);
+  }
+  for (const conflict of conflicts) {
+    const options = conflict.options
+      .map(option => `${option.label} (${[...new Set(option.matches.map(m => m.skill))].join(', ')})`)
+      .join(' vs ');
+    logger.error(`⚠️  Conflicting ${conflict.topic} guidelines: ${options}`);
+  }
+
+  const report = {
+    techStack,
+    totalSkillsGenerated: allSkills.length,
+    agents: summary,
+    duplicates,
+    repeated,
+    conflicts,
+    timestamp: new Date().toISOString()
+  };
+
+  return { techStack, skills, report };
+}
+
+/**
+ * Names of the analyzers that ran to completion; only their previous output
+ * can be stale
+ */
+function completedAnalyzers(report) {
+  return report.agents
+    .filter(agent => agent.status !== 'failed')
+    .map(agent => agent.analyzer);
+}
+
+/**
+ * Returns the manifest entry of a rendered file; a managed section also
+ * records the analyzer of each of its blocks
+ */
+function toManifestEntry({ target, skill, filePath, content, sections }, workspaceRoot) {
+  const entry = createManifestEntry(skill, filePath, content, workspaceRoot, target);
+  return sections ? { ...entry, sections } : entry;
+}
+
+/**
+ * Lists the files of the previous run that this run would no longer produce,
+ * as changes with the status 'stale'
+ */
+async function findStaleChanges(files, workspaceRoot, context) {
+  const { stale } = findStaleSkills(context.previousManifest, files, context.completedAnalyzers, context.targets);
+
+  const changes = [];
+  for (const entry of stale) {
+    const filePath = path.join(workspaceRoot, entry.path);
+    try {
+      await fs.access(filePath);
+    } catch (e) {
+      // Deleted by hand since
+      continue;
+    }
+    changes.push({ target: entry.target, skill: entry.skill, filePath, status: 'stale', tokens: entry.tokens, diff: '' });
+  }
+  return changes;
+}
+
+/**
+ * Undoes a previous run that was interrupted while putting its files in place
+ */
+async function recoverInterruptedRun(workspaceRoot, logger) {
+  const recovered = await recoverTransaction(workspaceRoot);
+  if (recovered) {
+    logger.info(`🩹 Undid an interrupted run: restored ${recovered.files.length} file(s) from backup ${recovered.backup}`);
+  }
+  return recovered;
+}
+
+/**
+ * Writes the skills to every target, prunes stale ones and records the
+ * manifest. Everything is applied in one transaction: either all files are
+ * updated, or none are.
+ */
+async function writeSkills(result, workspaceRoot, context, prune) {
+  const { logger } = context;
+  const transaction = createTransaction(workspaceRoot);
+
+  logger.info(`💾 Saving ${result.skills.length} generated skill(s) to ${context.targets.join(', ')}...`);
+  const rendered = await renderTargets(result.skills, context.targets, workspaceRoot, context);
+  stageRenderedFiles(rendered, transaction);
+  const files = rendered.map(file => toManifestEntry(file, workspaceRoot));
+
+  // Skills from analyzers that ran but no longer produce them are stale;
+  // entries of analyzers or targets that were not run this time are carried over
+  const { stale, carried } = findStaleSkills(context.previousManifest, files, context.completedAnalyzers, context.targets);
+  if (stale.length > 0) {
+    logger.info(`🗑  Found ${stale.length} stale skill(s)...`);
+  }
+  const keptStale = await pruneStaleSkills(stale, prune, workspaceRoot, context, transaction);
+
+  // Persist the run report with the manifest of generated files
+  const manifestPath = getManifestPath(workspaceRoot, context);
+  transaction.write(manifestPath, formatManifest(result.report, [...files, ...carried, ...keptStale]), { metadata: true });
+
+  const backupDir = await transaction.commit();
+  for (const { filePath, label, tokens } of rendered) {
+    logger.info(`  ✓ Saved ${label}: ${filePath} (~${tokens} tokens)`);
+  }
+  logger.info(`  ✓ Saved run report: ${manifestPath}`);
+  if (backupDir) {
+    logger.info(`🛟 Previous files backed up to ${path.relative(workspaceRoot, backupDir)} (undo with rollback)`);
+  }
+
+  return files;
+}
+
+/**
+ * Analyzes a workspace and generates skills.
+ *
+ * Options:
+ *   workspaceRoot - directory to analyze (default: process.cwd())
+ *   analyzers     - names of the analyzers to run (default: all enabled)
+ *   skip          - names of analyzers not to run
+ *   outputDir     - where skills are written (default: .claude/skills)
+ *   layout        - flat (<category>/<skill>.md, default) or directory (<skill>/SKILL.md)
+ *   targets       - where to write: skills (default), claude-md, agents-md, cursor, copilot
+ *   configPath    - configuration file to use instead of the default lookup
+ *   ignore        - extra .gitignore-style globs to leave out of the scan
+ *   cache         - reuse results of analyzers whose inputs are unchanged (default: true)
+ *   write         - write skills and the manifest (default: true); when false,
+ *                   `changes` describes what would be written: one entry per
+ *                   file with the status added, changed, unchanged or stale
+ *   prune         - what to do with stale skills: warn, remove or archive (default: warn)
+ *   tokenBudget   - estimated tokens a skill's main file may use before the rest
+ *                   moves to reference files (default: 2000, 0 disables)
+ *   logger        - { info, error } receiving progress messages (default: silent)
+ *
+ * Resolves to { techStack, skills, report } plus `files` (manifest entries of
+ * the written skills) or `changes` (when write is false).
+ * Throws UsageError, ConfigError, WorkspaceError, SkillValidationError or WriteError.
+ */
+export async function generateSkills(options = {}) {
+  const {
+    analyzers: only = [],
+    skip = [],
+    ignore = [],
+    cache: useCache = true,
+    write = true,
+    prune = 'warn'
+  } = options;
+
+  if (!PRUNE_MODES.includes(prune)) {
+    throw new UsageError(`Invalid prune mode "${prune}". Expected one of: ${PRUNE_MODES.join(', ')}`);
+  }
+  if (options.layout != null && !LAYOUTS.includes(options.layout)) {
+    throw new UsageError(`Invalid layout "${options.layout}". Expected one of: ${LAYOUTS.join(', ')}`);
+  }
+  const unknownTargets = (options.targets ?? []).filter(target => !TARGETS.includes(target));
+  if (unknownTargets.length > 0) {
+    throw new UsageError(`Unknown target(s): ${unknownTargets.join(', ')}. Available: ${TARGETS.join(', ')}`);
+  }
+  const { tokenBudget } = options;
+  if (tokenBudget != null && !(Number.isInteger(tokenBudget) && tokenBudget >= 0)) {
+    throw new UsageError(`Invalid token budget "${tokenBudget}". Expected a whole number of tokens`);
+  }
+
+  const { workspaceRoot, config, context, registry } = await prepare(options);
+  const { logger } = context;
+  const analyzers = selectAnalyzers(registry, { only, skip }, config);
+  if (write) await recoverInterruptedRun(workspaceRoot, logger);
+
+  // Templates are checked before the analysis so a broken one fails fast
+  context.templates = await loadTemplates(workspaceRoot, { templatesDir: config.templatesDir });
+  if (context.templates.size > 0) {
+    logger.info(`🎨 Using template(s): ${[...context.templates.keys()].join(', ')}`);
+  }
+
+  logger.info(`🚀 Starting skill generation process with ${analyzers.length} sub-agent(s)...`);
+  logger.info(`📁 Workspace: ${workspaceRoot}`);
+
+  // Scan the workspace once; analyzers query this index instead of globbing
+  context.files = await createFileIndex(workspaceRoot, { ignore: [...config.ignore, ...ignore] });
+  logger.info(`🗂  Indexed ${context.files.files.length} file(s)`);
+
+  const cache = await createCache(workspaceRoot, context, { enabled: useCache });
+  // The language census reuses the line counts of unchanged files
+  context.cache = cache;
+  const result = await runAnalyzers(workspaceRoot, analyzers, context, cache);
+
+  // Skills the loader would skip fail the run before anything is written
+  validateSkills(result.skills, skill => getSkillFilePath(skill, workspaceRoot, context));
+
+  // What the previous run wrote is kept for the analyzers that did not complete
+  context.previousManifest = await readManifest(workspaceRoot, context);
+  context.completedAnalyzers = completedAnalyzers(result.report);
+
+  if (!write) {
+    const rendered = await renderTargets(result.skills, context.targets, workspaceRoot, context);
+    const files = rendered.map(file => toManifestEntry(file, workspaceRoot));
+    const changes = [
+      ...compareRenderedFiles(rendered, workspaceRoot),
+      ...await findStaleChanges(files, workspaceRoot, context)
+    ];
+    return { ...result, changes };
+  }
+
+  const files = await writeSkills(result, workspaceRoot, context, prune);
+  await cache.save();
+
+  return { ...result, files };
+}
+
+/**
+ * Restores the files the last run changed from its backup. Repeated calls
+ * step back one run at a time.
+ * Resolves to { backup, files } (the files as { path, existed }), or null
+ * when there is no backup.
+ */
+export async function rollbackSkills(options = {}) {
+  const logger = options.logger || silentLogger;
+  const workspaceRoot = await resolveWorkspace(options.workspaceRoot ?? process.cwd());
+
+  // An interrupted run is the last run; undoing it is the rollback
+  const restored = await recoverInterruptedRun(workspaceRoot, logger) ?? await rollbackLatest(workspaceRoot);
+  for (const file of restored?.files ?? []) {
+    logger.info(file.existed ? `  ✓ Restored ${file.path}` : `  ✓ Removed ${file.path}`);
+  }
+  return restored;
+}
+
+/**
+ * Lists the registered analyzers, including custom ones, as
+ * { name, displayName, category, version, source }
+ */
+export async function listAnalyzers(options = {}) {
+  const { registry } = await prepare(options);
+  return registry.list().map(({ name, displayName, category, version, source }) => ({
+    name,
+    displayName,
+    category,
+    version,
+    source
+  }));
+}
+
+/**
+ * Removes previously generated output of the configured targets and the
+ * manifest. Resolves to the list of removed files and of files a generated
+ * section was removed from.
+ */
+export async function cleanGeneratedSkills(options = {}) {
+  const { workspaceRoot, context } = await prepare(options);
+  await recoverInterruptedRun(workspaceRoot, context.logger);
+  context.logger.info(`🧹 Removing generated output for ${context.targets.join(', ')}...`);
+  const removed = await cleanTargets(context.targets, workspaceRoot, context);
+  // The manifest describes files that no longer exist
+  await fs.rm(getManifestPath(workspaceRoot, context), { force: true });
+  return removed;
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import {
+  generateSkills,
+  cleanGeneratedSkills,
+  SkillGeneratorError,
+  UsageError,
+  WorkspaceError
+} from '../index.js';
+import { expressApp, createWorkspace, removeWorkspace, readFile } from './helpers.js';
+
+test('invalid options are rejected before anything runs', async () => {
+  await assert.rejects(generateSkills({ prune: 'delete' }), { name: 'UsageError', code: 'ERR_USAGE' });
+  await assert.rejects(generateSkills({ layout: 'nested' }), UsageError);
+  await assert.rejects(generateSkills({ targets: ['slack'] }), /Unknown target\(s\): slack/);
+  await assert.rejects(generateSkills({ tokenBudget: -1 }), /Invalid token budget/);
+});
+
+test('a missing workspace is a WorkspaceError', async (t) => {
+  const root = await createWorkspace({ 'file.txt': '' });
+  t.after(() => removeWorkspace(root));
+
+  await assert.rejects(generateSkills({ workspaceRoot: path.join(root, 'missing') }), (error) => {
+    assert.ok(error instanceof WorkspaceError);
+    assert.ok(error instanceof SkillGeneratorError);
+    assert.equal(error.code, 'ERR_WORKSPACE');
+    assert.equal(error.workspaceRoot, path.join(root, 'missing'));
+    return true;
+  });
+  await assert.rejects(generateSkills({ workspaceRoot: path.join(root, 'file.txt') }), /Workspace is not a directory/);
+});
+
+test('the library logs nothing unless given a logger', async (t) => {
+  const root = await createWorkspace(expressApp);
+  t.after(() => removeWorkspace(root));
+  const log = t.mock.method(console, 'log', () => {});
+  const error = t.mock.method(console, 'error', () => {});
+
+  const { techStack, skills, report } = await generateSkills({ workspaceRoot: root, analyzers: ['api'], write: false, cache: false });
+
+  assert.equal(log.mock.callCount(), 0);
+  assert.equal(error.mock.callCount(), 0);
+  assert.ok(techStack.frameworks.includes('Express'));
+  assert.ok(skills.length > 0);
+  assert.equal(report.totalSkillsGenerated, skills.length);
+});
+
+test('clean removes the generated files and the manifest', async (t) => {
+  const root = await createWorkspace(expressApp);
+  t.after(() => removeWorkspace(root));
+  const { files } = await generateSkills({ workspaceRoot: root, analyzers: ['api'], cache: false });
+
+  const removed = await cleanGeneratedSkills({ workspaceRoot: root });
+
+  assert.ok(removed.length >= files.length);
+  for (const file of files) {
+    assert.equal(await readFile(root, file.path), null);
+  }
+  assert.equal(await readFile(root, '.claude/skills/.skill-generator.json'), null);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitSkill, estimateTokens } from '../utils/budget.js';
+import { generateSkills } from '../index.js';
+import { expressApp, createWorkspace, removeWorkspace, readFile } from './helpers.js';
+
+// Ten tokens per guideline and example, plus five for the links to references
+const measure = (skill) => (skill.guidelines.length + (skill.examples?.length ?? 0)) * 10 + (skill.references?.length ? 5 : 0);
+const evidence = (confidence, files = 1) => ({ rule: 'r', confidence, files: Array.from({ length: files }, (_, i) => ({ path: `f${i}`, line: 1 })) });
+
+test('tokens are estimated at four characters each', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('a skill within budget, or with budgeting disabled, is not split', () => {
+  const skill = { name: 's', guidelines: ['a', 'b', 'c'] };
+  assert.deepEqual(splitSkill(skill, 100, measure), { skill, references: [] });
+  assert.deepEqual(splitSkill(skill, 0, measure), { skill, references: [] });
+});
+
+test('the most specific guidelines stay, in their original order', () => {
+  const skill = {
+    name: 's',
+    guidelines: [
+      'plain',
+      { text: 'medium', evidence: evidence('medium') },
+      { text: 'high', evidence: evidence('high') },
+      { text: 'high, more files', evidence: evidence('high', 3) }
+    ]
+  };
+
+  const { skill: main, references } = splitSkill(skill, 25, measure);
+
+  assert.deepEqual(main.guidelines.map(g => g.text), ['high', 'high, more files']);
+  assert.deepEqual(main.references, [{ name: 'guidelines', title: 'More Guidelines' }]);
+  assert.deepEqual(references, [{
+    name: 'guidelines',
+    title: 'More Guidelines',
+    guidelines: ['plain', { text: 'medium', evidence: evidence('medium') }],
+    examples: []
+  }]);
+});
+
+test('examples that do not fit move to their own reference', () => {
+  const skill = { name: 's', guidelines: ['a'], examples: [{ title: 'one' }, { title: 'two' }, { title: 'three' }] };
+
+  const { skill: main, references } = splitSkill(skill, 35, measure);
+
+  assert.deepEqual(main.guidelines, ['a']);
+  assert.deepEqual(main.examples, [{ title: 'one' }, { title: 'two' }]);
+  assert.deepEqual(references.map(r => [r.name, r.examples.length]), [['examples', 1]]);
+});
+
+test('an over-budget skill is written as a main file linking its reference files', async (t) => {
+  const root = await createWorkspace(expressApp);
+  t.after(() => removeWorkspace(root));
+
+  const { files } = await generateSkills({ workspaceRoot: root, analyzers: ['security'], tokenBudget: 150, cache: false });
+
+  const reference = files.find(file => file.path.endsWith('/guidelines.md'));
+  assert.ok(reference, 'a guidelines reference file is written');
+  const main = files.find(file => file.skill === reference.skill && file !== reference);
+  assert.ok(main.tokens <= 150);
+  assert.match(await readFile(root, main.path), /## Reference Files[\s\S]*\[More Guidelines\]\([^)]*guidelines\.md\)/);
+});
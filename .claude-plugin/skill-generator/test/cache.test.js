@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createCache } from '../utils/cache.js';
+import { generateSkills } from '../index.js';
+import { expressApp, createWorkspace, removeWorkspace, writeFiles, createLogger } from './helpers.js';
+
+const analyzer = {
+  name: 'team',
+  version: '1.0.0',
+  inputs: ['src/**/*.js'],
+  analyze: async () => []
+};
+const techStack = { languages: ['JavaScript'], frameworks: [] };
+
+test('the fingerprint changes with the inputs, the analyzer and the tech stack only', async (t) => {
+  const root = await createWorkspace({ 'src/a.js': 'a', 'docs/readme.md': 'docs' });
+  t.after(() => removeWorkspace(root));
+  const fingerprint = async (...args) => (await createCache(root, { logger: createLogger() })).fingerprint(...args);
+
+  const base = await fingerprint(analyzer, techStack);
+  assert.equal(await fingerprint(analyzer, techStack), base);
+
+  await writeFiles(root, { 'docs/readme.md': 'other docs' });
+  assert.equal(await fingerprint(analyzer, techStack), base);
+
+  assert.notEqual(await fingerprint({ ...analyzer, version: '1.1.0' }, techStack), base);
+  assert.notEqual(await fingerprint(analyzer, { ...techStack, frameworks: ['React'] }), base);
+  assert.notEqual(await fingerprint(analyzer, techStack, { strict: true }), base);
+
+  await writeFiles(root, { 'src/a.js': 'changed' });
+  assert.notEqual(await fingerprint(analyzer, techStack), base);
+});
+
+test('built-in analyzers are keyed on the plugin code, custom ones on their analyze function', async (t) => {
+  const root = await createWorkspace({ 'src/a.js': 'a' });
+  t.after(() => removeWorkspace(root));
+  const cache = await createCache(root, { logger: createLogger() });
+  const builtin = { ...analyzer, source: 'builtin' };
+  const edited = async () => [{ name: 'edited' }];
+
+  // Built-in helpers live outside analyze(); the plugin sources cover them
+  assert.equal(await cache.fingerprint({ ...builtin, analyze: edited }, techStack), await cache.fingerprint(builtin, techStack));
+  assert.notEqual(await cache.fingerprint(builtin, techStack), await cache.fingerprint(analyzer, techStack));
+  assert.notEqual(await cache.fingerprint({ ...analyzer, analyze: edited }, techStack), await cache.fingerprint(analyzer, techStack));
+});
+
+test('line counts do not change the fingerprint, the language order does', async (t) => {
+  const root = await createWorkspace({ 'src/a.js': 'a' });
+  t.after(() => removeWorkspace(root));
+  const cache = await createCache(root, { logger: createLogger() });
+  const stats = (js, py) => ({ ...techStack, languageStats: { JavaScript: { lines: js }, Python: { lines: py } } });
+
+  assert.equal(await cache.fingerprint(analyzer, stats(10, 5)), await cache.fingerprint(analyzer, stats(20, 3)));
+  const reordered = { ...techStack, languageStats: { Python: { lines: 30 }, JavaScript: { lines: 20 } } };
+  assert.notEqual(await cache.fingerprint(analyzer, stats(10, 5)), await cache.fingerprint(analyzer, reordered));
+});
+
+test('saved results are reused unless the cache is disabled', async (t) => {
+  const root = await createWorkspace({ 'src/a.js': 'a' });
+  t.after(() => removeWorkspace(root));
+  const skills = [{ name: 'team-guide' }];
+
+  const first = await createCache(root, { logger: createLogger() });
+  const fingerprint = await first.fingerprint(analyzer, techStack);
+  assert.equal(first.get(analyzer, fingerprint), null);
+  first.set(analyzer, fingerprint, skills);
+  await first.save();
+
+  const second = await createCache(root, { logger: createLogger() });
+  assert.deepEqual(second.get(analyzer, fingerprint), skills);
+  assert.equal(second.get(analyzer, 'another fingerprint'), null);
+
+  const disabled = await createCache(root, { logger: createLogger() }, { enabled: false });
+  assert.equal(disabled.get(analyzer, fingerprint), null);
+});
+
+test('an analyzer whose inputs are unchanged is not run again', async (t) => {
+  const root = await createWorkspace(expressApp);
+  t.after(() => removeWorkspace(root));
+  const options = { workspaceRoot: root, analyzers: ['api'] };
+
+  const first = await generateSkills(options);
+  const second = await generateSkills(options);
+
+  assert.equal(first.report.agents[0].status, 'success');
+  assert.equal(second.report.agents[0].status, 'cached');
+  assert.deepEqual(second.skills, first.skills);
+
+  await fs.writeFile(path.join(root, 'server.js'), 'const app = require("express")();\n');
+  assert.equal((await generateSkills(options)).report.agents[0].status, 'success');
+  assert.equal((await generateSkills({ ...options, cache: false })).report.agents[0].status, 'success');
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { generateSkills } from '../index.js';
+import { parseArgs } from '../utils/cli.js';
+import { expressApp, createWorkspace, removeWorkspace, writeFiles, readFile, runCli } from './helpers.js';
+
+test('--check is parsed as a flag', () => {
+  assert.equal(parseArgs(['--check']).check, true);
+  assert.equal(parseArgs([]).check, false);
+});
+
+test('--check passes when the generated files are up to date', async (t) => {
+  const root = await createWorkspace(expressApp);
+  t.after(() => removeWorkspace(root));
+  await generateSkills({ workspaceRoot: root, analyzers: ['api'], cache: false });
+
+  const { result, output, exitCode } = await runCli(t, ['--check', '--only', 'api', '--no-cache', root]);
+
+  assert.equal(result.success, true);
+  assert.equal(exitCode, undefined);
+  assert.match(output, /generated file\(s\) are up to date/);
+});
+
+test('--check fails with the lines that differ and writes nothing', async (t) => {
+  const root = await createWorkspace(expressApp);
+  t.after(() => removeWorkspace(root));
+  const { files } = await generateSkills({ workspaceRoot: root, analyzers: ['api'], cache: false });
+  const skill = files.find(file => file.skill).path;
+  const edited = `${await readFile(root, skill)}Hand-written line\n`;
+  await fs.writeFile(path.join(root, skill), edited);
+
+  const { result, output, exitCode } = await runCli(t, ['--check', '--only', 'api', '--no-cache', root]);
+
+  assert.equal(result.success, false);
+  assert.equal(exitCode, 1);
+  assert.match(output, /1 generated file\(s\) are out of date/);
+  assert.match(output, /-Hand-written line/);
+  assert.equal(await readFile(root, skill), edited);
+});
+
+test('skills an analyzer no longer produces are reported as stale', async (t) => {
+  const analyzer = (skill) => `export default {
+  name: 'team',
+  category: 'custom',
+  async analyze() {
+    return [{ name: '${skill}', category: 'custom', description: 'Team conventions', guidelines: ['Follow the team conventions'] }];
+  }
+};
+`;
+  const root = await createWorkspace({ '.claude/skill-generator/analyzers/team.js': analyzer('old-guide') });
+  t.after(() => removeWorkspace(root));
+  const options = { workspaceRoot: root, analyzers: ['team'], cache: false };
+  const { files: [oldSkill] } = await generateSkills(options);
+
+  // A new module file, so the changed analyzer is imported afresh
+  await fs.rm(path.join(root, '.claude/skill-generator/analyzers/team.js'));
+  await writeFiles(root, { '.claude/skill-generator/analyzers/team2.js': analyzer('new-guide') });
+
+  const { changes } = await generateSkills({ ...options, write: false });
+
+  const stale = changes.find(change => change.status === 'stale');
+  assert.equal(stale.filePath, path.join(root, oldSkill.path));
+  assert.ok(changes.some(change => change.status === 'added'));
+  assert.ok(await readFile(root, oldSkill.path));
+});
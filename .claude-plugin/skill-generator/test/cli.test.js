@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs, formatHelp, COMMANDS } from '../utils/cli.js';
+import { UsageError } from '../utils/errors.js';
+import { generateSkills } from '../index.js';
+import { expressApp, createWorkspace, removeWorkspace } from './helpers.js';
+
+test('generate is the default command and a lone positional is the workspace', () => {
+  const args = parseArgs(['./my-app']);
+  assert.equal(args.command, 'generate');
+  assert.equal(args.workspaceRoot, './my-app');
+});
+
+test('a command may be followed by a workspace', () => {
+  const args = parseArgs(['report', '../other']);
+  assert.equal(args.command, 'report');
+  assert.equal(args.workspaceRoot, '../other');
+  assert.equal(parseArgs(['list-analyzers']).workspaceRoot, null);
+});
+
+test('--only and --skip take comma-separated lists and may be repeated', () => {
+  const args = parseArgs(['--only', 'security, api', '--only=react', '--skip', 'testing,']);
+  assert.deepEqual(args.only, ['security', 'api', 'react']);
+  assert.deepEqual(args.skip, ['testing']);
+});
+
+test('everything after -- is positional', () => {
+  const args = parseArgs(['--', '--weird-dir']);
+  assert.equal(args.workspaceRoot, '--weird-dir');
+});
+
+test('usage mistakes throw a UsageError', () => {
+  assert.throws(() => parseArgs(['--frobnicate']), { name: 'UsageError', message: 'Unknown option: --frobnicate' });
+  assert.throws(() => parseArgs(['--only']), UsageError);
+  assert.throws(() => parseArgs(['--only', '--skip', 'api']), /--only requires a value/);
+  assert.throws(() => parseArgs(['generate', 'a', 'b']), /Unexpected argument: b/);
+});
+
+test('the help text lists every command', () => {
+  const help = formatHelp();
+  for (const command of Object.keys(COMMANDS)) {
+    assert.match(help, new RegExp(`^  ${command} `, 'm'));
+  }
+});
+
+test('the selected analyzers are the only ones run', async (t) => {
+  const root = await createWorkspace(expressApp);
+  t.after(() => removeWorkspace(root));
+
+  const { report } = await generateSkills({ workspaceRoot: root, analyzers: ['api', 'security'], skip: ['security'], write: false, cache: false });
+
+  assert.deepEqual(report.agents.map(agent => agent.analyzer), ['api']);
+  await assert.rejects(generateSkills({ workspaceRoot: root, analyzers: ['nope'], write: false }), {
+    name: 'UsageError',
+    message: /^Unknown analyzer\(s\): nope\. Available: /
+  });
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyGuidelineConfig, normalizeConfig, loadConfig } from '../utils/config.js';
+import { generateSkills } from '../index.js';
+import { expressApp, createWorkspace, removeWorkspace, readFile, createLogger } from './helpers.js';
+
+function skill(category, guidelines) {
+  return { name: `${category}-skill`, category, guidelines };
+}
+
+test('a suppress pattern with the g flag matches every guideline', () => {
+  const config = normalizeConfig({ guidelines: { suppress: ['/https/gi'] } });
+  const [result] = applyGuidelineConfig([
+    skill('security', ['Use HTTPS in production', 'Redirect HTTP to HTTPS', 'Serve assets over https', 'Hash passwords'])
+  ], config.guidelines);
+
+  assert.deepEqual(result.guidelines, ['Hash passwords']);
+});
+
+test('a suppress pattern with the y flag matches every guideline', () => {
+  const config = normalizeConfig({ guidelines: { suppress: ['/Use/y'] } });
+  const [result] = applyGuidelineConfig([
+    skill('api', ['Use REST', 'Use pagination', 'Use versioning', 'Document errors'])
+  ], config.guidelines);
+
+  assert.deepEqual(result.guidelines, ['Document errors']);
+});
+
+test('guidelines added to a category without a skill are reported', () => {
+  const config = normalizeConfig({ guidelines: { add: { securty: ['Use the vault client'], api: ['Version every route'] } } });
+  const logger = createLogger();
+
+  const [result] = applyGuidelineConfig([skill('api', ['Use REST'])], config.guidelines, logger);
+
+  assert.deepEqual(result.guidelines, ['Use REST', 'Version every route']);
+  assert.equal(logger.messages.length, 1);
+  assert.match(logger.messages[0], /No securty skill was generated; 1 guideline\(s\)/);
+});
+
+test('a configuration without settings gets the defaults', () => {
+  const config = normalizeConfig({});
+  assert.deepEqual(config.analyzers, { enabled: [], disabled: [] });
+  assert.deepEqual(config.guidelines, { add: {}, suppress: [] });
+  assert.equal(config.outputDir, null);
+});
+
+test('invalid settings throw a ConfigError naming the setting and file', () => {
+  assert.throws(() => normalizeConfig({ analyzers: { enabled: 'security' } }, '/repo/.skillgenrc.json'), {
+    name: 'ConfigError',
+    configPath: '/repo/.skillgenrc.json',
+    message: '/repo/.skillgenrc.json: "analyzers.enabled" must be an array of analyzer names'
+  });
+  assert.throws(() => normalizeConfig({ targets: ['slack'] }), /Unknown target\(s\) in "targets": slack/);
+  assert.throws(() => normalizeConfig({ guidelines: { suppress: ['/(unclosed/'] } }), /invalid pattern/);
+  assert.throws(() => normalizeConfig([]), /configuration must be an object/);
+});
+
+test('the first configuration file found wins', async (t) => {
+  const root = await createWorkspace({
+    '.skillgenrc.json': JSON.stringify({ outputDir: 'from-json' }),
+    'skill-generator.config.js': 'export default { outputDir: "from-js" };\n',
+    'package.json': JSON.stringify({ skillGenerator: { outputDir: 'from-package' } })
+  });
+  t.after(() => removeWorkspace(root));
+
+  const config = await loadConfig(root);
+  assert.equal(config.outputDir, 'from-json');
+  assert.equal((await loadConfig(root, { configPath: 'skill-generator.config.js' })).outputDir, 'from-js');
+  await assert.rejects(loadConfig(root, { configPath: 'missing.json' }), /configuration file not found/);
+});
+
+test('package.json "skillGenerator" analyzers listed as packages become plugins', async (t) => {
+  const root = await createWorkspace({
+    'package.json': JSON.stringify({ skillGenerator: { analyzers: ['@acme/skill-analyzer'] } })
+  });
+  t.after(() => removeWorkspace(root));
+
+  const config = await loadConfig(root);
+  assert.deepEqual(config.plugins, ['@acme/skill-analyzer']);
+  assert.deepEqual(config.analyzers, { enabled: [], disabled: [] });
+});
+
+test('configured analyzers and output directory apply to a run', async (t) => {
+  const root = await createWorkspace({
+    ...expressApp,
+    '.skillgenrc.json': JSON.stringify({
+      analyzers: { enabled: ['api', 'security'], disabled: ['security'] },
+      outputDir: 'docs/skills',
+      guidelines: { add: { api: ['Route every request through the gateway'] } }
+    })
+  });
+  t.after(() => removeWorkspace(root));
+
+  const { report, files } = await generateSkills({ workspaceRoot: root, cache: false });
+
+  assert.deepEqual(report.agents.map(agent => agent.analyzer), ['api']);
+  assert.ok(files.every(file => file.path.startsWith('docs/skills/')));
+  const skill = files.find(file => file.skill).path;
+  assert.match(await readFile(root, skill), /Route every request through the gateway/);
+});
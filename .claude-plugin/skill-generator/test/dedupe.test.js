@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dedupeGuidelines } from '../utils/dedupe.js';
+
+function skill(name, category, guidelines) {
+  return { name, category, guidelines };
+}
+
+test('duplicate guidelines are kept once, in the category owning the topic', () => {
+  const { skills, duplicates } = dedupeGuidelines([
+    skill('api-guide', 'api', ['Implement rate limiting', 'Version every route']),
+    skill('security-guide', 'security', ['Implement rate limiting on public endpoints'])
+  ]);
+
+  assert.deepEqual(skills[0].guidelines, ['Version every route']);
+  assert.deepEqual(skills[1].guidelines, ['Implement rate limiting on public endpoints']);
+  assert.deepEqual(duplicates, [{
+    guideline: 'Implement rate limiting on public endpoints',
+    keptIn: 'security-guide',
+    removedFrom: ['api-guide']
+  }]);
+});
+
+test('different advice on the same topic is not merged', () => {
+  const { skills, duplicates } = dedupeGuidelines([
+    skill('api-guide', 'api', ['Use HTTPS in production']),
+    skill('security-guide', 'security', ['Redirect every HTTP request to HTTPS and set HSTS headers'])
+  ]);
+
+  assert.deepEqual(skills[0].guidelines, ['Use HTTPS in production']);
+  assert.deepEqual(skills[1].guidelines, ['Redirect every HTTP request to HTTPS and set HSTS headers']);
+  assert.deepEqual(duplicates, []);
+});
+
+test('contradicting approaches are reported, not removed', () => {
+  const { skills, conflicts } = dedupeGuidelines([
+    skill('frontend-guide', 'frontend', ['Write tests with Jest']),
+    skill('testing-guide', 'testing', ['Run unit tests with Vitest'])
+  ]);
+
+  assert.deepEqual(skills.map(s => s.guidelines.length), [1, 1]);
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].topic, 'test runner');
+  assert.deepEqual(conflicts[0].options.map(option => option.label), ['Jest', 'Vitest']);
+});
+
+test('a duplicate found only outside the owning category moves there', () => {
+  const evidence = { rule: 'api/cors', confidence: 'medium', files: [] };
+  const { skills, duplicates } = dedupeGuidelines([
+    skill('api-guide', 'api', [{ text: 'Configure CORS for trusted origins', evidence }]),
+    skill('backend-guide', 'backend', ['Configure CORS for trusted origins only']),
+    skill('security-guide', 'security', ['Hash passwords'])
+  ]);
+
+  assert.deepEqual(skills.map(s => s.guidelines), [
+    [],
+    [],
+    ['Hash passwords', 'Configure CORS for trusted origins only']
+  ]);
+  assert.deepEqual(duplicates[0].removedFrom, ['api-guide', 'backend-guide']);
+});
+
+test('guidelines without a topic are merged into the most specific wording', () => {
+  const { skills } = dedupeGuidelines([
+    skill('react-guide', 'react', ['Write tests for components']),
+    skill('testing-guide', 'testing', ['Write tests for components and hooks'])
+  ]);
+
+  assert.deepEqual(skills.map(s => s.guidelines), [[], ['Write tests for components and hooks']]);
+});
+
+test('a chain of similar guidelines only merges those similar to the kept one', () => {
+  const { skills, duplicates } = dedupeGuidelines([
+    skill('react-guide', 'react', ['Write tests']),
+    skill('frontend-guide', 'frontend', ['Write tests for hooks']),
+    skill('testing-guide', 'testing', ['Write tests for hooks and components with mocks'])
+  ]);
+
+  assert.deepEqual(skills.map(s => s.guidelines), [
+    ['Write tests'],
+    [],
+    ['Write tests for hooks and components with mocks']
+  ]);
+  assert.deepEqual(duplicates, [{
+    guideline: 'Write tests for hooks and components with mocks',
+    keptIn: 'testing-guide',
+    removedFrom: ['frontend-guide']
+  }]);
+});
+
+test('repeats within one skill are reported apart from cross-skill duplicates', () => {
+  const { skills, duplicates, repeated } = dedupeGuidelines([
+    skill('database-guide', 'database', ['Pool database connections', 'Pool database connections for every client']),
+    skill('backend-guide', 'backend', ['Pool database connections for a client'])
+  ]);
+
+  assert.deepEqual(skills.map(s => s.guidelines), [['Pool database connections for every client'], []]);
+  assert.deepEqual(duplicates, [{
+    guideline: 'Pool database connections for every client',
+    keptIn: 'database-guide',
+    removedFrom: ['backend-guide']
+  }]);
+  assert.deepEqual(repeated, [{
+    guideline: 'Pool database connections for every client',
+    skill: 'database-guide',
+    removed: ['Pool database connections']
+  }]);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUnifiedDiff } from '../utils/diff.js';
+
+test('identical texts have no diff', () => {
+  assert.equal(createUnifiedDiff('a\nb\n', 'a\nb\n'), '');
+});
+
+test('changes are shown in hunks with three lines of context', () => {
+  const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n');
+  const after = ['1', '2', '3', '4', 'five', '6', '7', '8', '9', '10'].join('\n');
+
+  assert.equal(createUnifiedDiff(before, after, { oldLabel: 'a/x.md', newLabel: 'b/x.md' }), [
+    '--- a/x.md',
+    '+++ b/x.md',
+    '@@ -2,7 +2,7 @@',
+    ' 2',
+    ' 3',
+    ' 4',
+    '-5',
+    '+five',
+    ' 6',
+    ' 7',
+    ' 8',
+    ''
+  ].join('\n'));
+});
+
+test('a new file diffs against an empty side starting at line 0', () => {
+  assert.equal(createUnifiedDiff('', 'a\nb\n', { oldLabel: '/dev/null' }), '--- /dev/null\n+++ b\n@@ -0,0 +1,2 @@\n+a\n+b\n');
+});
+
+test('changes far apart get separate hunks', () => {
+  const before = Array.from({ length: 20 }, (_, i) => `line ${i}`).join('\n');
+  const after = before.replace('line 1\n', 'first\n').replace('line 18', 'last');
+
+  const hunks = createUnifiedDiff(before, after).split('\n').filter(line => line.startsWith('@@'));
+  assert.deepEqual(hunks, ['@@ -1,5 +1,5 @@', '@@ -16,5 +16,5 @@']);
+});
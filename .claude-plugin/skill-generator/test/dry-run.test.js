@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { generateSkills } from '../index.js';
+import { parseArgs } from '../utils/cli.js';
+import { expressApp, createWorkspace, removeWorkspace, writeFiles, readFile, runCli } from './helpers.js';
+
+test('--dry-run is parsed as a flag', () => {
+  assert.equal(parseArgs(['--dry-run']).dryRun, true);
+  assert.equal(parseArgs([]).dryRun, false);
+});
+
+test('a dry run reports every file as added and writes nothing', async (t) => {
+  const root = await createWorkspace(expressApp);
+  t.after(() => removeWorkspace(root));
+
+  const { changes } = await generateSkills({ workspaceRoot: root, analyzers: ['api'], write: false, cache: false });
+
+  assert.ok(changes.length > 0);
+  for (const change of changes) {
+    assert.equal(change.status, 'added');
+    assert.match(change.diff, /^--- \/dev\/null\n\+\+\+ b\/\.claude\/skills\//);
+  }
+  assert.deepEqual(await fs.readdir(root), ['package.json']);
+});
+
+test('a dry run after a run shows only what was edited since', async (t) => {
+  const root = await createWorkspace(expressApp);
+  t.after(() => removeWorkspace(root));
+  const options = { workspaceRoot: root, analyzers: ['api'], cache: false };
+  const { files } = await generateSkills(options);
+  const skill = files.find(file => file.skill).path;
+  await fs.writeFile(path.join(root, skill), `${await readFile(root, skill)}Hand-written line\n`);
+
+  const { changes } = await generateSkills({ ...options, write: false });
+
+  const edited = changes.find(change => change.filePath === path.join(root, skill));
+  assert.equal(edited.status, 'changed');
+  assert.match(edited.diff, /^-Hand-written line$/m);
+  assert.ok(changes.filter(change => change !== edited).every(change => change.status === 'unchanged'));
+});
+
+test('a dry run lists stale skills by path', async (t) => {
+  const analyzer = (skill) => `export default {
+  name: 'team',
+  category: 'custom',
+  async analyze() {
+    return [{ name: '${skill}', category: 'custom', description: 'Team conventions', guidelines: ['Follow the team conventions'] }];
+  }
+};
+`;
+  const root = await createWorkspace({ '.claude/skill-generator/analyzers/team.js': analyzer('old-guide') });
+  t.after(() => removeWorkspace(root));
+  const { files: [oldSkill] } = await generateSkills({ workspaceRoot: root, analyzers: ['team'], cache: false });
+
+  // A new module file, so the changed analyzer is imported afresh
+  await fs.rm(path.join(root, '.claude/skill-generator/analyzers/team.js'));
+  await writeFiles(root, { '.claude/skill-generator/analyzers/team2.js': analyzer('new-guide') });
+
+  const { output } = await runCli(t, ['--dry-run', '--only', 'team', '--no-cache', root]);
+
+  assert.ok(output.split('\n').includes(`stale ${path.join(root, oldSkill.path)}`));
+});
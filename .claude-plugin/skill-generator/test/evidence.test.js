@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEvidence, withEvidence, findLine, guidelineText, guidelineEvidence } from '../utils/evidence.js';
+import { generateSkillBody } from '../utils/skill-writer.js';
+import { createFileIndex } from '../utils/file-index.js';
+import { generateSkills } from '../index.js';
+import { createWorkspace, removeWorkspace } from './helpers.js';
+
+test('the first matching line is found for strings, patterns and lists of either', () => {
+  const content = 'import React from "react";\nconst [a, setA] = useState(0);\n';
+  assert.equal(findLine(content, 'useState('), 2);
+  assert.equal(findLine(content, /from "react"/), 1);
+  assert.equal(findLine(content, ['nothing', /setA/]), 2);
+  assert.equal(findLine(content, 'useReducer'), null);
+});
+
+test('evidence keeps the highest confidence and one location per file', () => {
+  const evidence = createEvidence();
+  evidence.add('react/zustand', 'package.json');
+  evidence.scan('react/zustand', 'src/store.ts', 'import { create } from "zustand";', 'zustand');
+  evidence.scan('react/zustand', 'src/store.ts', 'x\nimport { create } from "zustand";', 'zustand');
+  assert.equal(evidence.scan('react/zustand', 'src/other.ts', 'nothing here', 'zustand'), false);
+
+  assert.deepEqual(evidence.get('react/zustand'), {
+    rule: 'react/zustand',
+    confidence: 'high',
+    files: [{ path: 'package.json', line: null }, { path: 'src/store.ts', line: 1 }]
+  });
+  assert.equal(evidence.get('react/redux'), null);
+});
+
+test('at most five locations are kept per rule', () => {
+  const evidence = createEvidence();
+  evidence.add('api/routes', ['a.js', 'b.js', 'c.js', 'd.js', 'e.js', 'f.js']);
+  assert.equal(evidence.get('api/routes').files.length, 5);
+});
+
+test('dependencies are cited at their package.json line', async (t) => {
+  const root = await createWorkspace({ 'package.json': '{\n  "dependencies": {\n    "express": "^4.18.0"\n  }\n}\n' });
+  t.after(() => removeWorkspace(root));
+  const evidence = createEvidence();
+
+  assert.equal(await evidence.scanDependencies('api/express', await createFileIndex(root), ['express']), true);
+  assert.deepEqual(evidence.get('api/express').files, [{ path: 'package.json', line: 3 }]);
+});
+
+test('guidelines sharing a rule share one numbered note', () => {
+  const evidence = { rule: 'react/hooks', confidence: 'high', files: [{ path: 'src/App.tsx', line: 3 }] };
+  const guidelines = [...withEvidence(['Use hooks', 'Keep hooks at the top level'], evidence), 'Plain advice'];
+
+  assert.equal(guidelineText(guidelines[0]), 'Use hooks');
+  assert.equal(guidelineEvidence(guidelines[2]), null);
+  const body = generateSkillBody({ displayName: 'React', guidelines });
+  assert.match(body, /- Use hooks \[1\]\n- Keep hooks at the top level \[1\]\n- Plain advice\n/);
+  assert.match(body, /## Why This Applies\n\n1\. `react\/hooks` \(high confidence\): src\/App\.tsx:3\n/);
+});
+
+test('generated skills cite the source lines that triggered their guidelines', async (t) => {
+  const root = await createWorkspace({
+    'package.json': JSON.stringify({ dependencies: { react: '^18.2.0' } }),
+    'src/Counter.jsx': 'import { useState } from "react";\n\nexport function Counter() {\n  const [count, setCount] = useState(0);\n  return count;\n}\n'
+  });
+  t.after(() => removeWorkspace(root));
+
+  const { skills } = await generateSkills({ workspaceRoot: root, analyzers: ['react'], write: false, cache: false });
+
+  const evidence = skills.flatMap(skill => skill.guidelines.map(guidelineEvidence)).find(e => e?.rule === 'react/use-state');
+  assert.deepEqual(evidence, { rule: 'react/use-state', confidence: 'high', files: [{ path: 'src/Counter.jsx', line: 1 }] });
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractSnippet, findExamples, languageFor, MAX_EXAMPLE_LINES } from '../utils/examples.js';
+import { createFileIndex } from '../utils/file-index.js';
+import { generateSkillBody } from '../utils/skill-writer.js';
+import { generateSkills } from '../index.js';
+import { expressApp, createWorkspace, removeWorkspace } from './helpers.js';
+
+test('a snippet ends where its brackets balance, ignoring brackets in strings', () => {
+  const lines = [
+    'function setup() {',
+    '  router.get("/users/:id", async (req, res) => {',
+    '    res.send("}");',
+    '  });',
+    '  return router;',
+    '}'
+  ];
+
+  assert.equal(extractSnippet(lines, 1), 'router.get("/users/:id", async (req, res) => {\n  res.send("}");\n});');
+});
+
+test('a Python snippet ends where the indentation drops back, decorator included', () => {
+  const lines = ['@app.get("/users")', 'def list_users():', '    return []', '', 'def other():', '    pass'];
+
+  assert.equal(extractSnippet(lines, 0, { language: 'python' }), '@app.get("/users")\ndef list_users():\n    return []');
+});
+
+test('long snippets are cut with a comment in the language', () => {
+  const lines = ['def long():', ...Array.from({ length: 30 }, (_, i) => `    x = ${i}`)];
+
+  const snippet = extractSnippet(lines, 0, { language: 'python' }).split('\n');
+  assert.equal(snippet.length, MAX_EXAMPLE_LINES + 1);
+  assert.equal(snippet.at(-1), '# ...');
+  assert.equal(languageFor('src/app.tsx'), 'tsx');
+});
+
+test('the most typical snippet wins, then the shortest', async (t) => {
+  const root = await createWorkspace({
+    'routes/a.js': 'app.get("/a", async (req, res) => {\n  res.json(await load());\n});\n',
+    'routes/b.js': 'app.get("/b", async (req, res) => {\n  res.json([]);\n});\n',
+    'routes/c.js': 'app.get("/c", function (req, res) {\n  res.json([]);\n});\n'
+  });
+  t.after(() => removeWorkspace(root));
+  const files = await createFileIndex(root);
+
+  const examples = await findExamples(files, files.files, /\bapp\.get\(/, { title: 'Route', limit: 2 });
+
+  assert.deepEqual(examples, [
+    { title: 'Route', file: 'routes/b.js', line: 1, language: 'js', code: 'app.get("/b", async (req, res) => {\n  res.json([]);\n});' },
+    { title: 'Route', file: 'routes/c.js', line: 1, language: 'js', code: 'app.get("/c", function (req, res) {\n  res.json([]);\n});' }
+  ]);
+});
+
+test('examples are rendered with their location in a fence longer than any backtick run', () => {
+  const body = generateSkillBody({
+    displayName: 'Backend',
+    guidelines: [],
+    examples: [{ title: 'Template', file: 'src/a.js', line: 4, language: 'js', code: 'const s = ```;' }]
+  });
+
+  assert.match(body, /## Examples from Codebase\n\n### Template\n\nFrom `src\/a\.js:4`:\n\n````js\nconst s = ```;\n````\n/);
+});
+
+test('the backend skill carries a route from the codebase', async (t) => {
+  const root = await createWorkspace({
+    ...expressApp,
+    'src/user-routes.js': 'const router = require("express").Router();\n\nrouter.get("/users", async (req, res) => {\n  res.json([]);\n});\n'
+  });
+  t.after(() => removeWorkspace(root));
+
+  const { skills } = await generateSkills({ workspaceRoot: root, analyzers: ['backend'], write: false, cache: false });
+
+  const backend = skills.find(skill => skill.name === 'backend-best-practices');
+  assert.deepEqual(backend.examples.map(({ file, line }) => ({ file, line })), [{ file: 'src/user-routes.js', line: 3 }]);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createFileIndex } from '../utils/file-index.js';
+import { createWorkspace, removeWorkspace } from './helpers.js';
+
+test('default ignores, .gitignore files and extra globs keep paths out of the index', async (t) => {
+  const root = await createWorkspace({
+    '.gitignore': '*.log\n/tmp/\n!keep.log\n',
+    '.env.local': 'SECRET=1',
+    'app.log': '',
+    'keep.log': '',
+    'tmp/scratch.js': '',
+    'src/tmp/helper.js': '',
+    'src/.gitignore': 'fixtures/\n',
+    'src/fixtures/data.json': '{}',
+    'src/index.js': '',
+    'node_modules/express/index.js': '',
+    '.claude/skills/api/guide.md': '',
+    'legacy/old.js': ''
+  });
+  t.after(() => removeWorkspace(root));
+
+  const files = await createFileIndex(root, { ignore: ['legacy/'] });
+
+  assert.deepEqual(files.files, [
+    '.env.local',
+    '.gitignore',
+    'keep.log',
+    'src/.gitignore',
+    'src/index.js',
+    'src/tmp/helper.js'
+  ]);
+});
+
+test('files can be queried by extension, basename and glob', async (t) => {
+  const root = await createWorkspace({
+    'package.json': '{}',
+    'web/package.json': '{}',
+    'src/a.ts': '',
+    'src/b.tsx': '',
+    'src/c.test.ts': '',
+    'src/d.js': ''
+  });
+  t.after(() => removeWorkspace(root));
+
+  const files = await createFileIndex(root);
+
+  assert.deepEqual(files.byExtension('ts', '.tsx'), ['src/a.ts', 'src/b.tsx', 'src/c.test.ts']);
+  assert.deepEqual(files.byBasename('package.json'), ['package.json', 'web/package.json']);
+  assert.deepEqual(files.match('src/**/*.ts', { ignore: ['**/*.test.ts'] }), ['src/a.ts']);
+  assert.equal(files.has('src/d.js'), true);
+  assert.equal(files.has('src/e.js'), false);
+});
+
+test('contents are read once and missing or invalid files resolve to null', async (t) => {
+  const root = await createWorkspace({ 'package.json': '{"name":"app"}', 'broken.json': '{' });
+  t.after(() => removeWorkspace(root));
+  const files = await createFileIndex(root);
+
+  assert.deepEqual(await files.readJson('package.json'), { name: 'app' });
+  await fs.writeFile(path.join(root, 'package.json'), '{"name":"changed"}');
+  assert.deepEqual(await files.readJson('package.json'), { name: 'app' });
+
+  assert.equal(await files.readJson('broken.json'), null);
+  assert.equal(await files.read('missing.txt'), null);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGoMod, readGoModules, findModule } from '../utils/go-module.js';
+import { readCargoManifests, cratePattern } from '../utils/cargo.js';
+import { createFileIndex } from '../utils/file-index.js';
+import { analyzeTechStack } from '../analyzers/tech-stack-analyzer.js';
+import { generateSkills } from '../index.js';
+import { createWorkspace, removeWorkspace, readFile, createLogger } from './helpers.js';
+
+const goMod = `module example.com/shop
+
+go 1.22
+
+require github.com/gin-gonic/gin v1.9.1
+
+require (
+\tgorm.io/gorm v1.25.5
+\tgithub.com/jackc/pgx/v5 v5.5.0 // indirect
+\tgithub.com/labstack/echo/v4 v4.11.4 // for the admin API
+)
+`;
+
+test('go.mod requirements are read without indirect ones', () => {
+  const parsed = parseGoMod(goMod);
+
+  assert.equal(parsed.module, 'example.com/shop');
+  assert.equal(parsed.go, '1.22');
+  assert.deepEqual([...parsed.requires], [
+    ['github.com/gin-gonic/gin', 'v1.9.1'],
+    ['gorm.io/gorm', 'v1.25.5'],
+    ['github.com/labstack/echo/v4', 'v4.11.4']
+  ]);
+});
+
+test('a module is found whatever its major version suffix', async (t) => {
+  const root = await createWorkspace({ 'go.mod': goMod });
+  t.after(() => removeWorkspace(root));
+
+  const modules = await readGoModules(await createFileIndex(root));
+
+  assert.deepEqual(findModule(modules, 'github.com/labstack/echo'), { path: 'github.com/labstack/echo/v4', version: 'v4.11.4', file: 'go.mod' });
+  assert.equal(findModule(modules, 'github.com/labstack/ech'), null);
+  assert.equal(findModule(modules, 'github.com/jackc/pgx'), null);
+});
+
+test('every Cargo.toml of a workspace is read, renamed crates under their own name', async (t) => {
+  const root = await createWorkspace({
+    'Cargo.toml': '[workspace]\nmembers = ["api"]\n\n[workspace.dependencies]\ntokio = { version = "1.36", features = ["full"] }\n',
+    'api/Cargo.toml': `[package]
+name = "api"
+
+[dependencies]
+tokio = { workspace = true }
+web = { package = "actix-web", version = "4" }
+
+[target.'cfg(unix)'.dev-dependencies]
+sqlx = "0.7"
+`
+  });
+  t.after(() => removeWorkspace(root));
+
+  const cargo = await readCargoManifests(await createFileIndex(root));
+
+  assert.deepEqual(cargo.manifests, ['Cargo.toml', 'api/Cargo.toml']);
+  assert.deepEqual(Object.fromEntries(cargo.dependencies), {
+    tokio: { version: '1.36', file: 'Cargo.toml' },
+    'actix-web': { version: '4', file: 'api/Cargo.toml' },
+    sqlx: { version: '0.7', file: 'api/Cargo.toml' }
+  });
+});
+
+test('an unreadable Cargo.toml is reported and skipped', async (t) => {
+  const root = await createWorkspace({ 'Cargo.toml': '[dependencies\naxum = "0.7"\n' });
+  t.after(() => removeWorkspace(root));
+  const logger = createLogger();
+
+  const cargo = await readCargoManifests(await createFileIndex(root), logger);
+
+  assert.equal(cargo.dependencies.size, 0);
+  assert.ok(logger.messages.some(msg => msg.includes('Could not read Cargo.toml')));
+});
+
+test('crate patterns find every way of declaring a crate', () => {
+  const found = (line) => cratePattern('actix-web').some(pattern => pattern.test(line));
+  assert.ok(found('actix-web = "4"'));
+  assert.ok(found('[dependencies.actix-web]'));
+  assert.ok(found('web = { package = "actix-web" }'));
+  assert.ok(!found('actix-web-lab = "0.20"'));
+});
+
+test('Go and Rust frameworks and databases join the tech stack', async (t) => {
+  const root = await createWorkspace({
+    'go.mod': goMod,
+    'Cargo.toml': '[dependencies]\naxum = "0.7"\nsqlx = "0.7"\n'
+  });
+  t.after(() => removeWorkspace(root));
+
+  const techStack = await analyzeTechStack(root);
+
+  assert.equal(techStack.hasGo, true);
+  assert.equal(techStack.hasRust, true);
+  assert.deepEqual(techStack.packageManagers, ['Go modules', 'Cargo']);
+  assert.deepEqual(techStack.frameworks, ['Gin', 'Echo', 'Axum']);
+  assert.deepEqual(techStack.databases, ['GORM', 'SQL', 'sqlx']);
+});
+
+test('backend guidelines for a framework cite the manifest requiring it', async (t) => {
+  const root = await createWorkspace({
+    'go.mod': goMod,
+    'cmd/api/server.go': 'package main\n\nfunc main() {}\n'
+  });
+  t.after(() => removeWorkspace(root));
+
+  const { files } = await generateSkills({ workspaceRoot: root, analyzers: ['backend'], cache: false });
+
+  const content = await readFile(root, files.find(file => file.skill).path);
+  assert.match(content, /^- Bind and validate request bodies with ShouldBindJSON/m);
+  assert.match(content, /`backend\/gin` \(medium confidence\): go\.mod:5$/m);
+});
@@ -0,0 +1,74 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { main } from '../generate-skills.js';
+
+/**
+ * Shared test helpers: throwaway workspaces, a logger that records messages
+ * and a command line runner
+ */
+
+/**
+ * An Express app, enough for the api analyzer to generate a skill
+ */
+export const expressApp = { 'package.json': JSON.stringify({ dependencies: { express: '^4.18.0' } }) };
+
+/**
+ * Creates a temporary workspace holding the given files ({ 'src/a.js': '...' })
+ */
+export async function createWorkspace(files = {}) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'skill-generator-'));
+  await writeFiles(root, files);
+  return root;
+}
+
+export async function writeFiles(root, files) {
+  for (const [file, content] of Object.entries(files)) {
+    const filePath = path.join(root, file);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf-8');
+  }
+}
+
+export async function removeWorkspace(root) {
+  await fs.rm(root, { recursive: true, force: true });
+}
+
+/**
+ * Resolves to a file's content, or null when it does not exist
+ */
+export async function readFile(root, file) {
+  try {
+    return await fs.readFile(path.join(root, file), 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * A { info, error } logger keeping every message in `messages`
+ */
+export function createLogger() {
+  const messages = [];
+  return {
+    messages,
+    info: (msg) => messages.push(msg),
+    error: (msg) => messages.push(msg)
+  };
+}
+
+/**
+ * Runs the command line, collecting its output and exit code
+ */
+export async function runCli(t, argv) {
+  const output = [];
+  t.mock.method(console, 'log', (msg) => output.push(msg));
+  t.mock.method(console, 'error', (msg) => output.push(msg));
+  try {
+    const result = await main(argv);
+    return { result, output: output.join('\n'), exitCode: process.exitCode };
+  } finally {
+    t.mock.restoreAll();
+    process.exitCode = undefined;
+  }
+}
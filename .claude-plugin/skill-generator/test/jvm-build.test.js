@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readJvmBuild, findDependency, findPlugin, declarationPattern } from '../utils/jvm-build.js';
+import { createFileIndex } from '../utils/file-index.js';
+import { analyzeTechStack } from '../analyzers/tech-stack-analyzer.js';
+import { generateSkills } from '../index.js';
+import { createWorkspace, removeWorkspace, readFile, createLogger } from './helpers.js';
+
+const pom = `<project>
+  <parent>
+    <groupId>org.springframework.boot</groupId>
+    <artifactId>spring-boot-starter-parent</artifactId>
+    <version>3.2.0</version>
+  </parent>
+  <dependencyManagement>
+    <dependencies>
+      <dependency><groupId>io.quarkus</groupId><artifactId>quarkus-bom</artifactId></dependency>
+    </dependencies>
+  </dependencyManagement>
+  <dependencies>
+    <!-- <dependency><groupId>io.micronaut</groupId><artifactId>micronaut-core</artifactId></dependency> -->
+    <dependency>
+      <groupId>org.springframework.boot</groupId>
+      <artifactId>spring-boot-starter-data-jpa</artifactId>
+    </dependency>
+    <dependency>
+      <groupId>org.postgresql</groupId>
+      <artifactId>postgresql</artifactId>
+    </dependency>
+    <dependency>
+      <groupId>org.springframework.boot</groupId>
+      <artifactId>spring-boot-starter-test</artifactId>
+      <scope>test</scope>
+    </dependency>
+  </dependencies>
+  <build>
+    <plugins>
+      <plugin><artifactId>maven-surefire-plugin</artifactId></plugin>
+    </plugins>
+  </build>
+</project>
+`;
+
+async function buildOf(t, files, logger) {
+  const root = await createWorkspace(files);
+  t.after(() => removeWorkspace(root));
+  return readJvmBuild(await createFileIndex(root), logger);
+}
+
+test('Maven dependencies, parents and plugins are read; managed and commented ones are not', async (t) => {
+  const build = await buildOf(t, { 'pom.xml': pom });
+
+  assert.deepEqual(build.buildTools, ['Maven']);
+  assert.deepEqual([...build.dependencies.keys()], [
+    'org.springframework.boot:spring-boot-starter-parent',
+    'org.springframework.boot:spring-boot-starter-data-jpa',
+    'org.postgresql:postgresql',
+    'org.springframework.boot:spring-boot-starter-test'
+  ]);
+  assert.equal(build.dependencies.get('org.springframework.boot:spring-boot-starter-test').test, true);
+  assert.ok(build.plugins.has('org.apache.maven.plugins:maven-surefire-plugin'));
+});
+
+test('Gradle builds are read with their version catalog entries', async (t) => {
+  const build = await buildOf(t, {
+    'settings.gradle.kts': '',
+    'app/build.gradle.kts': `plugins {
+    kotlin("jvm") version "1.9.22"
+    alias(libs.plugins.spring.boot)
+}
+
+dependencies {
+    implementation(libs.spring.boot.web)
+    // implementation("io.quarkus:quarkus-core:3.6.0")
+    testImplementation("org.junit.jupiter:junit-jupiter:5.10.1")
+}
+`,
+    'gradle/libs.versions.toml': `[versions]
+boot = "3.2.0"
+
+[libraries]
+spring-boot_web = { module = "org.springframework.boot:spring-boot-starter-web", version.ref = "boot" }
+
+[plugins]
+spring-boot = { id = "org.springframework.boot", version.ref = "boot" }
+`
+  });
+
+  assert.deepEqual(build.buildTools, ['Gradle']);
+  assert.deepEqual(build.dependencies.get('org.springframework.boot:spring-boot-starter-web'), {
+    file: 'gradle/libs.versions.toml',
+    coordinate: 'org.springframework.boot:spring-boot-starter-web',
+    version: '3.2.0',
+    test: false
+  });
+  assert.deepEqual(build.dependencies.get('org.junit.jupiter:junit-jupiter'), {
+    file: 'app/build.gradle.kts',
+    coordinate: 'org.junit.jupiter:junit-jupiter',
+    version: '5.10.1',
+    test: true
+  });
+  assert.equal(findDependency(build, 'io.quarkus:*'), null);
+  assert.ok(findPlugin(build, 'org.jetbrains.kotlin*'));
+  assert.ok(findPlugin(build, 'org.springframework.boot'));
+});
+
+test('a dependency is a test dependency only if every module uses it for tests', async (t) => {
+  const build = await buildOf(t, {
+    'api/build.gradle': "dependencies {\n  testImplementation 'org.mockito:mockito-core:5.8.0'\n}\n",
+    'tools/build.gradle': "dependencies {\n  implementation group: 'org.mockito', name: 'mockito-core', version: '5.8.0'\n}\n"
+  });
+
+  assert.deepEqual(build.dependencies.get('org.mockito:mockito-core'), {
+    file: 'api/build.gradle',
+    coordinate: 'org.mockito:mockito-core',
+    version: '5.8.0',
+    test: false
+  });
+});
+
+test('an unreadable version catalog is reported and skipped', async (t) => {
+  const logger = createLogger();
+  const build = await buildOf(t, {
+    'build.gradle': 'dependencies {\n  implementation libs.guava\n}\n',
+    'gradle/libs.versions.toml': '[libraries\nguava = "com.google.guava:guava:33.0.0-jre"\n'
+  }, logger);
+
+  assert.equal(build.dependencies.size, 0);
+  assert.ok(logger.messages.some(msg => msg.includes('Could not read gradle/libs.versions.toml')));
+});
+
+test('declarations are located by artifact or plugin id', () => {
+  assert.equal(declarationPattern({ coordinate: 'org.postgresql:postgresql' }), 'postgresql');
+  assert.equal(declarationPattern({ coordinate: 'org.springframework.boot' }), 'org.springframework.boot');
+  assert.match('kotlin("jvm") version "1.9.22"', declarationPattern({ coordinate: 'org.jetbrains.kotlin.jvm' }));
+});
+
+test('frameworks and databases come from the build', async (t) => {
+  const root = await createWorkspace({ 'pom.xml': pom });
+  t.after(() => removeWorkspace(root));
+
+  const techStack = await analyzeTechStack(root);
+
+  assert.equal(techStack.hasJava, true);
+  assert.equal(techStack.hasKotlin, false);
+  assert.deepEqual(techStack.packageManagers, ['Maven']);
+  assert.deepEqual(techStack.frameworks, ['Spring Boot']);
+  assert.deepEqual(techStack.databases, ['Hibernate', 'SQL', 'PostgreSQL']);
+});
+
+test('a Kotlin build sets hasKotlin and keeps hasJava for JVM guidance', async (t) => {
+  const root = await createWorkspace({
+    'build.gradle.kts': 'plugins {\n    kotlin("jvm") version "1.9.22"\n}\n'
+  });
+  t.after(() => removeWorkspace(root));
+
+  const techStack = await analyzeTechStack(root);
+
+  assert.equal(techStack.hasJava, true);
+  assert.equal(techStack.hasKotlin, true);
+  assert.deepEqual(techStack.languages, ['Kotlin']);
+  assert.deepEqual(techStack.packageManagers, ['Gradle']);
+});
+
+test('spring-boot-starter-test brings JUnit 5 and Mockito guidance', async (t) => {
+  const root = await createWorkspace({ 'pom.xml': pom });
+  t.after(() => removeWorkspace(root));
+
+  const { files } = await generateSkills({ workspaceRoot: root, analyzers: ['testing'], cache: false });
+
+  const content = await readFile(root, files.find(file => file.skill).path);
+  assert.match(content, /^- Follow JUnit 5 best practices/m);
+  assert.match(content, /`testing\/junit` \(medium confidence\): pom\.xml:\d+$/m);
+  assert.match(content, /Mockito/);
+  assert.doesNotMatch(content, /JUnit 4/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { extractKeepBlocks, mergeKeepBlocks, KEEP_START, KEEP_END } from '../utils/keep-regions.js';
+import { GENERATED_MARKER } from '../utils/skill-writer.js';
+import { generateSkills } from '../index.js';
+import { expressApp, createWorkspace, removeWorkspace, readFile } from './helpers.js';
+
+const footer = `---\n\n${GENERATED_MARKER}\n`;
+const keep = (text) => `${KEEP_START}\n${text}\n${KEEP_END}`;
+
+test('kept blocks are extracted with the heading they were written under', () => {
+  const content = `---\nname: api\n---\n# API\n\n## Guidelines\n\n- Generated\n\n${keep('- Use our db wrapper')}\n\n${footer}`;
+
+  assert.deepEqual(extractKeepBlocks(content, GENERATED_MARKER), [
+    { heading: '## Guidelines', text: keep('- Use our db wrapper') }
+  ]);
+});
+
+test('an unterminated block ends at the next heading', () => {
+  const content = `## Guidelines\n\n${KEEP_START}\n- Mine\n\n## Examples\n\n- Generated\n\n${footer}`;
+
+  assert.deepEqual(extractKeepBlocks(content, GENERATED_MARKER), [
+    { heading: '## Guidelines', text: keep('- Mine') }
+  ]);
+});
+
+test('a kept block goes back to the end of its section', () => {
+  const fresh = `# API\n\n## Guidelines\n\n- New advice\n\n## Examples\n\n- Example\n\n${footer}`;
+  const blocks = [{ heading: '## Guidelines', text: keep('- Mine') }];
+
+  assert.equal(
+    mergeKeepBlocks(fresh, blocks, GENERATED_MARKER),
+    `# API\n\n## Guidelines\n\n- New advice\n\n${keep('- Mine')}\n\n## Examples\n\n- Example\n\n${footer}`
+  );
+});
+
+test('the section of a block is recreated above the footer when it is gone', () => {
+  const fresh = `# API\n\n## Guidelines\n\n- New advice\n\n${footer}`;
+  const blocks = [
+    { heading: '## Team notes', text: keep('- One') },
+    { heading: '## Team notes', text: keep('- Two') }
+  ];
+
+  assert.equal(
+    mergeKeepBlocks(fresh, blocks, GENERATED_MARKER),
+    `# API\n\n## Guidelines\n\n- New advice\n\n## Team notes\n\n${keep('- One')}\n\n${keep('- Two')}\n\n${footer}`
+  );
+});
+
+test('hand edits inside keep blocks survive a regeneration', async (t) => {
+  const root = await createWorkspace(expressApp);
+  t.after(() => removeWorkspace(root));
+  const options = { workspaceRoot: root, analyzers: ['api'], cache: false };
+  const { files } = await generateSkills(options);
+  const skill = files.find(file => file.skill).path;
+  const edited = (await readFile(root, skill)).replace(/\n---\n\n\*Generated/, `\n${keep('- Go through the gateway')}\n\n---\n\n*Generated`);
+  await fs.writeFile(path.join(root, skill), edited);
+
+  await generateSkills(options);
+
+  assert.ok((await readFile(root, skill)).includes(keep('- Go through the gateway')));
+});
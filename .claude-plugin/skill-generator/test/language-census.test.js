@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFileIndex } from '../utils/file-index.js';
+import { createCache } from '../utils/cache.js';
+import { countLanguages, countFileLines, primaryLanguages, orderByLanguage, PRIMARY_SHARE } from '../utils/language-census.js';
+import { createWorkspace, removeWorkspace } from './helpers.js';
+
+const lines = (count, line) => Array.from({ length: count }, (_, i) => line(i)).join('\n');
+
+test('languages are ranked by non-blank lines, leaving out generated and vendored code', async (t) => {
+  const root = await createWorkspace({
+    'app/main.py': lines(30, i => `value_${i} = ${i}\n`),
+    'web/index.js': lines(10, i => `export const v${i} = ${i};`),
+    'web/bundle.min.js': lines(100, i => `var a${i}=1;`),
+    'api/service.pb.go': lines(200, i => `var v${i} = ${i}`),
+    'api/schema.go': `// Code generated by sqlc. DO NOT EDIT.\n${lines(100, i => `var v${i} = ${i}`)}`,
+    'third_party/lib.py': lines(500, i => `x${i} = ${i}`),
+    'eslint.config.js': lines(50, i => `const r${i} = ${i};`)
+  });
+  t.after(() => removeWorkspace(root));
+
+  const stats = await countLanguages(root, await createFileIndex(root));
+
+  assert.deepEqual(stats, {
+    Python: { files: 1, lines: 30, share: 0.75 },
+    JavaScript: { files: 1, lines: 10, share: 0.25 }
+  });
+  assert.deepEqual(primaryLanguages(stats), ['Python', 'JavaScript']);
+});
+
+test('paths marked linguist-vendored in .gitattributes are not counted', async (t) => {
+  const root = await createWorkspace({
+    '.gitattributes': 'assets/** linguist-vendored\nassets/own.js -linguist-vendored\n',
+    'assets/jquery.js': lines(100, i => `var a${i} = ${i};`),
+    'assets/own.js': lines(5, i => `var b${i} = ${i};`)
+  });
+  t.after(() => removeWorkspace(root));
+
+  const stats = await countLanguages(root, await createFileIndex(root));
+
+  assert.deepEqual(stats, { JavaScript: { files: 1, lines: 5, share: 1 } });
+});
+
+test('a minified file is recognized while streaming it', async (t) => {
+  const root = await createWorkspace({ 'dist.js': `${'a=1;'.repeat(200)}\n` });
+  t.after(() => removeWorkspace(root));
+
+  assert.deepEqual(await countFileLines(`${root}/dist.js`), { lines: 1, generated: true });
+  assert.equal(await countFileLines(`${root}/missing.js`), null);
+});
+
+test('source files are not kept in the file index', async (t) => {
+  const root = await createWorkspace({ 'app/main.py': 'print("hi")\n' });
+  t.after(() => removeWorkspace(root));
+  const files = await createFileIndex(root);
+  const read = [];
+  const spied = { ...files, read: (file) => { read.push(file); return files.read(file); } };
+
+  await countLanguages(root, spied);
+
+  assert.deepEqual(read, ['.gitattributes']);
+});
+
+test('counts of unchanged files are reused from the cache', async (t) => {
+  const root = await createWorkspace({ 'app/main.py': lines(12, i => `v${i} = ${i}`) });
+  t.after(() => removeWorkspace(root));
+  const context = { files: await createFileIndex(root), logger: { info: () => {}, error: () => {} } };
+
+  const first = await createCache(root, context);
+  await countLanguages(root, context.files, { cache: first });
+  await first.save();
+
+  const second = await createCache(root, context);
+  const counted = [];
+  const counts = await second.countFile('app/main.py', async (filePath) => {
+    counted.push(filePath);
+    return countFileLines(filePath);
+  });
+
+  assert.deepEqual(counted, []);
+  assert.equal(counts.lines, 12);
+});
+
+test('the largest language is primary even below the threshold', () => {
+  const share = PRIMARY_SHARE / 2;
+  assert.deepEqual(primaryLanguages({ Go: { share }, Rust: { share }, Python: { share } }), ['Go']);
+});
+
+test('language sections are ordered by the census and dropped without source', () => {
+  const techStack = { languageStats: { Python: {}, Go: {} } };
+  const sections = [
+    { languages: ['JavaScript', 'TypeScript'], guidelines: ['js'] },
+    { languages: ['Go'], guidelines: ['go'] },
+    { languages: ['Python'], guidelines: ['py'] }
+  ];
+
+  assert.deepEqual(orderByLanguage(techStack, sections), ['py', 'go']);
+  assert.deepEqual(orderByLanguage({}, sections), ['js', 'go', 'py']);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { validateSkill, validateSkills } from '../utils/validate.js';
+import { getSkillFilePath, getReferenceFilePath } from '../utils/skill-writer.js';
+import { parseFrontmatter } from '../utils/yaml.js';
+import { generateSkills } from '../index.js';
+import { expressApp, createWorkspace, removeWorkspace, readFile } from './helpers.js';
+
+const valid = { name: 'api-guide', description: 'How this project builds APIs' };
+
+test('names and descriptions are checked against the Agent Skills rules', () => {
+  assert.deepEqual(validateSkill(valid), []);
+  assert.deepEqual(validateSkill({ name: 'API--Guide', description: '' }).map(p => `${p.field} ${p.message}`), [
+    'name may only contain lowercase letters, digits and single hyphens, and must not start or end with a hyphen',
+    'description is missing'
+  ]);
+  assert.match(validateSkill({ ...valid, name: 'claude-helpers' })[0].message, /reserved word "claude"/);
+  assert.match(validateSkill({ ...valid, name: 'a'.repeat(65) })[0].message, /65 characters long, the limit is 64/);
+  assert.match(validateSkill({ ...valid, description: 'Use <b>this</b>' })[0].message, /XML tags/);
+});
+
+test('all problems, including duplicate names, are thrown together', () => {
+  assert.throws(() => validateSkills([valid, valid, { name: 'Bad', description: 'x' }]), (error) => {
+    assert.equal(error.name, 'SkillValidationError');
+    assert.deepEqual(error.problems.map(p => p.skill), ['Bad', 'api-guide']);
+    assert.match(error.message, /^2 problem\(s\) in generated skills; Claude would not load them:\n/);
+    return true;
+  });
+});
+
+test('each layout has its own file paths', () => {
+  const skill = { name: 'api-guide', category: 'api' };
+
+  assert.equal(getSkillFilePath(skill, '/repo'), path.join('/repo', '.claude/skills/api/api-guide.md'));
+  assert.equal(getReferenceFilePath(skill, 'examples', '/repo'), path.join('/repo', '.claude/skills/api/api-guide/examples.md'));
+  const directory = { layout: 'directory', outputDir: 'skills' };
+  assert.equal(getSkillFilePath(skill, '/repo', directory), path.join('/repo', 'skills/api-guide/SKILL.md'));
+  assert.equal(getReferenceFilePath(skill, 'examples', '/repo', directory), path.join('/repo', 'skills/api-guide/references/examples.md'));
+});
+
+test('the directory layout writes SKILL.md with only the standard frontmatter keys', async (t) => {
+  const root = await createWorkspace(expressApp);
+  t.after(() => removeWorkspace(root));
+
+  const { files } = await generateSkills({ workspaceRoot: root, analyzers: ['api'], layout: 'directory', cache: false });
+
+  const skill = files.find(file => file.skill);
+  assert.equal(skill.path, `.claude/skills/${skill.skill}/SKILL.md`);
+  const { data } = parseFrontmatter(await readFile(root, skill.path));
+  assert.deepEqual(Object.keys(data), ['name', 'description', 'metadata']);
+  assert.equal(data.name, skill.skill);
+  assert.equal(data.metadata.category, 'api');
+});
+
+test('invalid skills fail the run before anything is written', async (t) => {
+  const root = await createWorkspace({
+    '.claude/skill-generator/analyzers/bad.js': `export default {
+  name: 'bad',
+  category: 'custom',
+  async analyze() { return [{ name: 'Bad Name', description: 'x', guidelines: [] }]; }
+};
+`
+  });
+  t.after(() => removeWorkspace(root));
+
+  await assert.rejects(generateSkills({ workspaceRoot: root, analyzers: ['bad'], cache: false }), { name: 'SkillValidationError' });
+  assert.equal(await readFile(root, '.claude/skills/.skill-generator.json'), null);
+});
+
+test('skills of different categories may share a name in the flat layout only', async (t) => {
+  const root = await createWorkspace({
+    '.claude/skill-generator/analyzers/team.js': `export default {
+  name: 'team',
+  category: 'custom',
+  async analyze() {
+    return ['api', 'security'].map(category => ({ name: 'team-guide', category, description: 'Team conventions', guidelines: [\`Follow the \${category} conventions\`] }));
+  }
+};
+`
+  });
+  t.after(() => removeWorkspace(root));
+
+  const { files } = await generateSkills({ workspaceRoot: root, analyzers: ['team'], cache: false });
+
+  assert.deepEqual(files.filter(file => file.skill).map(file => file.path).sort(), [
+    '.claude/skills/api/team-guide.md',
+    '.claude/skills/security/team-guide.md'
+  ]);
+  await assert.rejects(
+    generateSkills({ workspaceRoot: root, analyzers: ['team'], layout: 'directory', cache: false }),
+    { name: 'SkillValidationError', message: /is used by another skill written to the same file/ }
+  );
+});
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readLockfile } from '../utils/lockfile.js';
+import { parseVersion, compareVersions, minVersion, isOlderThan } from '../utils/versions.js';
+import { createFileIndex } from '../utils/file-index.js';
+import { analyzeTechStack } from '../analyzers/tech-stack-analyzer.js';
+import { generateSkills } from '../index.js';
+import { createWorkspace, removeWorkspace, readFile, createLogger } from './helpers.js';
+
+async function lockfileOf(t, files, names = ['react']) {
+  const root = await createWorkspace(files);
+  t.after(() => removeWorkspace(root));
+  const packageJson = JSON.parse(files['package.json']);
+  return readLockfile(await createFileIndex(root), packageJson, names);
+}
+
+test('versions are compared part by part, missing parts counting as 0', () => {
+  assert.deepEqual(parseVersion('v18.2'), [18, 2, 0]);
+  assert.deepEqual(parseVersion('4.x'), [4, 0, 0]);
+  assert.equal(parseVersion('latest'), null);
+  assert.ok(compareVersions('16.14.0', '16.8') > 0);
+  assert.equal(compareVersions('18', '18.0.0'), 0);
+});
+
+test('the lowest version of a range is its first alternative', () => {
+  assert.equal(minVersion('^18.2.0'), '18.2.0');
+  assert.equal(minVersion('>= 16.8 || ^17'), '16.8.0');
+  assert.equal(minVersion('~4.17'), '4.17.0');
+  assert.equal(minVersion('workspace:*'), null);
+  assert.equal(minVersion('next'), null);
+});
+
+test('an unknown version is never older', () => {
+  assert.equal(isOlderThan({ versions: {} }, 'react', '18'), false);
+  assert.equal(isOlderThan({ versions: { react: { version: '17.0.2' } } }, 'react', '18'), true);
+});
+
+test('package-lock.json versions win over the declared range', async (t) => {
+  const lock = await lockfileOf(t, {
+    'package.json': JSON.stringify({ dependencies: { react: '^18.0.0' } }),
+    'package-lock.json': JSON.stringify({ lockfileVersion: 3, packages: { 'node_modules/react': { version: '18.3.1' } } })
+  });
+
+  assert.deepEqual(lock, {
+    packageManager: 'npm',
+    lockfile: 'package-lock.json',
+    versions: { react: { version: '18.3.1', major: 18, source: 'package-lock.json' } }
+  });
+});
+
+test('pnpm lockfiles are read from the root importer', async (t) => {
+  const lock = await lockfileOf(t, {
+    'package.json': JSON.stringify({ dependencies: { react: '^18.0.0', next: '^14.0.0' } }),
+    'pnpm-lock.yaml': `lockfileVersion: '9.0'
+
+importers:
+
+  .:
+    dependencies:
+      next:
+        specifier: ^14.0.0
+        version: 14.2.3(react@18.3.1)
+      react:
+        specifier: ^18.0.0
+        version: 18.3.1
+
+  packages/legacy:
+    dependencies:
+      react:
+        specifier: ^16.0.0
+        version: 16.14.0
+`
+  }, ['react', 'next']);
+
+  assert.equal(lock.packageManager, 'pnpm');
+  assert.equal(lock.versions.react.version, '18.3.1');
+  assert.equal(lock.versions.next.version, '14.2.3');
+});
+
+test('yarn.lock prefers the entry for the range package.json declares', async (t) => {
+  const lock = await lockfileOf(t, {
+    'package.json': JSON.stringify({ dependencies: { react: '^18.2.0' } }),
+    'yarn.lock': `# yarn lockfile v1
+
+react@^16.8.0:
+  version "16.14.0"
+
+"react@^18.0.0", "react@^18.2.0":
+  version "18.2.0"
+`
+  });
+
+  assert.equal(lock.packageManager, 'Yarn');
+  assert.equal(lock.versions.react.version, '18.2.0');
+});
+
+test('the packageManager field picks between several lockfiles', async (t) => {
+  const lock = await lockfileOf(t, {
+    'package.json': JSON.stringify({ packageManager: 'yarn@4.1.0', dependencies: { react: '^18.0.0' } }),
+    'package-lock.json': JSON.stringify({ lockfileVersion: 3, packages: { 'node_modules/react': { version: '18.1.0' } } }),
+    'yarn.lock': 'react@npm:^18.0.0:\n  version: 18.3.1\n'
+  });
+
+  assert.equal(lock.lockfile, 'yarn.lock');
+  assert.equal(lock.versions.react.version, '18.3.1');
+});
+
+test('without a usable lockfile the declared range is used', async (t) => {
+  const root = await createWorkspace({
+    'package.json': JSON.stringify({ dependencies: { react: '^17.0.2' } }),
+    'package-lock.json': '{ not json'
+  });
+  t.after(() => removeWorkspace(root));
+  const logger = createLogger();
+
+  const lock = await readLockfile(await createFileIndex(root), { dependencies: { react: '^17.0.2' } }, ['react'], logger);
+
+  assert.deepEqual(lock.versions.react, { version: '17.0.2', major: 17, source: 'package.json' });
+  assert.ok(logger.messages.some(msg => msg.includes('Could not read package-lock.json')));
+});
+
+test('the tech stack records the package manager and versions', async (t) => {
+  const root = await createWorkspace({
+    'package.json': JSON.stringify({ dependencies: { react: '^18.0.0' } }),
+    'bun.lock': '{\n  "packages": {\n    "react": ["react@18.3.1", "", {}, "sha512-x"],\n  }\n}\n'
+  });
+  t.after(() => removeWorkspace(root));
+
+  const techStack = await analyzeTechStack(root);
+
+  assert.deepEqual(techStack.packageManagers, ['Bun']);
+  assert.deepEqual(techStack.versions.react, { version: '18.3.1', major: 18, source: 'bun.lock' });
+});
+
+test('React guidelines follow the installed version', async (t) => {
+  const root = await createWorkspace({
+    'package.json': JSON.stringify({ dependencies: { react: '^16.0.0' } }),
+    'package-lock.json': JSON.stringify({ lockfileVersion: 3, packages: { 'node_modules/react': { version: '16.4.2' } } })
+  });
+  t.after(() => removeWorkspace(root));
+
+  const { files } = await generateSkills({ workspaceRoot: root, analyzers: ['react'], cache: false });
+
+  const content = await readFile(root, files.find(file => file.skill).path);
+  assert.match(content, /hooks need React 16\.8 or later \(detected: 16\.4\.2\)/);
+  assert.doesNotMatch(content, /Use functional components with hooks/);
+});
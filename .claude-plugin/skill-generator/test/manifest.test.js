@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { generateSkills } from '../index.js';
+import { readManifest, createManifestEntry, formatManifest, hashContent, MANIFEST_VERSION, GENERATOR_NAME } from '../utils/manifest.js';
+import { expressApp, createWorkspace, removeWorkspace, readFile } from './helpers.js';
+
+test('a manifest entry records the file, its skill, hash and size', () => {
+  const skill = { name: 'api-guide', category: 'api', generatedBy: { analyzer: 'api', version: '1.2.0' } };
+
+  assert.deepEqual(createManifestEntry(skill, path.join('/repo', '.claude/skills/api/api-guide.md'), 'content', '/repo'), {
+    path: '.claude/skills/api/api-guide.md',
+    target: 'skills',
+    skill: 'api-guide',
+    category: 'api',
+    hash: hashContent('content'),
+    tokens: 2,
+    analyzer: 'api',
+    analyzerVersion: '1.2.0'
+  });
+  assert.equal(createManifestEntry(null, '/repo/CLAUDE.md', '', '/repo', 'claude-md').skill, null);
+});
+
+test('the manifest lists its files sorted by path after the report', () => {
+  const manifest = JSON.parse(formatManifest({ timestamp: 'now' }, [{ path: 'b.md' }, { path: 'a.md' }]));
+
+  assert.equal(manifest.manifestVersion, MANIFEST_VERSION);
+  assert.equal(manifest.generator.name, GENERATOR_NAME);
+  assert.equal(manifest.timestamp, 'now');
+  assert.deepEqual(manifest.files, [{ path: 'a.md' }, { path: 'b.md' }]);
+});
+
+test('a run saves its report and the hashes of what it wrote', async (t) => {
+  const root = await createWorkspace(expressApp);
+  t.after(() => removeWorkspace(root));
+
+  const { files, report } = await generateSkills({ workspaceRoot: root, analyzers: ['api'], cache: false });
+  const manifest = await readManifest(root);
+
+  assert.deepEqual(manifest.agents, report.agents);
+  assert.deepEqual(manifest.files, files);
+  for (const file of files) {
+    assert.equal(file.hash, hashContent(await readFile(root, file.path)));
+  }
+});
+
+test('an unreadable manifest counts as no previous run', async (t) => {
+  const root = await createWorkspace({ '.claude/skills/.skill-generator.json': '{ nope' });
+  t.after(() => removeWorkspace(root));
+
+  assert.equal(await readManifest(root), null);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { findStaleSkills, pruneStaleSkills } from '../utils/prune.js';
+import { generateSkills } from '../index.js';
+import { hashContent } from '../utils/manifest.js';
+import { KEEP_START, KEEP_END } from '../utils/keep-regions.js';
+import { createWorkspace, removeWorkspace, writeFiles, readFile, createLogger } from './helpers.js';
+
+/**
+ * A transaction that only records what it was asked to do
+ */
+function recordingTransaction() {
+  const calls = [];
+  return {
+    calls,
+    write: (filePath, content) => calls.push(['write', filePath, content]),
+    remove: (filePath) => calls.push(['remove', filePath])
+  };
+}
+
+function staleEntry(file, content) {
+  return { path: file, skill: 'old-skill', analyzer: 'security', hash: hashContent(content) };
+}
+
+test('remove mode keeps a stale skill with hand-edited keep blocks', async (t) => {
+  const content = `# Old\n\n${KEEP_START}\n- Our own rule\n${KEEP_END}\n`;
+  const root = await createWorkspace({ '.claude/skills/security/old.md': content });
+  t.after(() => removeWorkspace(root));
+  const transaction = recordingTransaction();
+  const logger = createLogger();
+
+  const entry = staleEntry('.claude/skills/security/old.md', content);
+  const kept = await pruneStaleSkills([entry], 'remove', root, { logger }, transaction);
+
+  assert.deepEqual(kept, [entry]);
+  assert.deepEqual(transaction.calls, []);
+  assert.ok(logger.messages.some(msg => msg.includes('hand-edited blocks')));
+});
+
+test('archive mode still moves a stale skill with keep blocks away', async (t) => {
+  const content = `# Old\n\n${KEEP_START}\n- Our own rule\n${KEEP_END}\n`;
+  const root = await createWorkspace({ '.claude/skills/security/old.md': content });
+  t.after(() => removeWorkspace(root));
+  const transaction = recordingTransaction();
+
+  const kept = await pruneStaleSkills([staleEntry('.claude/skills/security/old.md', content)], 'archive', root, { logger: createLogger() }, transaction);
+
+  assert.deepEqual(kept, []);
+  assert.deepEqual(transaction.calls.map(([action]) => action), ['write', 'remove']);
+  assert.equal(transaction.calls[1][1], path.join(root, '.claude/skills/security/old.md'));
+});
+
+test('only skills of analyzers that ran this time are stale', () => {
+  const previous = {
+    files: [
+      { path: 'a.md', skill: 'a', analyzer: 'api', target: 'skills' },
+      { path: 'b.md', skill: 'b', analyzer: 'api', target: 'skills' },
+      { path: 'c.md', skill: 'c', analyzer: 'security', target: 'skills' },
+      { path: 'd.mdc', skill: 'd', analyzer: 'api', target: 'cursor' },
+      { path: 'CLAUDE.md', skill: null, analyzer: null, target: 'claude-md' }
+    ]
+  };
+
+  const { stale, carried } = findStaleSkills(previous, [{ path: 'a.md' }], ['api'], ['skills']);
+
+  assert.deepEqual(stale.map(entry => entry.path), ['b.md']);
+  assert.deepEqual(carried.map(entry => entry.path), ['c.md', 'd.mdc']);
+});
+
+test('a stale skill edited since it was generated is left alone', async (t) => {
+  const root = await createWorkspace({ '.claude/skills/security/old.md': '# Old, edited\n' });
+  t.after(() => removeWorkspace(root));
+  const transaction = recordingTransaction();
+
+  const entry = staleEntry('.claude/skills/security/old.md', '# Old\n');
+  const kept = await pruneStaleSkills([entry], 'remove', root, { logger: createLogger() }, transaction);
+
+  assert.deepEqual(kept, [entry]);
+  assert.deepEqual(transaction.calls, []);
+});
+
+test('stale skills are removed with --prune remove and only reported otherwise', async (t) => {
+  const analyzer = (skill) => `export default {
+  name: 'team',
+  category: 'custom',
+  async analyze() {
+    return [{ name: '${skill}', category: 'custom', description: 'Team conventions', guidelines: ['Follow the team conventions'] }];
+  }
+};
+`;
+  const root = await createWorkspace({ '.claude/skill-generator/analyzers/team.js': analyzer('old-guide') });
+  t.after(() => removeWorkspace(root));
+  const options = { workspaceRoot: root, analyzers: ['team'], cache: false };
+  const { files: [oldSkill] } = await generateSkills(options);
+
+  // A new module file, so the changed analyzer is imported afresh
+  await fs.rm(path.join(root, '.claude/skill-generator/analyzers/team.js'));
+  await writeFiles(root, { '.claude/skill-generator/analyzers/team2.js': analyzer('new-guide') });
+
+  const logger = createLogger();
+  await generateSkills({ ...options, logger });
+  assert.ok(await readFile(root, oldSkill.path));
+  assert.ok(logger.messages.some(msg => msg.includes(oldSkill.path)));
+
+  await generateSkills({ ...options, prune: 'remove' });
+  assert.equal(await readFile(root, oldSkill.path), null);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFileIndex } from '../utils/file-index.js';
+import { readPythonProject, parseRequirement, dependencyPattern } from '../utils/python-project.js';
+import { analyzeTechStack } from '../analyzers/tech-stack-analyzer.js';
+import { createWorkspace, removeWorkspace, createLogger } from './helpers.js';
+
+test('requirements are parsed as pip reads them', () => {
+  assert.deepEqual(parseRequirement('Flask_SQLAlchemy[async]>=3.0; python_version > "3.8"'), { name: 'flask-sqlalchemy', specifier: '>=3.0' });
+  assert.deepEqual(parseRequirement('django @ https://example.com/django.zip'), { name: 'django', specifier: '' });
+  assert.equal(parseRequirement('-r base.txt'), null);
+  assert.equal(parseRequirement('# a comment'), null);
+});
+
+test('a dependency pattern does not match longer names', () => {
+  const django = dependencyPattern('Django');
+  assert.match('Django==4.2', django);
+  assert.doesNotMatch('django-environ==0.11', django);
+});
+
+test('every kind of manifest is read', async (t) => {
+  const root = await createWorkspace({
+    'pyproject.toml': '[tool.poetry.dependencies]\npython = "^3.11"\nfastapi = "^0.110"\n',
+    'setup.cfg': '[options]\ninstall_requires =\n    requests>=2.31\n',
+    'setup.py': 'setup(tests_require=["pytest>=8"])\n',
+    'requirements/dev.txt': 'black==24.1 \\\n  # formatter\n'
+  });
+  t.after(() => removeWorkspace(root));
+
+  const python = await readPythonProject(await createFileIndex(root));
+
+  assert.equal(python.packageManager, 'Poetry');
+  assert.deepEqual([...python.dependencies.keys()].sort(), ['black', 'fastapi', 'pytest', 'requests']);
+  assert.deepEqual(python.dependencies.get('fastapi'), { specifier: '^0.110', file: 'pyproject.toml' });
+});
+
+test('manifests of services in subdirectories are read', async (t) => {
+  const root = await createWorkspace({
+    'package.json': '{}',
+    'services/api/pyproject.toml': '[project]\ndependencies = ["Django==4.2"]\n',
+    'services/api/uv.lock': '',
+    'services/worker/requirements.txt': 'celery==5.3\nDjango==5.0\n'
+  });
+  t.after(() => removeWorkspace(root));
+
+  const python = await readPythonProject(await createFileIndex(root));
+
+  assert.deepEqual(python.manifests, ['services/api/pyproject.toml', 'services/worker/requirements.txt']);
+  assert.equal(python.packageManager, 'uv');
+  assert.deepEqual(python.dependencies.get('django'), { specifier: '==4.2', file: 'services/api/pyproject.toml' });
+  assert.ok(python.dependencies.has('celery'));
+});
+
+test('Pipfiles, optional dependencies and dependency groups are read', async (t) => {
+  const root = await createWorkspace({
+    'Pipfile': '[packages]\nflask = "*"\nflask_sqlalchemy = {version = ">=3.0"}\n\n[dev-packages]\npytest = "*"\n',
+    'pyproject.toml': '[project]\nname = "app"\n\n[project.optional-dependencies]\ncache = ["redis>=5"]\n\n[dependency-groups]\nlint = ["ruff"]\n'
+  });
+  t.after(() => removeWorkspace(root));
+
+  const python = await readPythonProject(await createFileIndex(root));
+
+  assert.equal(python.packageManager, 'Pipenv');
+  assert.deepEqual([...python.dependencies.keys()].sort(), ['flask', 'flask-sqlalchemy', 'pytest', 'redis', 'ruff']);
+  assert.deepEqual(python.dependencies.get('flask-sqlalchemy'), { specifier: '>=3.0', file: 'Pipfile' });
+});
+
+test('an unreadable manifest is reported and skipped', async (t) => {
+  const root = await createWorkspace({
+    'pyproject.toml': '[project\ndependencies = ["django"]\n',
+    'requirements.txt': 'flask==3.0\n'
+  });
+  t.after(() => removeWorkspace(root));
+  const logger = createLogger();
+
+  const python = await readPythonProject(await createFileIndex(root), logger);
+
+  assert.deepEqual([...python.dependencies.keys()], ['flask']);
+  assert.ok(logger.messages.some(msg => msg.includes('Could not read pyproject.toml')));
+});
+
+test('frameworks and databases are detected from any manifest', async (t) => {
+  const root = await createWorkspace({
+    'setup.cfg': '[options]\ninstall_requires =\n    Flask>=3.0\n    Flask-SQLAlchemy>=3.1\n',
+    'poetry.lock': ''
+  });
+  t.after(() => removeWorkspace(root));
+
+  const techStack = await analyzeTechStack(root);
+
+  assert.equal(techStack.hasPython, true);
+  assert.deepEqual(techStack.packageManagers, ['Poetry']);
+  assert.deepEqual(techStack.frameworks, ['Flask']);
+  assert.deepEqual(techStack.databases, ['SQL']);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAnalyzerRegistry, loadCustomAnalyzers, validateAnalyzer } from '../analyzers/index.js';
+import { generateSkills, listAnalyzers } from '../index.js';
+import { createWorkspace, removeWorkspace, createLogger } from './helpers.js';
+
+const customAnalyzer = (name) => `export default {
+  name: '${name}',
+  category: 'custom',
+  async analyze() {
+    return [{ name: '${name}-guide', category: 'custom', description: 'Team conventions', guidelines: ['Follow the team conventions'] }];
+  }
+};
+`;
+
+test('analyzers breaking the contract are rejected with every problem', () => {
+  assert.deepEqual(validateAnalyzer({ name: 'Bad Name', analyze: 'nope' }), [
+    'name must be a lowercase string of letters, digits and dashes',
+    'category must be a non-empty string',
+    'analyze must be a function'
+  ]);
+  assert.deepEqual(validateAnalyzer({ name: 'ok', category: 'custom', analyze() {} }), []);
+});
+
+test('a run registry starts with the built-in analyzers', () => {
+  const registry = createAnalyzerRegistry();
+  assert.ok(registry.has('security'));
+  assert.equal(registry.get('security').source, 'builtin');
+});
+
+test('workspace analyzers are loaded, and may replace a built-in one', async (t) => {
+  const root = await createWorkspace({
+    '.claude/skill-generator/analyzers/team.js': customAnalyzer('team'),
+    '.claude/skill-generator/analyzers/security.mjs': customAnalyzer('security'),
+    '.claude/skill-generator/analyzers/README.md': 'not an analyzer'
+  });
+  t.after(() => removeWorkspace(root));
+  const registry = createAnalyzerRegistry();
+  const logger = createLogger();
+
+  const loaded = await loadCustomAnalyzers(registry, root, { logger });
+
+  assert.deepEqual(loaded, ['security', 'team']);
+  assert.equal(registry.get('team').source, '.claude/skill-generator/analyzers/team.js');
+  assert.equal(registry.get('team').displayName, 'team');
+  assert.match(logger.messages.join('\n'), /replaces analyzer "security" \(builtin\)/);
+  // Loading into one run's registry leaves the others alone
+  assert.equal(createAnalyzerRegistry().get('security').source, 'builtin');
+});
+
+test('an analyzer module that fails to load is reported and skipped', async (t) => {
+  const root = await createWorkspace({
+    '.claude/skill-generator/analyzers/invalid.js': 'export default { name: "invalid" };\n',
+    '.claude/skill-generator/analyzers/team.js': customAnalyzer('team')
+  });
+  t.after(() => removeWorkspace(root));
+  const logger = createLogger();
+
+  const loaded = await loadCustomAnalyzers(createAnalyzerRegistry(), root, { logger });
+
+  assert.deepEqual(loaded, ['team']);
+  assert.match(logger.messages.join('\n'), /Failed to load analyzer .*invalid\.js: Invalid analyzer invalid: category must be/);
+});
+
+test('custom analyzers are listed with their source and run like built-in ones', async (t) => {
+  const root = await createWorkspace({ '.claude/skill-generator/analyzers/team.js': customAnalyzer('team') });
+  t.after(() => removeWorkspace(root));
+
+  const analyzers = await listAnalyzers({ workspaceRoot: root });
+  assert.deepEqual(analyzers.find(analyzer => analyzer.name === 'team'), {
+    name: 'team',
+    displayName: 'team',
+    category: 'custom',
+    version: null,
+    source: '.claude/skill-generator/analyzers/team.js'
+  });
+
+  const { skills } = await generateSkills({ workspaceRoot: root, analyzers: ['team'], write: false, cache: false });
+  assert.deepEqual(skills.map(skill => skill.name), ['team-guide']);
+});
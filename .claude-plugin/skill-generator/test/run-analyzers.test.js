@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSkills } from '../index.js';
+import { createWorkspace, removeWorkspace } from './helpers.js';
+
+test('an appliesTo that throws fails its own analyzer', async (t) => {
+  const root = await createWorkspace({
+    '.claude/skill-generator/analyzers/broken.js': `export default {
+  name: 'broken',
+  category: 'custom',
+  appliesTo() { throw new Error('no tech stack for me'); },
+  async analyze() { return []; }
+};
+`
+  });
+  t.after(() => removeWorkspace(root));
+
+  const { report } = await generateSkills({ workspaceRoot: root, analyzers: ['broken'], write: false, cache: false });
+
+  assert.deepEqual(report.agents, [{
+    agent: 'broken',
+    analyzer: 'broken',
+    skillsGenerated: 0,
+    status: 'failed',
+    error: 'no tech stack for me'
+  }]);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { replaceManagedSection, removeManagedSection, SECTION_START, SECTION_END } from '../writers/section-writer.js';
+import { globsFor } from '../writers/cursor-writer.js';
+import { generateSkills, cleanGeneratedSkills } from '../index.js';
+import { expressApp, createWorkspace, removeWorkspace, writeFiles, readFile } from './helpers.js';
+
+const section = (text) => `${SECTION_START}\n${text}\n${SECTION_END}\n`;
+
+test('the managed section is appended once and then replaced in place', () => {
+  const appended = replaceManagedSection('# Team notes\n\nBe kind.\n', section('v1'));
+  assert.equal(appended, `# Team notes\n\nBe kind.\n\n${section('v1')}`);
+
+  const replaced = replaceManagedSection(`${appended}\n## After\n`, section('v2'));
+  assert.equal(replaced, `# Team notes\n\nBe kind.\n\n${section('v2')}\n## After\n`);
+  assert.equal(replaceManagedSection(null, section('v1')), section('v1'));
+});
+
+test('removing the section keeps the hand-written rest of the file', () => {
+  assert.equal(removeManagedSection(`# Notes\n\n${section('v1')}`), '# Notes\n');
+  assert.equal(removeManagedSection(section('v1')), '');
+  assert.equal(removeManagedSection('# Notes\n'), null);
+});
+
+test('cursor rules are scoped by the skill or its category', () => {
+  assert.deepEqual(globsFor({ category: 'react' }), ['**/*.jsx', '**/*.tsx']);
+  assert.deepEqual(globsFor({ category: 'react', globs: ['src/**'] }), ['src/**']);
+  assert.deepEqual(globsFor({ category: 'security' }), []);
+});
+
+test('every target is written, and clean leaves hand-written text alone', async (t) => {
+  const root = await createWorkspace({
+    ...expressApp,
+    'CLAUDE.md': '# Our rules\n\nReview every PR.\n'
+  });
+  t.after(() => removeWorkspace(root));
+  const targets = ['skills', 'claude-md', 'agents-md', 'cursor', 'copilot'];
+
+  const { files, skills } = await generateSkills({ workspaceRoot: root, analyzers: ['api'], targets, cache: false });
+
+  assert.deepEqual([...new Set(files.map(file => file.target))].sort(), [...targets].sort());
+  const claudeMd = await readFile(root, 'CLAUDE.md');
+  assert.ok(claudeMd.startsWith('# Our rules\n\nReview every PR.\n\n<!-- skill-generator:start -->'));
+  assert.match(await readFile(root, '.github/copilot-instructions.md'), /## Project Guidelines/);
+  const rule = await readFile(root, `.cursor/rules/${skills[0].name}.mdc`);
+  assert.match(rule, /^---\ndescription: .+\nglobs: \nalwaysApply: false\n---\n/);
+
+  await cleanGeneratedSkills({ workspaceRoot: root, targets });
+
+  assert.equal(await readFile(root, 'CLAUDE.md'), '# Our rules\n\nReview every PR.\n');
+  assert.equal(await readFile(root, 'AGENTS.md'), null);
+  assert.equal(await readFile(root, `.cursor/rules/${skills[0].name}.mdc`), null);
+});
+
+test('a run of some analyzers keeps the section blocks of the others', async (t) => {
+  const analyzer = (guideline) => `export default {
+  name: 'team',
+  category: 'custom',
+  async analyze() {
+    return [{ name: 'team-guide', displayName: 'Team Guide', category: 'custom', description: 'Team conventions', guidelines: ['${guideline}'] }];
+  }
+};
+`;
+  const root = await createWorkspace({ ...expressApp, '.claude/skill-generator/analyzers/team.js': analyzer('Follow the team conventions') });
+  t.after(() => removeWorkspace(root));
+  const options = { workspaceRoot: root, targets: ['skills', 'claude-md'], cache: false };
+  const { skills } = await generateSkills({ ...options, analyzers: ['api', 'team'] });
+  const apiHeading = `### ${skills.find(skill => skill.category === 'api').displayName}`;
+
+  // A new module file, so the changed analyzer is imported afresh
+  await fs.rm(path.join(root, '.claude/skill-generator/analyzers/team.js'));
+  await writeFiles(root, { '.claude/skill-generator/analyzers/team2.js': analyzer('Pair on every change') });
+  await generateSkills({ ...options, analyzers: ['team'] });
+
+  const claudeMd = await readFile(root, 'CLAUDE.md');
+  assert.ok(claudeMd.includes(apiHeading));
+  assert.match(claudeMd, /### Team Guide\n\n- Pair on every change\n/);
+  assert.doesNotMatch(claudeMd, /Follow the team conventions/);
+
+  // The carried blocks are remembered for the next partial run
+  const { changes } = await generateSkills({ ...options, analyzers: ['team'], write: false });
+  assert.equal(changes.find(change => change.target === 'claude-md').status, 'unchanged');
+  const { files } = await generateSkills({ ...options, analyzers: ['api'] });
+  assert.deepEqual(files.find(file => file.target === 'claude-md').sections.map(s => s.analyzer).sort(), ['api', 'team']);
+  assert.match(await readFile(root, 'CLAUDE.md'), /### Team Guide\n\n- Pair on every change\n/);
+});
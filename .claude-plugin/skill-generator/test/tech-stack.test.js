@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeTechStack } from '../analyzers/tech-stack-analyzer.js';
+import { expressApp, createWorkspace, removeWorkspace } from './helpers.js';
+
+const pythonModule = Array.from({ length: 40 }, (_, i) => `value_${i} = ${i}`).join('\n');
+
+test('a package.json kept for tooling does not make a Python codebase a Node project', async (t) => {
+  const root = await createWorkspace({
+    'package.json': JSON.stringify({ devDependencies: { prettier: '^3.0.0', typescript: '^5.0.0' } }),
+    'pyproject.toml': '[project]\ndependencies = ["fastapi"]\n',
+    'app/main.py': pythonModule,
+    'app/models.py': pythonModule
+  });
+  t.after(() => removeWorkspace(root));
+
+  const techStack = await analyzeTechStack(root);
+
+  assert.deepEqual(techStack.languages, ['Python']);
+  assert.equal(techStack.hasPython, true);
+  assert.equal(techStack.hasNode, false);
+  assert.equal(techStack.hasTypeScript, false);
+  assert.deepEqual(techStack.frameworks, ['FastAPI']);
+});
+
+test('a primary language without a manifest sets its flag', async (t) => {
+  const root = await createWorkspace({
+    ...expressApp,
+    'server.js': 'const express = require("express");\nexpress().listen(3000);\n',
+    'tools/convert.go': Array.from({ length: 30 }, (_, i) => `var v${i} = ${i}`).join('\n')
+  });
+  t.after(() => removeWorkspace(root));
+
+  const techStack = await analyzeTechStack(root);
+
+  assert.deepEqual(techStack.languages, ['Go', 'JavaScript']);
+  assert.equal(techStack.hasGo, true);
+  assert.equal(techStack.hasNode, true);
+});
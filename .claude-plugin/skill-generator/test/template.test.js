@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileTemplate, loadTemplates, templateFor } from '../utils/template.js';
+import { generateSkills } from '../index.js';
+import { GENERATED_MARKER } from '../utils/skill-writer.js';
+import { expressApp, createWorkspace, removeWorkspace, readFile } from './helpers.js';
+
+test('values, dotted names, lists and comments are rendered', () => {
+  const render = compileTemplate('{{! ignored }}# {{ displayName }} ({{metadata.framework}}): {{tags}}');
+  assert.equal(render({ displayName: 'API', metadata: { framework: 'Express' }, tags: ['a', 'b'] }), '# API (Express): a, b');
+});
+
+test('sections repeat for lists and standalone tags leave no blank lines', () => {
+  const render = compileTemplate('## Guidelines\n{{#guidelines}}\n- {{text}}{{#note}} [{{note}}]{{/note}}\n{{/guidelines}}\n{{^examples}}\nNo examples.\n{{/examples}}\n');
+
+  assert.equal(
+    render({ guidelines: [{ text: 'One', note: 1 }, { text: 'Two', note: null }], examples: [] }),
+    '## Guidelines\n- One [1]\n- Two\nNo examples.\n'
+  );
+});
+
+test('the current item is {{.}} and outer names stay visible', () => {
+  const render = compileTemplate('{{#techStack}}{{.}} in {{name}}; {{/techStack}}');
+  assert.equal(render({ name: 'api', techStack: ['Express', 'Node'] }), 'Express in api; Node in api; ');
+});
+
+test('unbalanced sections are a ConfigError naming the template', () => {
+  assert.throws(() => compileTemplate('{{#a}}', 'skill.md'), { name: 'ConfigError', message: 'skill.md: invalid template: unclosed section {{#a}}' });
+  assert.throws(() => compileTemplate('{{#a}}{{/b}}'), /unexpected \{\{\/b\}\}, expected \{\{\/a\}\}/);
+});
+
+test('a category template wins over the global one', async (t) => {
+  const root = await createWorkspace({
+    '.claude/skill-generator/templates/skill.md': 'global',
+    '.claude/skill-generator/templates/api.md': 'api'
+  });
+  t.after(() => removeWorkspace(root));
+  const templates = await loadTemplates(root);
+
+  assert.equal(templateFor(templates, { category: 'api' })({}), 'api');
+  assert.equal(templateFor(templates, { category: 'security' })({}), 'global');
+  assert.equal(templateFor(new Map(), { category: 'api' }), null);
+  await assert.rejects(loadTemplates(root, { templatesDir: 'missing' }), /templates directory not found/);
+});
+
+test('a templates directory that cannot be read is a ConfigError with the cause', async (t) => {
+  const root = await createWorkspace({ '.claude/skill-generator/templates': 'not a directory' });
+  t.after(() => removeWorkspace(root));
+
+  await assert.rejects(loadTemplates(root), (error) => {
+    assert.equal(error.name, 'ConfigError');
+    assert.match(error.message, /could not read templates directory: ENOTDIR/);
+    assert.equal(error.cause.code, 'ENOTDIR');
+    return true;
+  });
+});
+
+test('skills are rendered through the workspace template with the generated marker kept', async (t) => {
+  const root = await createWorkspace({
+    ...expressApp,
+    '.claude/skill-generator/templates/skill.md': '# {{displayName}}\n\n{{#guidelines}}\n* {{text}}\n{{/guidelines}}\n'
+  });
+  t.after(() => removeWorkspace(root));
+
+  const { files } = await generateSkills({ workspaceRoot: root, analyzers: ['api'], cache: false });
+
+  const content = await readFile(root, files.find(file => file.skill).path);
+  assert.match(content, /^---\n[\s\S]*?\n---\n\n# .+\n\n\* /);
+  assert.ok(content.endsWith(`<!-- ${GENERATED_MARKER} -->\n`));
+});
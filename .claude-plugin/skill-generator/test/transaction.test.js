@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createTransaction, listBackups, rollbackLatest, recoverTransaction, BACKUPS_DIR, MAX_BACKUPS } from '../utils/transaction.js';
+import { generateSkills, rollbackSkills } from '../index.js';
+import { expressApp, createWorkspace, removeWorkspace, readFile } from './helpers.js';
+
+test('a commit backs up what it replaces and rollback restores it', async (t) => {
+  const root = await createWorkspace({ 'out/a.md': 'old a\n', 'out/gone.md': 'gone\n' });
+  t.after(() => removeWorkspace(root));
+
+  const transaction = createTransaction(root);
+  transaction.write(path.join(root, 'out/a.md'), 'new a\n');
+  transaction.write(path.join(root, 'out/b.md'), 'new b\n');
+  transaction.remove(path.join(root, 'out/gone.md'));
+  assert.ok(await transaction.commit());
+
+  assert.equal(await readFile(root, 'out/a.md'), 'new a\n');
+  assert.equal(await readFile(root, 'out/b.md'), 'new b\n');
+  assert.equal(await readFile(root, 'out/gone.md'), null);
+
+  const restored = await rollbackLatest(root);
+  assert.equal(restored.files.length, 3);
+  assert.equal(await readFile(root, 'out/a.md'), 'old a\n');
+  assert.equal(await readFile(root, 'out/b.md'), null);
+  assert.equal(await readFile(root, 'out/gone.md'), 'gone\n');
+  assert.deepEqual(await listBackups(root), []);
+});
+
+test('unchanged files are not written or backed up', async (t) => {
+  const root = await createWorkspace({ 'out/a.md': 'same\n' });
+  t.after(() => removeWorkspace(root));
+
+  const transaction = createTransaction(root);
+  transaction.write(path.join(root, 'out/a.md'), 'same\n');
+  assert.equal(await transaction.commit(), null);
+  assert.deepEqual(await listBackups(root), []);
+});
+
+test('metadata changing on its own is written without a backup', async (t) => {
+  const root = await createWorkspace({ 'out/manifest.json': '{"timestamp":1}\n' });
+  t.after(() => removeWorkspace(root));
+
+  const transaction = createTransaction(root);
+  transaction.write(path.join(root, 'out/manifest.json'), '{"timestamp":2}\n', { metadata: true });
+  assert.equal(await transaction.commit(), null);
+
+  assert.equal(await readFile(root, 'out/manifest.json'), '{"timestamp":2}\n');
+  assert.deepEqual(await listBackups(root), []);
+});
+
+test('only the newest backups are kept', async (t) => {
+  const root = await createWorkspace({ 'out/a.md': 'v0\n' });
+  t.after(() => removeWorkspace(root));
+
+  for (let i = 1; i <= MAX_BACKUPS + 2; i++) {
+    const transaction = createTransaction(root);
+    transaction.write(path.join(root, 'out/a.md'), `v${i}\n`);
+    await transaction.commit();
+    // Backups are named after the time of the run
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  assert.equal((await listBackups(root)).length, MAX_BACKUPS);
+  await rollbackLatest(root);
+  assert.equal(await readFile(root, 'out/a.md'), `v${MAX_BACKUPS + 1}\n`);
+});
+
+test('rollback without a backup does nothing', async (t) => {
+  const root = await createWorkspace({ 'out/a.md': 'a\n' });
+  t.after(() => removeWorkspace(root));
+
+  assert.equal(await rollbackLatest(root), null);
+  assert.equal(await readFile(root, 'out/a.md'), 'a\n');
+});
+
+test('a run that changes nothing does not rotate out the last real backup', async (t) => {
+  const root = await createWorkspace(expressApp);
+  t.after(() => removeWorkspace(root));
+  const options = { workspaceRoot: root, analyzers: ['api'], cache: false };
+
+  const { files } = await generateSkills(options);
+  assert.ok(files.length > 0);
+  await generateSkills(options);
+  await generateSkills(options);
+  assert.equal((await listBackups(root)).length, 1);
+
+  // The one backup still undoes the run that wrote the skills
+  await rollbackSkills({ workspaceRoot: root });
+  for (const file of files) {
+    assert.equal(await readFile(root, file.path), null);
+  }
+});
+
+test('files outside the workspace are backed up inside the backup directory', async (t) => {
+  const root = await createWorkspace({ 'repos/team/project/README.md': '# project\n', 'shared/skill.md': 'old\n' });
+  t.after(() => removeWorkspace(root));
+  const workspaceRoot = path.join(root, 'repos/team/project');
+
+  const transaction = createTransaction(workspaceRoot);
+  transaction.write(path.join(root, 'shared/skill.md'), 'new\n');
+  const backupDir = await transaction.commit();
+
+  assert.ok(backupDir.startsWith(path.join(workspaceRoot, '.claude')));
+  assert.equal(await readFile(root, 'shared/skill.md'), 'new\n');
+  // Nothing was written next to the backups directory
+  assert.equal(await readFile(workspaceRoot, '.claude/skill-generator/shared/skill.md'), null);
+
+  await rollbackLatest(workspaceRoot);
+  assert.equal(await readFile(root, 'shared/skill.md'), 'old\n');
+});
+
+/**
+ * Leaves the workspace the way a run killed halfway through its swap does
+ */
+async function interruptSwap(root) {
+  const transaction = createTransaction(root);
+  transaction.write(path.join(root, 'out/a.md'), 'new a\n');
+  transaction.write(path.join(root, 'out/b.md'), 'new b\n');
+  const backupDir = await transaction.commit();
+
+  await fs.writeFile(
+    path.join(root, '.claude/skill-generator/transaction.json'),
+    JSON.stringify({ state: 'swapping', backup: path.relative(root, backupDir) })
+  );
+  await fs.mkdir(path.join(root, '.claude/skill-generator/.staging-abc123'));
+}
+
+test('a run interrupted while swapping is undone on the next start', async (t) => {
+  const root = await createWorkspace({ 'out/a.md': 'old a\n' });
+  t.after(() => removeWorkspace(root));
+  await interruptSwap(root);
+
+  const recovered = await recoverTransaction(root);
+
+  assert.deepEqual(recovered.files.map(file => file.path), ['out/a.md', 'out/b.md']);
+  assert.equal(await readFile(root, 'out/a.md'), 'old a\n');
+  assert.equal(await readFile(root, 'out/b.md'), null);
+  assert.deepEqual(await listBackups(root), []);
+  assert.deepEqual(await fs.readdir(path.join(root, '.claude/skill-generator')), ['backups']);
+  assert.equal(await recoverTransaction(root), null);
+});
+
+test('a run interrupted while staging leaves the workspace as it was', async (t) => {
+  const root = await createWorkspace({ 'out/a.md': 'old a\n' });
+  t.after(() => removeWorkspace(root));
+  const backupDir = path.join(root, BACKUPS_DIR, 'partial');
+  await fs.mkdir(path.join(backupDir, 'files'), { recursive: true });
+  await fs.writeFile(
+    path.join(root, '.claude/skill-generator/transaction.json'),
+    JSON.stringify({ state: 'staging', backup: path.relative(root, backupDir) })
+  );
+
+  assert.equal(await recoverTransaction(root), null);
+  assert.equal(await readFile(root, 'out/a.md'), 'old a\n');
+  assert.deepEqual(await listBackups(root), []);
+  assert.equal(await readFile(root, '.claude/skill-generator/transaction.json'), null);
+});
+
+test('rollback after an interrupted run undoes that run only', async (t) => {
+  const root = await createWorkspace({ 'out/a.md': 'first a\n' });
+  t.after(() => removeWorkspace(root));
+  const earlier = createTransaction(root);
+  earlier.write(path.join(root, 'out/a.md'), 'old a\n');
+  await earlier.commit();
+  await interruptSwap(root);
+
+  const restored = await rollbackSkills({ workspaceRoot: root });
+
+  assert.equal(restored.files.length, 2);
+  assert.equal(await readFile(root, 'out/a.md'), 'old a\n');
+  assert.equal((await listBackups(root)).length, 1);
+});
+
+test('a successful commit leaves no journal or staging directory behind', async (t) => {
+  const root = await createWorkspace({ 'out/a.md': 'old a\n' });
+  t.after(() => removeWorkspace(root));
+
+  const transaction = createTransaction(root);
+  transaction.write(path.join(root, 'out/a.md'), 'new a\n');
+  await transaction.commit();
+
+  assert.deepEqual(await fs.readdir(path.join(root, '.claude/skill-generator')), ['backups']);
+});
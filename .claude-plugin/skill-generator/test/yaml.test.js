@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stringifyYaml, parseYaml, parseFrontmatter } from '../utils/yaml.js';
+
+test('anything emitted reads back to an equal value', () => {
+  const value = {
+    name: 'api-guide',
+    description: 'Routes: "quoted", with # hashes and: colons',
+    version: '1.0',
+    flags: ['true', 'no', '0x1f', '', ' padded '],
+    count: 3,
+    enabled: false,
+    missing: null,
+    multiline: 'line one\nline two',
+    nested: { list: [{ a: 1, b: [] }, 'plain', { deep: { deeper: 'yes' } }], empty: {} }
+  };
+
+  assert.deepEqual(parseYaml(stringifyYaml(value)), value);
+});
+
+test('strings YAML would read as something else are quoted', () => {
+  assert.equal(stringifyYaml({ a: 'true', b: '1.5', c: '- item', d: 'plain text' }), 'a: "true"\nb: "1.5"\nc: "- item"\nd: plain text\n');
+});
+
+test('hand-written YAML is read', () => {
+  const text = [
+    '# a comment',
+    "name: 'it''s'",
+    'tags: [api, "rest", 3]',
+    'items:',
+    '  - key: value',
+    '    other: 2',
+    'literal: |',
+    '  first',
+    '  second',
+    'folded: >',
+    '  one',
+    '  two',
+    'empty: ~'
+  ].join('\n');
+
+  assert.deepEqual(parseYaml(text), {
+    name: "it's",
+    tags: ['api', 'rest', 3],
+    items: [{ key: 'value', other: 2 }],
+    literal: 'first\nsecond\n',
+    folded: 'one two\n',
+    empty: null
+  });
+});
+
+test('frontmatter is split from the body', () => {
+  assert.deepEqual(parseFrontmatter('---\nname: a\n---\n# Body\n'), { data: { name: 'a' }, body: '# Body\n' });
+  assert.deepEqual(parseFrontmatter('# No frontmatter\n'), { data: null, body: '# No frontmatter\n' });
+});
@@ -0,0 +1,97 @@
+import { CONFIDENCE_LEVELS, guidelineEvidence } from './evidence.js';
+
+/**
+ * Token budgeting
+ *
+ * The main file of a skill is loaded into every session, so it is kept under a
+ * token budget. When a skill renders over budget, the highest-confidence,
+ * most project-specific guidelines stay in the main file and the rest moves to
+ * reference files in a directory next to it, linked from the main file.
+ */
+
+export const DEFAULT_TOKEN_BUDGET = 2000;
+
+/**
+ * Estimates the token count of a text. Four characters per token is close
+ * enough for English prose and code to size a budget.
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Scores how project-specific a guideline is: guidelines with evidence rank
+ * by confidence, then by how many files back them; plain guidelines come last
+ */
+function scoreGuideline(guideline) {
+  const evidence = guidelineEvidence(guideline);
+  if (!evidence) return 0;
+  return (CONFIDENCE_LEVELS.indexOf(evidence.confidence) + 1) * 10 + Math.min(evidence.files.length, 9);
+}
+
+/**
+ * Splits a skill that renders over budget. `measure` renders a skill and
+ * returns its token estimate.
+ *
+ * Returns { skill, references }: the skill to write as the main file, and the
+ * reference parts ({ name, title, guidelines, examples }) moved out of it.
+ * References is empty when the skill fits or the budget is 0 (disabled).
+ */
+export function splitSkill(skill, budget, measure) {
+  if (!budget || measure(skill) <= budget) {
+    return { skill, references: [] };
+  }
+
+  const guidelines = skill.guidelines;
+  const examples = skill.examples ?? [];
+
+  // Stable sort: equally specific guidelines keep the analyzer's order
+  const ranked = guidelines
+    .map((guideline, index) => ({ guideline, index, score: scoreGuideline(guideline) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  // The main file always links to both references so they count against the budget
+  const links = [
+    { name: 'guidelines', title: 'More Guidelines' },
+    { name: 'examples', title: 'More Examples' }
+  ];
+  const build = (keptIndexes, keptExamples) => ({
+    ...skill,
+    guidelines: guidelines.filter((guideline, index) => keptIndexes.has(index)),
+    examples: keptExamples,
+    references: links
+  });
+
+  const kept = new Set();
+  for (const { index } of ranked) {
+    kept.add(index);
+    if (measure(build(kept, [])) > budget) {
+      kept.delete(index);
+      break;
+    }
+  }
+
+  const keptExamples = [];
+  for (const example of examples) {
+    if (measure(build(kept, [...keptExamples, example])) > budget) break;
+    keptExamples.push(example);
+  }
+
+  const references = [];
+  const movedGuidelines = guidelines.filter((guideline, index) => !kept.has(index));
+  if (movedGuidelines.length > 0) {
+    references.push({ name: 'guidelines', title: 'More Guidelines', guidelines: movedGuidelines, examples: [] });
+  }
+  const movedExamples = examples.slice(keptExamples.length);
+  if (movedExamples.length > 0) {
+    references.push({ name: 'examples', title: 'More Examples', guidelines: [], examples: movedExamples });
+  }
+
+  return {
+    skill: {
+      ...build(kept, keptExamples),
+      references: references.map(({ name, title }) => ({ name, title }))
+    },
+    references
+  };
+}
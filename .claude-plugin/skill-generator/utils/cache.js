@@ -0,0 +1,201 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { minimatch } from 'minimatch';
+import { createFileIndex } from './file-index.js';
+
+/**
+ * Incremental regeneration cache
+ *
+ * Each analyzer run is keyed on a fingerprint of the analyzer's name, version
+ * and source, the detected tech stack and the content hashes of its input files.
+ * When the fingerprint matches the previous run the cached skills are reused
+ * and the analyzer is not run at all.
+ *
+ * The source of a built-in analyzer is the plugin's analyzers/ and utils/
+ * code as a whole, since analyzers share helpers and parsers. For a custom
+ * analyzer it is the text of its analyze function only: a custom analyzer
+ * whose helpers change must bump its version.
+ *
+ * File hashes are themselves cached by size and mtime, so an unchanged file
+ * is only stat'ed, never re-read. So are the line counts of the language
+ * census.
+ */
+
+// Directory (relative to the workspace) holding the cache
+export const CACHE_DIR = path.join('.claude', 'skill-generator', 'cache');
+const CACHE_FILE = 'cache.json';
+const CACHE_VERSION = 1;
+
+// Inputs of analyzers that do not declare any
+const DEFAULT_INPUTS = ['**/*'];
+
+// Plugin directories holding the code built-in analyzers run
+const PLUGIN_ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const PLUGIN_SOURCE_DIRS = ['analyzers', 'utils'];
+
+let pluginSourceHash = null;
+
+/**
+ * Hashes the sources built-in analyzers run, once per process
+ */
+function hashPluginSources() {
+  pluginSourceHash ??= (async () => {
+    const hash = crypto.createHash('sha256');
+    for (const dir of PLUGIN_SOURCE_DIRS) {
+      const entries = (await fs.readdir(path.join(PLUGIN_ROOT, dir))).filter(entry => entry.endsWith('.js')).sort();
+      for (const entry of entries) {
+        hash.update(`\n${dir}/${entry}\0`);
+        hash.update(await fs.readFile(path.join(PLUGIN_ROOT, dir, entry)));
+      }
+    }
+    return hash.digest('hex');
+  })();
+  return pluginSourceHash;
+}
+
+/**
+ * Loads the cache for a workspace. Pass { enabled: false } to get a cache
+ * that never hits but still records fresh results.
+ */
+export async function createCache(workspaceRoot, context, { enabled = true } = {}) {
+  const logger = context?.logger || {
+    info: (msg) => console.log(msg),
+    error: (msg) => console.error(msg)
+  };
+  const cachePath = path.join(workspaceRoot, CACHE_DIR, CACHE_FILE);
+
+  let stored = { version: CACHE_VERSION, files: {}, census: {}, analyzers: {} };
+  try {
+    const parsed = JSON.parse(await fs.readFile(cachePath, 'utf-8'));
+    if (parsed.version === CACHE_VERSION) stored = parsed;
+  } catch (e) {
+    // No cache yet
+  }
+
+  const files = {};
+  const census = {};
+  const analyzers = { ...stored.analyzers };
+  let workspaceFiles = null;
+
+  async function listFiles() {
+    workspaceFiles ??= (context?.files ?? await createFileIndex(workspaceRoot)).files;
+    return workspaceFiles;
+  }
+
+  async function hashFile(file) {
+    if (files[file]) return files[file].hash;
+
+    const stat = await fs.stat(path.join(workspaceRoot, file));
+    const previous = stored.files[file];
+    if (previous && previous.size === stat.size && previous.mtimeMs === stat.mtimeMs) {
+      files[file] = previous;
+      return previous.hash;
+    }
+
+    const content = await fs.readFile(path.join(workspaceRoot, file));
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    files[file] = { size: stat.size, mtimeMs: stat.mtimeMs, hash };
+    return hash;
+  }
+
+  // Keeps entries of files still in the workspace that this run did not look at
+  function mergeEntries(previous = {}, fresh) {
+    if (!workspaceFiles) return { ...previous, ...fresh };
+    const merged = {};
+    for (const file of workspaceFiles) {
+      const entry = fresh[file] ?? previous[file];
+      if (entry) merged[file] = entry;
+    }
+    return merged;
+  }
+
+  return {
+    /**
+     * Computes the fingerprint of an analyzer's inputs for this run
+     */
+    async fingerprint(analyzer, techStack, options = {}) {
+      const patterns = analyzer.inputs?.length ? analyzer.inputs : DEFAULT_INPUTS;
+      const inputs = (await listFiles()).filter(file =>
+        patterns.some(pattern => minimatch(file, pattern, { dot: true }))
+      );
+
+      const hash = crypto.createHash('sha256');
+      // The source catches edits to the plugin between releases and to
+      // unversioned workspace analyzers
+      hash.update(JSON.stringify({
+        analyzer: analyzer.name,
+        version: analyzer.version,
+        source: analyzer.source === 'builtin' ? await hashPluginSources() : String(analyzer.analyze),
+        options,
+        // Line counts change with every edit; analyzers only use the census order
+        techStack: { ...techStack, languageStats: Object.keys(techStack.languageStats ?? {}) }
+      }));
+      for (const file of inputs) {
+        hash.update(`\n${file}\0${await hashFile(file)}`);
+      }
+      return hash.digest('hex');
+    },
+
+    /**
+     * Returns the cached skills for an analyzer when its fingerprint matches
+     */
+    get(analyzer, fingerprint) {
+      if (!enabled) return null;
+      const entry = analyzers[analyzer.name];
+      return entry && entry.fingerprint === fingerprint ? entry.skills : null;
+    },
+
+    set(analyzer, fingerprint, skills) {
+      analyzers[analyzer.name] = { fingerprint, skills };
+    },
+
+    /**
+     * Returns the census counts of a file, calling `count` with its absolute
+     * path only when its size or mtime changed since they were stored
+     */
+    async countFile(file, count) {
+      if (census[file]) return census[file];
+
+      const filePath = path.join(workspaceRoot, file);
+      let stat;
+      try {
+        stat = await fs.stat(filePath);
+      } catch (e) {
+        // Deleted since the scan
+        return null;
+      }
+      const previous = stored.census?.[file];
+      if (previous && previous.size === stat.size && previous.mtimeMs === stat.mtimeMs) {
+        census[file] = previous;
+        return previous;
+      }
+
+      const counted = await count(filePath);
+      if (counted) census[file] = { size: stat.size, mtimeMs: stat.mtimeMs, ...counted };
+      return counted;
+    },
+
+    /**
+     * Writes the cache back to disk
+     */
+    async save() {
+      try {
+        await fs.mkdir(path.dirname(cachePath), { recursive: true });
+        await fs.writeFile(
+          cachePath,
+          JSON.stringify({
+            version: CACHE_VERSION,
+            files: mergeEntries(stored.files, files),
+            census: mergeEntries(stored.census, census),
+            analyzers
+          }),
+          'utf-8'
+        );
+      } catch (error) {
+        logger.error(`Error saving cache: ${error.message}`);
+      }
+    }
+  };
+}
@@ -0,0 +1,84 @@
+import { parseToml } from './toml.js';
+
+/**
+ * Cargo manifests
+ *
+ * Reads the dependencies of every Cargo.toml in the workspace, so the crates
+ * of a Cargo workspace count as well as the root package. Dependencies come
+ * from [dependencies], [dev-dependencies], [build-dependencies], their
+ * [target.'cfg(...)'] variants and [workspace.dependencies]. A renamed
+ * dependency (`web = { package = "actix-web" }`) counts under its crate name.
+ */
+
+export const CARGO_MANIFESTS = '**/Cargo.toml';
+
+const DEPENDENCY_TABLES = ['dependencies', 'dev-dependencies', 'build-dependencies'];
+
+function versionOf(spec) {
+  if (typeof spec === 'string') return spec;
+  return typeof spec?.version === 'string' ? spec.version : null;
+}
+
+/**
+ * Lists the dependencies of a parsed Cargo.toml as [crate, version] pairs
+ */
+function listDependencies(manifest) {
+  const tables = [
+    ...DEPENDENCY_TABLES.map(name => manifest[name]),
+    ...Object.values(manifest.target ?? {}).flatMap(target => DEPENDENCY_TABLES.map(name => target?.[name])),
+    manifest.workspace?.dependencies
+  ];
+  return tables.flatMap(table => Object.entries(table ?? {}).map(([key, spec]) => [
+    typeof spec?.package === 'string' ? spec.package : key,
+    versionOf(spec)
+  ]));
+}
+
+/**
+ * Reads every Cargo.toml in the workspace.
+ *
+ * Resolves to null when there is none, or to { manifests, dependencies }
+ * where `dependencies` maps crate names to { version, file } for the first
+ * manifest declaring them. A manifest that cannot be parsed is skipped, and
+ * reported through the logger when one is given.
+ */
+export async function readCargoManifests(files, logger) {
+  const manifests = files.match(CARGO_MANIFESTS).sort();
+  if (manifests.length === 0) return null;
+
+  const dependencies = new Map();
+  for (const file of manifests) {
+    const content = await files.read(file);
+    if (content === null) continue;
+
+    let manifest;
+    try {
+      manifest = parseToml(content);
+    } catch (error) {
+      logger?.error(`  ⚠️  Could not read ${file}: ${error.message}`);
+      continue;
+    }
+
+    for (const [crate, version] of listDependencies(manifest)) {
+      const known = dependencies.get(crate);
+      // A crate inheriting from [workspace.dependencies] has no version of its own
+      if (!known || (known.version === null && version !== null)) {
+        dependencies.set(crate, { version, file: known?.file ?? file });
+      }
+    }
+  }
+  return { manifests, dependencies };
+}
+
+/**
+ * Returns patterns finding a crate's line in a Cargo.toml, whether it is
+ * declared as `crate = ...`, `[dependencies.crate]` or renamed with `package`
+ */
+export function cratePattern(crate) {
+  const escaped = crate.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return [
+    new RegExp(`^\\s*["']?${escaped}["']?\\s*=`),
+    new RegExp(`^\\s*\\[[\\w.'"-]*dependencies\\.["']?${escaped}["']?\\]`),
+    new RegExp(`package\\s*=\\s*["']${escaped}["']`)
+  ];
+}
@@ -0,0 +1,191 @@
+/**
+ * Command line parsing for the generate-skills entry point
+ */
+
+import { PRUNE_MODES } from './prune.js';
+import { UsageError } from './errors.js';
+import { LAYOUTS } from './skill-writer.js';
+import { TARGETS } from '../writers/index.js';
+
+export const COMMANDS = {
+  generate: 'Analyze the workspace and write skills (default)',
+  'list-analyzers': 'List the available analyzers',
+  report: 'Analyze the workspace and print a report without writing skills',
+  clean: 'Remove previously generated skill files',
+  rollback: 'Restore the files changed by the last run from its backup'
+};
+
+/**
+ * Parses argv (without the node and script entries) into a command,
+ * an optional workspace path and option flags
+ */
+export function parseArgs(argv) {
+  const parsed = {
+    command: 'generate',
+    workspaceRoot: null,
+    only: [],
+    skip: [],
+    outputDir: null,
+    layout: null,
+    targets: null,
+    configPath: null,
+    ignore: [],
+    dryRun: false,
+    check: false,
+    prune: 'warn',
+    cache: true,
+    tokenBudget: null,
+    help: false
+  };
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    // Support both "--flag value" and "--flag=value"
+    const [flag, inlineValue] = arg.includes('=') ? splitOnce(arg, '=') : [arg, undefined];
+    const takeValue = () => {
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined || (inlineValue === undefined && value.startsWith('-'))) {
+        throw new UsageError(`Option ${flag} requires a value`);
+      }
+      return value;
+    };
+
+    switch (flag) {
+      case '-h':
+      case '--help':
+        parsed.help = true;
+        break;
+      case '--dry-run':
+        parsed.dryRun = true;
+        break;
+      case '--check':
+        parsed.check = true;
+        break;
+      case '--only':
+        parsed.only.push(...splitList(takeValue()));
+        break;
+      case '--skip':
+        parsed.skip.push(...splitList(takeValue()));
+        break;
+      case '-o':
+      case '--out':
+        parsed.outputDir = takeValue();
+        break;
+      case '--layout':
+        parsed.layout = takeValue();
+        if (!LAYOUTS.includes(parsed.layout)) {
+          throw new UsageError(`--layout must be one of: ${LAYOUTS.join(', ')}`);
+        }
+        break;
+      case '--target': {
+        const targets = splitList(takeValue());
+        const unknown = targets.filter(target => !TARGETS.includes(target));
+        if (unknown.length > 0) {
+          throw new UsageError(`Unknown target(s): ${unknown.join(', ')}. Available: ${TARGETS.join(', ')}`);
+        }
+        parsed.targets = [...(parsed.targets ?? []), ...targets];
+        break;
+      }
+      case '-c':
+      case '--config':
+        parsed.configPath = takeValue();
+        break;
+      case '--ignore':
+        parsed.ignore.push(...splitList(takeValue()));
+        break;
+      case '--no-cache':
+        parsed.cache = false;
+        break;
+      case '--prune':
+        parsed.prune = takeValue();
+        if (!PRUNE_MODES.includes(parsed.prune)) {
+          throw new UsageError(`--prune must be one of: ${PRUNE_MODES.join(', ')}`);
+        }
+        break;
+      case '--token-budget':
+        parsed.tokenBudget = parseTokenBudget(takeValue(), flag);
+        break;
+      default:
+        throw new UsageError(`Unknown option: ${flag}`);
+    }
+  }
+
+  // The first positional is a command when it names one; otherwise it is the
+  // workspace path, which keeps `generate-skills <path>` working as before
+  if (positionals.length > 0 && Object.hasOwn(COMMANDS, positionals[0])) {
+    parsed.command = positionals.shift();
+  }
+  if (positionals.length > 1) {
+    throw new UsageError(`Unexpected argument: ${positionals[1]}`);
+  }
+  parsed.workspaceRoot = positionals[0] || null;
+
+  return parsed;
+}
+
+/**
+ * Builds the --help text
+ */
+export function formatHelp() {
+  const commandWidth = Math.max(...Object.keys(COMMANDS).map(c => c.length));
+  const commands = Object.entries(COMMANDS)
+    .map(([name, description]) => `  ${name.padEnd(commandWidth)}  ${description}`)
+    .join('\n');
+
+  return `Usage: generate-skills [command] [workspace] [options]
+
+Commands:
+${commands}
+
+Options:
+  --only <names>    Run only these analyzers (comma-separated, e.g. security,api)
+  --skip <names>    Skip these analyzers (comma-separated, e.g. react)
+  -o, --out <dir>   Write skills to <dir> instead of <workspace>/.claude/skills
+  --layout <mode>   flat (default): <category>/<skill>.md, or directory:
+                    <skill>/SKILL.md as loaded by Claude
+  --target <names>  Where to write guidance (comma-separated): skills (default),
+                    claude-md, agents-md, cursor, copilot
+  --dry-run         Show a diff of what would change without writing files
+  --check           Exit with status 1 when the committed output is out of date
+                    (for CI); never writes files
+  -c, --config <file>  Use this configuration file instead of looking up
+                    .skillgenrc.json / skill-generator.config.js
+  --ignore <globs>  Extra paths to leave out of the workspace scan (comma-separated,
+                    gitignore syntax, e.g. fixtures/,*.generated.ts)
+  --no-cache        Re-run every analyzer even when its inputs are unchanged
+  --prune <mode>    What to do with skills no analyzer produces anymore:
+                    warn (default), remove or archive
+  --token-budget <n>  Estimated tokens a skill may use before the rest moves to
+                    reference files (default 2000, 0 to never split)
+  -h, --help        Show this help
+
+The workspace defaults to the current working directory.`;
+}
+
+function parseTokenBudget(value, flag) {
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`${flag} must be a whole number of tokens`);
+  }
+  return Number(value);
+}
+
+function splitOnce(value, separator) {
+  const index = value.indexOf(separator);
+  return [value.slice(0, index), value.slice(index + 1)];
+}
+
+function splitList(value) {
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
@@ -0,0 +1,238 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ConfigError } from './errors.js';
+import { guidelineText } from './evidence.js';
+import { LAYOUTS } from './skill-writer.js';
+import { TARGETS } from '../writers/index.js';
+
+/**
+ * Project configuration
+ *
+ * Looked up in the workspace root, first match wins:
+ *   .skillgenrc.json, .skillgenrc, skill-generator.config.js,
+ *   skill-generator.config.mjs, the "skillGenerator" key of package.json
+ *
+ * {
+ *   "analyzers": { "enabled": ["security", "api"], "disabled": ["react"] },
+ *   "plugins": ["@acme/skill-analyzer"],
+ *   "ignore": ["fixtures/", "*.generated.ts"],
+ *   "outputDir": ".claude/skills",
+ *   "layout": "directory",
+ *   "targets": ["skills", "cursor", "agents-md"],
+ *   "templatesDir": ".claude/skill-generator/templates",
+ *   "tokenBudget": 2000,
+ *   "guidelines": {
+ *     "add": { "security": ["Use the vault client for every secret"] },
+ *     "suppress": ["Use TypeScript for type safety in React components", "/storybook/i"]
+ *   },
+ *   "analyzerOptions": { "acme": { "strict": true } }
+ * }
+ */
+
+export const CONFIG_FILES = [
+  '.skillgenrc.json',
+  '.skillgenrc',
+  'skill-generator.config.js',
+  'skill-generator.config.mjs'
+];
+
+const DEFAULT_CONFIG = {
+  analyzers: { enabled: [], disabled: [] },
+  plugins: [],
+  ignore: [],
+  outputDir: null,
+  layout: null,
+  targets: null,
+  templatesDir: null,
+  tokenBudget: null,
+  guidelines: { add: {}, suppress: [] },
+  analyzerOptions: {}
+};
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validates a raw config object and fills in defaults
+ */
+export function normalizeConfig(raw, configPath = null) {
+  if (!isPlainObject(raw)) {
+    throw new ConfigError('configuration must be an object', configPath);
+  }
+
+  const fail = (message) => { throw new ConfigError(message, configPath); };
+  const analyzers = raw.analyzers ?? {};
+  const guidelines = raw.guidelines ?? {};
+
+  if (!isPlainObject(analyzers)) fail('"analyzers" must be an object with "enabled" and/or "disabled" lists');
+  if (analyzers.enabled !== undefined && !isStringArray(analyzers.enabled)) fail('"analyzers.enabled" must be an array of analyzer names');
+  if (analyzers.disabled !== undefined && !isStringArray(analyzers.disabled)) fail('"analyzers.disabled" must be an array of analyzer names');
+  if (raw.plugins !== undefined && !isStringArray(raw.plugins)) fail('"plugins" must be an array of package names');
+  if (raw.ignore !== undefined && !isStringArray(raw.ignore)) fail('"ignore" must be an array of globs');
+  if (raw.outputDir !== undefined && typeof raw.outputDir !== 'string') fail('"outputDir" must be a string');
+  if (raw.layout !== undefined && !LAYOUTS.includes(raw.layout)) fail(`"layout" must be one of: ${LAYOUTS.join(', ')}`);
+  if (raw.targets !== undefined && !(isStringArray(raw.targets) && raw.targets.length > 0)) fail('"targets" must be a non-empty array of target names');
+  const unknownTargets = (raw.targets ?? []).filter(target => !TARGETS.includes(target));
+  if (unknownTargets.length > 0) fail(`Unknown target(s) in "targets": ${unknownTargets.join(', ')}. Available: ${TARGETS.join(', ')}`);
+  if (raw.templatesDir !== undefined && typeof raw.templatesDir !== 'string') fail('"templatesDir" must be a string');
+  if (raw.tokenBudget !== undefined && !(Number.isInteger(raw.tokenBudget) && raw.tokenBudget >= 0)) {
+    fail('"tokenBudget" must be a whole number of tokens, 0 to disable splitting');
+  }
+  if (!isPlainObject(guidelines)) fail('"guidelines" must be an object');
+  if (guidelines.add !== undefined && (!isPlainObject(guidelines.add) || !Object.values(guidelines.add).every(isStringArray))) {
+    fail('"guidelines.add" must map categories to arrays of guidelines');
+  }
+  if (guidelines.suppress !== undefined && !isStringArray(guidelines.suppress)) fail('"guidelines.suppress" must be an array of strings');
+  if (raw.analyzerOptions !== undefined && !isPlainObject(raw.analyzerOptions)) fail('"analyzerOptions" must map analyzer names to objects');
+
+  for (const pattern of guidelines.suppress ?? []) {
+    if (pattern.startsWith('/') && pattern.lastIndexOf('/') > 0) {
+      try {
+        parseRegExp(pattern);
+      } catch (e) {
+        fail(`invalid pattern in "guidelines.suppress": ${pattern}`);
+      }
+    }
+  }
+
+  return {
+    analyzers: {
+      enabled: analyzers.enabled ?? DEFAULT_CONFIG.analyzers.enabled,
+      disabled: analyzers.disabled ?? DEFAULT_CONFIG.analyzers.disabled
+    },
+    plugins: raw.plugins ?? DEFAULT_CONFIG.plugins,
+    ignore: raw.ignore ?? DEFAULT_CONFIG.ignore,
+    outputDir: raw.outputDir ?? DEFAULT_CONFIG.outputDir,
+    layout: raw.layout ?? DEFAULT_CONFIG.layout,
+    targets: raw.targets ?? DEFAULT_CONFIG.targets,
+    templatesDir: raw.templatesDir ?? DEFAULT_CONFIG.templatesDir,
+    tokenBudget: raw.tokenBudget ?? DEFAULT_CONFIG.tokenBudget,
+    guidelines: {
+      add: guidelines.add ?? DEFAULT_CONFIG.guidelines.add,
+      suppress: guidelines.suppress ?? DEFAULT_CONFIG.guidelines.suppress
+    },
+    analyzerOptions: raw.analyzerOptions ?? DEFAULT_CONFIG.analyzerOptions,
+    configPath
+  };
+}
+
+async function readConfigFile(configPath) {
+  try {
+    if (/\.m?js$/.test(configPath)) {
+      const module = await import(pathToFileURL(configPath).href);
+      return module.default ?? module;
+    }
+    return JSON.parse(await fs.readFile(configPath, 'utf-8'));
+  } catch (e) {
+    throw new ConfigError(`could not load configuration: ${e.message}`, configPath, { cause: e });
+  }
+}
+
+/**
+ * Loads the workspace configuration. An explicit path must exist; otherwise
+ * the default locations are searched and an empty configuration is returned
+ * when none is found.
+ */
+export async function loadConfig(workspaceRoot, { configPath = null } = {}) {
+  if (configPath) {
+    const resolved = path.resolve(workspaceRoot, configPath);
+    try {
+      await fs.access(resolved);
+    } catch (e) {
+      throw new ConfigError('configuration file not found', resolved);
+    }
+    return normalizeConfig(await readConfigFile(resolved), resolved);
+  }
+
+  for (const file of CONFIG_FILES) {
+    const candidate = path.join(workspaceRoot, file);
+    try {
+      await fs.access(candidate);
+    } catch (e) {
+      continue;
+    }
+    return normalizeConfig(await readConfigFile(candidate), candidate);
+  }
+
+  // Fall back to the "skillGenerator" key of package.json
+  try {
+    const packageJsonPath = path.join(workspaceRoot, 'package.json');
+    const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf-8'));
+    if (packageJson.skillGenerator !== undefined) {
+      const raw = { ...packageJson.skillGenerator };
+      // "analyzers" as a list of packages predates the config file
+      if (Array.isArray(raw.analyzers)) {
+        raw.plugins = [...(raw.plugins ?? []), ...raw.analyzers];
+        delete raw.analyzers;
+      }
+      return normalizeConfig(raw, `${packageJsonPath}#skillGenerator`);
+    }
+  } catch (e) {
+    if (e instanceof ConfigError) throw e;
+    // No usable package.json
+  }
+
+  return normalizeConfig({});
+}
+
+/**
+ * Compiles a "/.../flags" pattern. The g and y flags are dropped: they make
+ * test() resume from the previous match, so every other guideline would be missed.
+ */
+function parseRegExp(pattern) {
+  const lastSlash = pattern.lastIndexOf('/');
+  if (lastSlash <= 0) throw new Error('not a regular expression');
+  return new RegExp(pattern.slice(1, lastSlash), pattern.slice(lastSlash + 1).replace(/[gy]/g, ''));
+}
+
+/**
+ * Builds a predicate matching guidelines to suppress. Plain strings match a
+ * whole guideline case-insensitively; "/.../flags" strings are regular expressions.
+ */
+function createSuppressMatcher(patterns) {
+  const exact = new Set();
+  const regexps = [];
+  for (const pattern of patterns) {
+    if (pattern.startsWith('/') && pattern.lastIndexOf('/') > 0) {
+      regexps.push(parseRegExp(pattern));
+    } else {
+      exact.add(pattern.trim().toLowerCase());
+    }
+  }
+  return (guideline) => exact.has(guideline.trim().toLowerCase()) || regexps.some(r => r.test(guideline));
+}
+
+/**
+ * Applies configured guideline additions and suppressions to generated skills.
+ * Added guidelines go to the first skill of their category; additions for a
+ * category no skill was generated for are reported through the logger.
+ * Returns new skill objects, the input is not modified.
+ */
+export function applyGuidelineConfig(skills, guidelinesConfig, logger) {
+  const isSuppressed = createSuppressMatcher(guidelinesConfig.suppress);
+  const pending = new Map(Object.entries(guidelinesConfig.add));
+
+  const result = skills.map(skill => {
+    const category = skill.category || 'general';
+    let guidelines = skill.guidelines.filter(g => !isSuppressed(guidelineText(g)));
+
+    if (pending.has(category)) {
+      guidelines = [...guidelines, ...pending.get(category)];
+      pending.delete(category);
+    }
+
+    return { ...skill, guidelines };
+  });
+
+  // The category may be misspelled, or its analyzer skipped or not applicable
+  for (const [category, added] of pending) {
+    logger?.error(`⚠️  No ${category} skill was generated; ${added.length} guideline(s) from "guidelines.add" were not added`);
+  }
+  return result;
+}
@@ -0,0 +1,195 @@
+import { guidelineText } from './evidence.js';
+
+/**
+ * Cross-skill guideline deduplication
+ *
+ * Analyzers run independently, so generic advice such as rate limiting or
+ * HTTPS shows up in several skills. After all analyzers ran, guidelines that
+ * say the same thing are collapsed into one, kept in the category that owns
+ * the topic. Guidelines that contradict each other are reported, not removed.
+ */
+
+// Topics of common advice, and the category whose skill keeps it
+const TOPICS = [
+  { name: 'rate-limiting', pattern: /\brate limit/i, category: 'security' },
+  { name: 'https', pattern: /\bhttps\b/i, category: 'security' },
+  { name: 'cors', pattern: /\bcors\b/i, category: 'security' },
+  { name: 'secret-rotation', pattern: /\brotate secrets\b/i, category: 'security' },
+  { name: 'secret-management', pattern: /\bsecret management\b/i, category: 'security' },
+  { name: 'env-files', pattern: /\bnever commit \.env\b/i, category: 'security' },
+  { name: 'health-checks', pattern: /\bhealth check endpoints?\b/i, category: 'api' },
+  { name: 'api-docs', pattern: /\b(openapi|swagger)\b/i, category: 'api' },
+  { name: 'connection-pooling', pattern: /\bconnection pool/i, category: 'database' },
+  { name: 'compression', pattern: /\b(gzip|brotli)\b/i, category: 'performance' }
+];
+
+// Approaches that should not be recommended side by side
+const CONFLICTS = [
+  {
+    topic: 'styling approach',
+    options: [
+      { label: 'CSS Modules', pattern: /\bCSS Modules\b/i },
+      { label: 'styled-components', pattern: /\bstyled[- ]components\b/i },
+      { label: 'Tailwind', pattern: /\bTailwind\b/i }
+    ]
+  },
+  {
+    topic: 'test runner',
+    options: [
+      { label: 'Jest', pattern: /\bJest\b/ },
+      { label: 'Vitest', pattern: /\bVitest\b/ },
+      { label: 'Mocha', pattern: /\bMocha\b/ }
+    ]
+  },
+  {
+    topic: 'state management',
+    options: [
+      { label: 'Redux', pattern: /\bRedux\b/ },
+      { label: 'Zustand', pattern: /\bZustand\b/ },
+      { label: 'MobX', pattern: /\bMobX\b/ }
+    ]
+  }
+];
+
+// Words that carry no meaning when comparing guidelines. Negations are kept.
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'for', 'to', 'in', 'of', 'on', 'with', 'by',
+  'as', 'at', 'be', 'is', 'are', 'when', 'where', 'appropriate', 'needed',
+  'possible', 'use', 'using', 'implement', 'proper', 'properly', 'always'
+]);
+
+/**
+ * Reduces a guideline to its significant words
+ */
+export function normalizeGuideline(text) {
+  return new Set(
+    text
+      .toLowerCase()
+      .replace(/[^a-z0-9.+#\s-]/g, ' ')
+      .split(/\s+/)
+      .map(word => word.replace(/^[.-]+|[.-]+$/g, ''))
+      .filter(word => word && !STOPWORDS.has(word))
+  );
+}
+
+/**
+ * Two guidelines are duplicates when one's significant words contain the
+ * other's and the shorter one is at least half the longer one
+ */
+function isSimilar(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  if (small.size < 2 || small.size * 2 < large.size) return false;
+  return [...small].every(word => large.has(word));
+}
+
+function findTopic(text) {
+  return TOPICS.find(topic => topic.pattern.test(text)) ?? null;
+}
+
+/**
+ * Lists the approaches recommended side by side that contradict each other
+ */
+export function findConflicts(skills) {
+  const conflicts = [];
+  for (const { topic, options } of CONFLICTS) {
+    const found = [];
+    for (const { label, pattern } of options) {
+      const matches = skills.flatMap(skill =>
+        skill.guidelines
+          .map(guidelineText)
+          .filter(text => pattern.test(text))
+          .map(text => ({ skill: skill.name, guideline: text }))
+      );
+      if (matches.length > 0) found.push({ label, matches });
+    }
+    if (found.length > 1) conflicts.push({ topic, options: found });
+  }
+  return conflicts;
+}
+
+/**
+ * Collapses duplicate guidelines across all skills. Of each group of
+ * duplicates the most specific (longest) guideline is kept; when the group
+ * belongs to a known topic it is kept in, or moved to, that topic's category.
+ *
+ * Returns { skills, duplicates, repeated, conflicts }: `duplicates` lists the
+ * guidelines removed from other skills, `repeated` those removed from the
+ * skill that keeps the guideline. Input skills are not modified.
+ */
+export function dedupeGuidelines(skills) {
+  const entries = skills.flatMap((skill, skillIndex) =>
+    skill.guidelines.map(guideline => {
+      const text = guidelineText(guideline);
+      return {
+        skillIndex,
+        guideline,
+        text,
+        words: normalizeGuideline(text),
+        topic: findTopic(text)
+      };
+    })
+  );
+
+  // Similarity is not transitive, so a guideline joins a group only when it
+  // is similar to the group's most specific guideline, which comes first.
+  // Sharing a topic is not enough: "Use HTTPS in production" and
+  // "Redirect HTTP to HTTPS" are both kept.
+  const groups = [];
+  const bySpecificity = entries
+    .map((entry, i) => ({ entry, i }))
+    .sort((a, b) => b.entry.text.length - a.entry.text.length || a.i - b.i)
+    .map(({ entry }) => entry);
+  for (const entry of bySpecificity) {
+    const group = groups.find(members => isSimilar(members[0].words, entry.words));
+    if (group) group.push(entry);
+    else groups.push([entry]);
+  }
+
+  const removed = new Set();
+  const moved = skills.map(() => []);
+  const duplicates = [];
+  const repeated = [];
+
+  for (const group of groups) {
+    if (group.length === 1) continue;
+
+    const topic = group.find(entry => entry.topic)?.topic ?? null;
+    const ownerIndex = topic ? skills.findIndex(skill => (skill.category || 'general') === topic.category) : -1;
+    const inOwner = group.filter(entry => entry.skillIndex === ownerIndex);
+    const keeper = inOwner[0] ?? group[0];
+
+    // Move the guideline to the category that owns the topic
+    const targetIndex = ownerIndex === -1 ? keeper.skillIndex : ownerIndex;
+    const dropped = group.filter(entry => entry !== keeper || targetIndex !== keeper.skillIndex);
+    for (const entry of dropped) {
+      removed.add(entry);
+    }
+    if (targetIndex !== keeper.skillIndex) {
+      moved[targetIndex].push(keeper.guideline);
+    }
+
+    const removedFrom = [...new Set(dropped.map(entry => entry.skillIndex))]
+      .filter(skillIndex => skillIndex !== targetIndex)
+      .sort((a, b) => a - b)
+      .map(skillIndex => skills[skillIndex].name);
+    if (removedFrom.length > 0) {
+      duplicates.push({ guideline: keeper.text, keptIn: skills[targetIndex].name, removedFrom });
+    }
+    const within = dropped.filter(entry => entry.skillIndex === targetIndex);
+    if (within.length > 0) {
+      repeated.push({ guideline: keeper.text, skill: skills[targetIndex].name, removed: within.map(entry => entry.text) });
+    }
+  }
+
+  const result = skills.map((skill, skillIndex) => ({
+    ...skill,
+    guidelines: [
+      ...entries
+        .filter(entry => entry.skillIndex === skillIndex && !removed.has(entry))
+        .map(entry => entry.guideline),
+      ...moved[skillIndex]
+    ]
+  }));
+
+  return { skills: result, duplicates, repeated, conflicts: findConflicts(result) };
+}
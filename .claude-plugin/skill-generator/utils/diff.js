@@ -0,0 +1,112 @@
+/**
+ * Line-based unified diff, used to preview skill changes before writing
+ */
+
+/**
+ * Computes the edit script between two arrays of lines using the
+ * longest common subsequence. Returns a list of { type, line } entries where
+ * type is ' ' (kept), '-' (removed) or '+' (added).
+ */
+function diffLines(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  // lcs[i][j] = length of the LCS of oldLines[i..] and newLines[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      edits.push({ type: ' ', line: oldLines[i++] });
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      edits.push({ type: '-', line: oldLines[i++] });
+    } else {
+      edits.push({ type: '+', line: newLines[j++] });
+    }
+  }
+  while (i < n) edits.push({ type: '-', line: oldLines[i++] });
+  while (j < m) edits.push({ type: '+', line: newLines[j++] });
+
+  return edits;
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  // A trailing newline does not start another line
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Creates a unified diff between two texts. Returns an empty string when
+ * the texts are identical.
+ */
+export function createUnifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) {
+  if (oldText === newText) return '';
+
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+
+  // Group changes into hunks with `context` unchanged lines around them
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let trailing = 0;
+
+  for (let k = 0; k < edits.length; k++) {
+    const edit = edits[k];
+
+    if (edit.type !== ' ') {
+      if (!hunk) {
+        const start = Math.max(0, k - context);
+        const lead = k - start;
+        hunk = {
+          oldStart: oldLine - lead,
+          newStart: newLine - lead,
+          oldCount: lead,
+          newCount: lead,
+          lines: edits.slice(start, k).map(e => ` ${e.line}`)
+        };
+        hunks.push(hunk);
+      }
+      trailing = 0;
+    } else if (hunk) {
+      // Close the hunk once the next change is too far away to merge
+      const nextChange = edits.findIndex((e, idx) => idx > k && e.type !== ' ');
+      if (trailing >= context && (nextChange === -1 || nextChange - k > context)) {
+        hunk = null;
+      } else {
+        trailing++;
+      }
+    }
+
+    if (hunk) {
+      hunk.lines.push(`${edit.type}${edit.line}`);
+      if (edit.type !== '+') hunk.oldCount++;
+      if (edit.type !== '-') hunk.newCount++;
+    }
+    if (edit.type !== '+') oldLine++;
+    if (edit.type !== '-') newLine++;
+  }
+
+  const header = `--- ${oldLabel}\n+++ ${newLabel}\n`;
+  const body = hunks.map(h => {
+    // An empty side is reported as starting at line 0
+    const oldStart = h.oldCount === 0 ? h.oldStart - 1 : h.oldStart;
+    const newStart = h.newCount === 0 ? h.newStart - 1 : h.newStart;
+    return `@@ -${oldStart},${h.oldCount} +${newStart},${h.newCount} @@\n${h.lines.join('\n')}\n`;
+  }).join('');
+
+  return header + body;
+}
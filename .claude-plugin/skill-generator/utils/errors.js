@@ -0,0 +1,66 @@
+/**
+ * Error types thrown by the skill generator. Every error carries a stable
+ * `code` so callers can branch on it without matching messages.
+ */
+
+export class SkillGeneratorError extends Error {
+  constructor(message, { code = 'ERR_SKILL_GENERATOR', cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'SkillGeneratorError';
+    this.code = code;
+  }
+}
+
+/**
+ * Invalid command line arguments or API options, e.g. an unknown analyzer name
+ */
+export class UsageError extends SkillGeneratorError {
+  constructor(message) {
+    super(message, { code: 'ERR_USAGE' });
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * The configuration file is missing, unreadable or invalid
+ */
+export class ConfigError extends SkillGeneratorError {
+  constructor(message, configPath, { cause } = {}) {
+    super(configPath ? `${configPath}: ${message}` : message, { code: 'ERR_CONFIG', cause });
+    this.name = 'ConfigError';
+    this.configPath = configPath;
+  }
+}
+
+/**
+ * The workspace root does not exist or is not a directory
+ */
+export class WorkspaceError extends SkillGeneratorError {
+  constructor(message, workspaceRoot) {
+    super(message, { code: 'ERR_WORKSPACE' });
+    this.name = 'WorkspaceError';
+    this.workspaceRoot = workspaceRoot;
+  }
+}
+
+/**
+ * Generated output could not be written
+ */
+export class WriteError extends SkillGeneratorError {
+  constructor(message, filePath, { cause } = {}) {
+    super(message, { code: 'ERR_WRITE', cause });
+    this.name = 'WriteError';
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * Generated skills break the Agent Skills naming rules and would not load
+ */
+export class SkillValidationError extends SkillGeneratorError {
+  constructor(message, problems) {
+    super(message, { code: 'ERR_SKILL_INVALID' });
+    this.name = 'SkillValidationError';
+    this.problems = problems;
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Guideline evidence
+ *
+ * A guideline is either a plain string or an object carrying the evidence
+ * that triggered it:
+ *
+ *   {
+ *     text: 'Use Zustand for simpler state management needs',
+ *     evidence: {
+ *       rule: 'react/zustand-store',
+ *       confidence: 'high',
+ *       files: [{ path: 'src/store.ts', line: 3 }]
+ *     }
+ *   }
+ *
+ * Confidence is 'high' when the rule matched source code, 'medium' when it
+ * matched a manifest or configuration file, and 'low' for naming heuristics.
+ */
+
+export const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// Locations recorded per rule; more would only bloat the skill file
+const MAX_LOCATIONS = 5;
+
+/**
+ * Returns the 1-based number of the first line matching the pattern, or null.
+ * A pattern is a substring, a regular expression or an array of either.
+ */
+export function findLine(content, pattern) {
+  const patterns = [pattern].flat();
+  const lines = content.split('\n');
+  const index = lines.findIndex(line =>
+    patterns.some(p => (typeof p === 'string' ? line.includes(p) : p.test(line)))
+  );
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Collects evidence per detection rule while an analyzer scans the workspace
+ */
+export function createEvidence() {
+  const rules = new Map();
+
+  function record(rule, location, confidence) {
+    const entry = rules.get(rule) ?? { rule, confidence, files: [] };
+    if (CONFIDENCE_LEVELS.indexOf(confidence) > CONFIDENCE_LEVELS.indexOf(entry.confidence)) {
+      entry.confidence = confidence;
+    }
+    if (entry.files.length < MAX_LOCATIONS && !entry.files.some(f => f.path === location.path)) {
+      entry.files.push(location);
+    }
+    rules.set(rule, entry);
+  }
+
+  return {
+    /**
+     * Records the first line of `content` matching `pattern` under `rule`.
+     * Returns true when the pattern matched.
+     */
+    scan(rule, file, content, pattern, { confidence = 'high' } = {}) {
+      const line = findLine(content, pattern);
+      if (line === null) return false;
+      record(rule, { path: file, line }, confidence);
+      return true;
+    },
+
+    /**
+     * Scans files from the workspace index, recording every one that matches.
+     * Returns true when any file matched.
+     */
+    async scanFiles(rule, index, paths, pattern, options) {
+      let matched = false;
+      for (const file of paths) {
+        const content = await index.read(file);
+        if (content !== null && this.scan(rule, file, content, pattern, options)) matched = true;
+      }
+      return matched;
+    },
+
+    /**
+     * Records the package.json line declaring any of the given npm packages
+     */
+    scanDependencies(rule, index, names) {
+      const patterns = [names].flat().map(name => `"${name}"`);
+      return this.scanFiles(rule, index, ['package.json'], patterns, { confidence: 'medium' });
+    },
+
+    /**
+     * Records one or more files as evidence for `rule` without a line number,
+     * e.g. configuration files that exist. An empty list records nothing.
+     */
+    add(rule, files, { confidence = 'medium' } = {}) {
+      for (const file of [files].flat()) {
+        record(rule, { path: file, line: null }, confidence);
+      }
+    },
+
+    has: (rule) => rules.has(rule),
+
+    get: (rule) => rules.get(rule) ?? null
+  };
+}
+
+/**
+ * Attaches evidence to guideline texts. Without evidence the texts are
+ * returned unchanged as plain strings.
+ */
+export function withEvidence(texts, evidence) {
+  return evidence ? texts.map(text => ({ text, evidence })) : texts;
+}
+
+/**
+ * Returns the text of a guideline, whether it is a string or an object
+ */
+export function guidelineText(guideline) {
+  return typeof guideline === 'string' ? guideline : guideline.text;
+}
+
+/**
+ * Returns the evidence of a guideline, or null for plain strings
+ */
+export function guidelineEvidence(guideline) {
+  return typeof guideline === 'string' ? null : guideline.evidence ?? null;
+}
@@ -0,0 +1,181 @@
+import path from 'path';
+
+/**
+ * Code examples from the workspace
+ *
+ * Analyzers describe what a representative snippet looks like with a pattern
+ * matching its first line. Every match is cut down to the enclosing statement,
+ * and the snippets are ranked by how typical they are: how many other matches
+ * open with the same structure once names and literals are ignored, e.g. how
+ * many routes use an async arrow handler. Skills carry the winners as:
+ *
+ *   { title: 'Express route', file: 'src/routes/users.js', line: 12, language: 'js', code: '...' }
+ */
+
+// Longest snippet kept; longer ones are cut and marked with an ellipsis comment
+export const MAX_EXAMPLE_LINES = 15;
+
+// Files read per example kind
+const MAX_FILES_SCANNED = 50;
+
+const LANGUAGES = {
+  '.js': 'js',
+  '.mjs': 'js',
+  '.cjs': 'js',
+  '.jsx': 'jsx',
+  '.ts': 'ts',
+  '.tsx': 'tsx',
+  '.py': 'python',
+  '.java': 'java',
+  '.kt': 'kotlin',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.rb': 'ruby',
+  '.prisma': 'prisma'
+};
+
+const COMMENT_PREFIX = {
+  python: '#',
+  ruby: '#'
+};
+
+const KEYWORDS = new Set([
+  'async', 'await', 'const', 'let', 'var', 'function', 'return', 'if', 'else',
+  'for', 'while', 'new', 'try', 'catch', 'throw', 'export', 'default', 'import',
+  'from', 'class', 'extends', 'def', 'self', 'true', 'false', 'null', 'undefined'
+]);
+
+/**
+ * Net change in bracket depth over a line, ignoring brackets inside strings
+ */
+function bracketDelta(line) {
+  let delta = 0;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (char === '/' && line[i + 1] === '/') {
+      break;
+    } else if ('{(['.includes(char)) {
+      delta++;
+    } else if ('})]'.includes(char)) {
+      delta--;
+    }
+  }
+  return delta;
+}
+
+/**
+ * Removes the indentation shared by every non-blank line
+ */
+function dedent(lines) {
+  const indents = lines.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length);
+  const shared = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(l => l.slice(shared));
+}
+
+/**
+ * Cuts the statement starting at `index` (0-based) out of the given lines.
+ * Brace-delimited languages end where the brackets balance; indentation-based
+ * ones where the indentation drops back.
+ */
+export function extractSnippet(lines, index, { language = 'js', maxLines = MAX_EXAMPLE_LINES } = {}) {
+  const snippet = [lines[index]];
+
+  if (language === 'python') {
+    const indent = lines[index].match(/^\s*/)[0].length;
+    let start = index + 1;
+    // A decorator is followed by the definition it decorates
+    while (snippet[snippet.length - 1].trim().startsWith('@') && start < lines.length) {
+      snippet.push(lines[start++]);
+    }
+    for (let i = start; i < lines.length; i++) {
+      const line = lines[i];
+      if (line.trim() && line.match(/^\s*/)[0].length <= indent) break;
+      snippet.push(line);
+    }
+  } else {
+    let depth = bracketDelta(lines[index]);
+    for (let i = index + 1; i < lines.length && depth > 0; i++) {
+      snippet.push(lines[i]);
+      depth += bracketDelta(lines[i]);
+    }
+  }
+
+  while (snippet.length > 1 && !snippet[snippet.length - 1].trim()) snippet.pop();
+
+  let result = dedent(snippet);
+  if (result.length > maxLines) {
+    const comment = COMMENT_PREFIX[language] ?? '//';
+    result = [...result.slice(0, maxLines), `${comment} ...`];
+  }
+  return result.join('\n');
+}
+
+/**
+ * Reduces the opening line of a snippet to its structure: literals and names
+ * are replaced, keywords and punctuation are kept
+ */
+function snippetShape(code) {
+  return code.split('\n')[0]
+    .replace(/(["'`])(?:\\.|(?!\1).)*\1/g, 'S')
+    .replace(/\b\d+(\.\d+)?\b/g, 'N')
+    .replace(/[A-Za-z_$][\w$]*/g, word => (KEYWORDS.has(word) ? word : '_'))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Returns the fenced-code language for a file
+ */
+export function languageFor(file) {
+  return LANGUAGES[path.extname(file)] ?? '';
+}
+
+/**
+ * Finds the most typical snippets whose first line matches `pattern` in the
+ * given files. Ties go to the shorter snippet, then to the earlier file.
+ */
+export async function findExamples(index, paths, pattern, { title, limit = 1, maxLines = MAX_EXAMPLE_LINES } = {}) {
+  const candidates = [];
+
+  for (const file of paths.slice(0, MAX_FILES_SCANNED)) {
+    const content = await index.read(file);
+    if (content === null) continue;
+
+    const language = languageFor(file);
+    const lines = content.split('\n');
+    lines.forEach((line, i) => {
+      if (!pattern.test(line)) return;
+      const code = extractSnippet(lines, i, { language, maxLines });
+      candidates.push({ title, file, line: i + 1, language, code, shape: snippetShape(code) });
+    });
+  }
+
+  const shapeCounts = new Map();
+  for (const candidate of candidates) {
+    shapeCounts.set(candidate.shape, (shapeCounts.get(candidate.shape) ?? 0) + 1);
+  }
+
+  const ranked = candidates.sort((a, b) =>
+    shapeCounts.get(b.shape) - shapeCounts.get(a.shape) ||
+    a.code.length - b.code.length ||
+    a.file.localeCompare(b.file) ||
+    a.line - b.line
+  );
+
+  // Several snippets with the same structure would not teach anything new
+  const examples = [];
+  const seen = new Set();
+  for (const { shape, ...example } of ranked) {
+    if (seen.has(shape)) continue;
+    seen.add(shape);
+    examples.push(example);
+    if (examples.length === limit) break;
+  }
+  return examples;
+}
@@ -0,0 +1,194 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { minimatch, Minimatch } from 'minimatch';
+
+/**
+ * Shared workspace file index
+ *
+ * The workspace is walked once per run. Directories are pruned using the
+ * default ignore list, any extra ignore globs, and every .gitignore found on
+ * the way down. Analyzers query the resulting index instead of globbing the
+ * tree themselves, and file contents are read at most once.
+ */
+
+// Always skipped, whether or not the workspace .gitignore mentions them
+export const DEFAULT_IGNORE = [
+  '.git/',
+  'node_modules/',
+  'dist/',
+  'build/',
+  'coverage/',
+  'vendor/',
+  '.venv/',
+  'venv/',
+  '__pycache__/',
+  '.next/',
+  '.nuxt/',
+  '.claude/'
+];
+
+// Files analyzers look for even though they are normally gitignored
+const ALWAYS_INCLUDE = ['.env*'];
+
+/**
+ * Compiles a .gitignore-style line into a rule, or null for blanks and comments
+ */
+function compileRule(line, base) {
+  let pattern = line.replace(/\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  const negate = pattern.startsWith('!');
+  if (negate) pattern = pattern.slice(1);
+  if (pattern.startsWith('\\')) pattern = pattern.slice(1);
+
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+
+  // A slash anywhere but the end anchors the pattern to the .gitignore's directory
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+
+  return {
+    base,
+    negate,
+    dirOnly,
+    matcher: new Minimatch(anchored ? pattern : `**/${pattern}`, { dot: true })
+  };
+}
+
+function compileRules(lines, base) {
+  return lines.map(line => compileRule(line, base)).filter(Boolean);
+}
+
+/**
+ * Applies gitignore semantics: the last matching rule wins
+ */
+function isIgnored(relativePath, isDirectory, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    if (rule.base && !relativePath.startsWith(`${rule.base}/`)) continue;
+
+    const candidate = rule.base ? relativePath.slice(rule.base.length + 1) : relativePath;
+    if (rule.matcher.match(candidate)) {
+      ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+/**
+ * Walks the workspace and returns the sorted list of indexed files
+ */
+async function scanWorkspace(workspaceRoot, ignore) {
+  const files = [];
+  const fixedRules = compileRules([...DEFAULT_IGNORE, ...ignore], '');
+
+  async function walk(dir, gitRules) {
+    const absoluteDir = path.join(workspaceRoot, dir);
+
+    let rules = gitRules;
+    try {
+      const gitignore = await fs.readFile(path.join(absoluteDir, '.gitignore'), 'utf-8');
+      rules = [...gitRules, ...compileRules(gitignore.split(/\r?\n/), dir)];
+    } catch (e) {
+      // No .gitignore in this directory
+    }
+
+    let entries;
+    try {
+      entries = await fs.readdir(absoluteDir, { withFileTypes: true });
+    } catch (e) {
+      // Unreadable directory
+      return;
+    }
+
+    for (const entry of entries) {
+      const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (isIgnored(relativePath, true, fixedRules) || isIgnored(relativePath, true, rules)) continue;
+        await walk(relativePath, rules);
+      } else if (entry.isFile()) {
+        if (isIgnored(relativePath, false, fixedRules)) continue;
+        const alwaysIncluded = ALWAYS_INCLUDE.some(p => minimatch(entry.name, p, { dot: true }));
+        if (!alwaysIncluded && isIgnored(relativePath, false, rules)) continue;
+        files.push(relativePath);
+      }
+    }
+  }
+
+  await walk('', []);
+  return files.sort();
+}
+
+function normalizeExtension(extension) {
+  return extension.startsWith('.') ? extension : `.${extension}`;
+}
+
+/**
+ * Scans the workspace once and returns a queryable index of its files.
+ * Paths are relative to the workspace root and use forward slashes.
+ */
+export async function createFileIndex(workspaceRoot, { ignore = [] } = {}) {
+  const files = await scanWorkspace(workspaceRoot, ignore);
+  const fileSet = new Set(files);
+  const contents = new Map();
+
+  return {
+    files,
+
+    has: (file) => fileSet.has(file),
+
+    /**
+     * Files with any of the given extensions, e.g. byExtension('ts', 'tsx')
+     */
+    byExtension(...extensions) {
+      const wanted = extensions.flat().map(normalizeExtension);
+      return files.filter(file => wanted.some(ext => file.endsWith(ext)));
+    },
+
+    /**
+     * Files whose name is one of the given basenames, at any depth
+     */
+    byBasename(...names) {
+      const wanted = new Set(names.flat());
+      return files.filter(file => wanted.has(path.posix.basename(file)));
+    },
+
+    /**
+     * Files matching one or more glob patterns, minus any ignore globs
+     */
+    match(patterns, { ignore: excluded = [] } = {}) {
+      const include = [patterns].flat().map(p => new Minimatch(p, { dot: true }));
+      const exclude = excluded.map(p => new Minimatch(p, { dot: true }));
+      return files.filter(file =>
+        include.some(m => m.match(file)) && !exclude.some(m => m.match(file))
+      );
+    },
+
+    /**
+     * Reads a file relative to the workspace, caching the result.
+     * Resolves to null when the file cannot be read.
+     */
+    read(file) {
+      if (!contents.has(file)) {
+        contents.set(file, fs.readFile(path.join(workspaceRoot, file), 'utf-8').catch(() => null));
+      }
+      return contents.get(file);
+    },
+
+    /**
+     * Reads and parses a JSON file, resolving to null when missing or invalid
+     */
+    async readJson(file) {
+      const content = await this.read(file);
+      if (content === null) return null;
+      try {
+        return JSON.parse(content);
+      } catch (e) {
+        return null;
+      }
+    }
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Go modules
+ *
+ * Reads the direct requirements of every go.mod in the workspace. Indirect
+ * requirements (marked `// indirect`) are left out: a module pulled in by a
+ * dependency says nothing about the code in the workspace.
+ */
+
+export const GO_MANIFESTS = '**/go.mod';
+
+/**
+ * Parses a go.mod file into { module, go, requires } where `requires` maps
+ * module paths to versions
+ */
+export function parseGoMod(content) {
+  const parsed = { module: null, go: null, requires: new Map() };
+  let block = null;
+
+  for (const raw of content.split(/\r?\n/)) {
+    const indirect = /\/\/\s*indirect\b/.test(raw);
+    const line = raw.replace(/\/\/.*$/, '').trim();
+    if (!line) continue;
+
+    if (block) {
+      if (line === ')') {
+        block = null;
+      } else if (block === 'require' && !indirect) {
+        const [path, version] = line.split(/\s+/);
+        parsed.requires.set(path, version ?? null);
+      }
+      continue;
+    }
+
+    const [directive, ...args] = line.split(/\s+/);
+    if (args[0] === '(') {
+      block = directive;
+    } else if (directive === 'module') {
+      parsed.module = args[0]?.replace(/^"|"$/g, '') ?? null;
+    } else if (directive === 'go') {
+      parsed.go = args[0] ?? null;
+    } else if (directive === 'require' && !indirect) {
+      parsed.requires.set(args[0], args[1] ?? null);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Reads every go.mod in the workspace.
+ *
+ * Resolves to null when there is none, or to { manifests, dependencies }
+ * where `dependencies` maps module paths to { version, file } for the first
+ * go.mod requiring them.
+ */
+export async function readGoModules(files) {
+  const manifests = files.match(GO_MANIFESTS).sort();
+  if (manifests.length === 0) return null;
+
+  const dependencies = new Map();
+  for (const file of manifests) {
+    const content = await files.read(file);
+    if (content === null) continue;
+    for (const [path, version] of parseGoMod(content).requires) {
+      if (!dependencies.has(path)) dependencies.set(path, { version, file });
+    }
+  }
+  return { manifests, dependencies };
+}
+
+/**
+ * Returns the dependency on a module, whatever its major version suffix
+ * (github.com/labstack/echo/v4 for github.com/labstack/echo), or null
+ */
+export function findModule(project, modulePath) {
+  for (const [path, dependency] of project?.dependencies ?? []) {
+    if (path === modulePath || new RegExp(`^${modulePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/v\\d+$`).test(path)) {
+      return { path, ...dependency };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,202 @@
+import { parseToml } from './toml.js';
+
+/**
+ * Maven and Gradle builds
+ *
+ * Reads the dependencies and plugins of every pom.xml, build.gradle and
+ * build.gradle.kts in the workspace, so every module of a multi-module build
+ * counts. Gradle version catalog entries (gradle/libs.versions.toml) count
+ * when a build file refers to them, e.g. `implementation(libs.spring.boot.web)`.
+ *
+ * Dependencies are keyed by "group:artifact"; plugins by Gradle plugin id or,
+ * for Maven, by "group:artifact" of the build plugin. Versions are kept as
+ * written, so they may be property references such as ${junit.version}.
+ */
+
+export const JVM_MANIFESTS = '**/{pom.xml,build.gradle,build.gradle.kts}';
+
+export const VERSION_CATALOG = 'gradle/libs.versions.toml';
+
+function xmlText(block, tag) {
+  return block.match(new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`))?.[1] ?? null;
+}
+
+/**
+ * Maven: <dependency> and <parent> elements, and build <plugin> elements.
+ * Managed dependencies and plugins only pin versions and are left out.
+ */
+function parsePom(content) {
+  const pom = content
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(dependencyManagement|pluginManagement)>[\s\S]*?<\/\1>/g, '');
+  const dependencies = [];
+  const plugins = [];
+
+  for (const [, tag, block] of pom.matchAll(/<(dependency|parent|plugin)>([\s\S]*?)<\/\1>/g)) {
+    // Plugins without a groupId default to org.apache.maven.plugins
+    const group = xmlText(block, 'groupId') ?? (tag === 'plugin' ? 'org.apache.maven.plugins' : null);
+    const artifact = xmlText(block, 'artifactId');
+    if (!group || !artifact) continue;
+    const entry = { coordinate: `${group}:${artifact}`, version: xmlText(block, 'version'), test: xmlText(block, 'scope') === 'test' };
+    (tag === 'plugin' ? plugins : dependencies).push(entry);
+  }
+  return { dependencies, plugins };
+}
+
+/**
+ * Reads the [libraries] and [plugins] of a version catalog, keyed by the
+ * accessor Gradle generates for them: "spring-boot_web" becomes "spring.boot.web".
+ * Entries point at the catalog, where their coordinates are written.
+ */
+function parseVersionCatalog(content) {
+  const catalog = parseToml(content);
+  const accessor = (key) => key.replace(/[-_]/g, '.');
+  const versionOf = (spec) =>
+    (typeof spec.version === 'string' ? spec.version : spec.version?.ref ? catalog.versions?.[spec.version.ref] : null) ?? null;
+
+  const libraries = new Map();
+  for (const [key, spec] of Object.entries(catalog.libraries ?? {})) {
+    if (typeof spec === 'string') {
+      const [group, artifact, version = null] = spec.split(':');
+      libraries.set(accessor(key), { coordinate: `${group}:${artifact}`, version, file: VERSION_CATALOG });
+    } else {
+      const coordinate = spec.module ?? (spec.group && spec.name ? `${spec.group}:${spec.name}` : null);
+      if (coordinate) libraries.set(accessor(key), { coordinate, version: versionOf(spec), file: VERSION_CATALOG });
+    }
+  }
+
+  const plugins = new Map();
+  for (const [key, spec] of Object.entries(catalog.plugins ?? {})) {
+    const id = typeof spec === 'string' ? spec.split(':')[0] : spec.id;
+    const version = typeof spec === 'string' ? spec.split(':')[1] ?? null : versionOf(spec);
+    if (id) plugins.set(accessor(key), { coordinate: id, version, file: VERSION_CATALOG });
+  }
+  return { libraries, plugins };
+}
+
+/**
+ * Gradle (Groovy or Kotlin DSL): dependency coordinates in string or map
+ * notation, plugin ids, and references to version catalog entries. Only
+ * declarations are read; the build script is not evaluated.
+ */
+function parseGradle(content, catalog) {
+  const script = content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|\s)\/\/.*$/gm, '$1');
+  const dependencies = [];
+  const plugins = [];
+
+  for (const line of script.split('\n')) {
+    const test = /^\s*test\w*/.test(line);
+
+    for (const [, group, artifact, version = null] of line.matchAll(/["']([\w.-]+):([\w.-]+)(?::([\w.+-]+))?(?::[\w.-]+)?(?:@\w+)?["']/g)) {
+      dependencies.push({ coordinate: `${group}:${artifact}`, version, test });
+    }
+    const map = line.match(/group\s*[:=]\s*["']([\w.-]+)["']\s*,\s*name\s*[:=]\s*["']([\w.-]+)["'](?:\s*,\s*version\s*[:=]\s*["']([^"']+)["'])?/);
+    if (map) dependencies.push({ coordinate: `${map[1]}:${map[2]}`, version: map[3] ?? null, test });
+
+    for (const [, id] of line.matchAll(/\bid\s*\(?\s*["']([\w.-]+)["']/g)) {
+      plugins.push({ coordinate: id, version: null });
+    }
+    for (const [, id] of line.matchAll(/apply\s*\(?\s*plugin\s*[:=]\s*["']([\w.-]+)["']/g)) {
+      plugins.push({ coordinate: id, version: null });
+    }
+    // kotlin("jvm") is short for the org.jetbrains.kotlin.jvm plugin
+    for (const [, name] of line.matchAll(/\bkotlin\s*\(\s*["']([\w.-]+)["']\s*\)/g)) {
+      plugins.push({ coordinate: `org.jetbrains.kotlin.${name}`, version: null });
+    }
+
+    for (const [, kind, key] of line.matchAll(/\blibs\.(plugins\.)?([\w.]+)/g)) {
+      const entry = kind ? catalog.plugins.get(key) : catalog.libraries.get(key);
+      if (entry) (kind ? plugins : dependencies).push({ ...entry, test });
+    }
+  }
+  return { dependencies, plugins };
+}
+
+/**
+ * Reads every Maven and Gradle build file in the workspace.
+ *
+ * Resolves to null when there is none, or to
+ * { buildTools, manifests, dependencies, plugins } where `buildTools` lists
+ * Maven and/or Gradle and the maps hold { coordinate, version, test, file }
+ * for the first build file declaring each key. A file that cannot be parsed
+ * is skipped, and reported through the logger when one is given.
+ */
+export async function readJvmBuild(files, logger) {
+  const manifests = files.match(JVM_MANIFESTS).sort();
+  if (manifests.length === 0) return null;
+
+  let catalog = { libraries: new Map(), plugins: new Map() };
+  const catalogContent = await files.read(VERSION_CATALOG);
+  if (catalogContent !== null) {
+    try {
+      catalog = parseVersionCatalog(catalogContent);
+    } catch (error) {
+      logger?.error(`  ⚠️  Could not read ${VERSION_CATALOG}: ${error.message}`);
+    }
+  }
+
+  const dependencies = new Map();
+  const plugins = new Map();
+  for (const file of manifests) {
+    const content = await files.read(file);
+    if (content === null) continue;
+
+    const parsed = file.endsWith('pom.xml') ? parsePom(content) : parseGradle(content, catalog);
+    for (const entry of parsed.dependencies) {
+      const known = dependencies.get(entry.coordinate);
+      // A dependency counts as a test dependency only if it is one everywhere
+      if (!known) dependencies.set(entry.coordinate, { file, ...entry, test: Boolean(entry.test) });
+      else if (!entry.test) known.test = false;
+    }
+    for (const entry of parsed.plugins) {
+      if (!plugins.has(entry.coordinate)) plugins.set(entry.coordinate, { file, ...entry });
+    }
+  }
+
+  const buildTools = [
+    manifests.some(file => file.endsWith('pom.xml')) && 'Maven',
+    manifests.some(file => !file.endsWith('pom.xml')) && 'Gradle'
+  ].filter(Boolean);
+
+  return { buildTools, manifests, dependencies, plugins };
+}
+
+function coordinateMatcher(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Returns the first dependency matching any of the coordinate patterns, where
+ * * matches anything (e.g. "org.springframework.boot:*"), or null
+ */
+export function findDependency(build, ...patterns) {
+  const matchers = patterns.map(coordinateMatcher);
+  for (const dependency of build?.dependencies.values() ?? []) {
+    if (matchers.some(matcher => matcher.test(dependency.coordinate))) return dependency;
+  }
+  return null;
+}
+
+/**
+ * Returns the first plugin matching any of the id or coordinate patterns, or null
+ */
+export function findPlugin(build, ...patterns) {
+  const matchers = patterns.map(coordinateMatcher);
+  for (const plugin of build?.plugins.values() ?? []) {
+    if (matchers.some(matcher => matcher.test(plugin.coordinate))) return plugin;
+  }
+  return null;
+}
+
+/**
+ * Returns the text that locates a dependency or plugin in its build file: the
+ * artifact, or the plugin id. Kotlin plugins may be written kotlin("jvm").
+ */
+export function declarationPattern(entry) {
+  if (entry.coordinate.includes(':')) return entry.coordinate.split(':')[1];
+  const kotlin = entry.coordinate.match(/^org\.jetbrains\.kotlin\.([\w.-]+)$/);
+  if (!kotlin) return entry.coordinate;
+  const name = kotlin[1].replace(/[.-]/g, '\\$&');
+  return new RegExp(`org\\.jetbrains\\.kotlin\\.${name}\\b|\\bkotlin\\s*\\(\\s*["']${name}["']`);
+}
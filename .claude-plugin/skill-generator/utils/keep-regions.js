@@ -0,0 +1,143 @@
+/**
+ * Protected regions for hand edits inside generated skills.
+ *
+ * Anything between these markers survives regeneration:
+ *
+ *   <!-- skill-generator:keep -->
+ *   - Always go through our internal `db` wrapper, never raw pg
+ *   <!-- /skill-generator:keep -->
+ *
+ * A kept block is re-inserted at the end of the section (heading) it was
+ * written under. If that section no longer exists it is recreated just above
+ * the generator footer, so human additions are never dropped.
+ */
+
+export const KEEP_START = '<!-- skill-generator:keep -->';
+export const KEEP_END = '<!-- /skill-generator:keep -->';
+
+const HEADING = /^(#{1,6})\s+(.*)$/;
+
+/**
+ * Returns the index of the horizontal rule that opens the generator footer,
+ * or the line count when the content has no footer
+ */
+function findFooterStart(lines, marker) {
+  const markerIndex = lines.findIndex(line => line.includes(marker));
+  if (markerIndex === -1) return lines.length;
+  for (let i = markerIndex - 1; i >= 0; i--) {
+    if (lines[i].trim() === '---') return i;
+  }
+  return markerIndex;
+}
+
+/**
+ * Returns the index of the first body line, skipping YAML frontmatter
+ */
+function findBodyStart(lines) {
+  if (lines[0] !== '---') return 0;
+  const end = lines.indexOf('---', 1);
+  return end === -1 ? 0 : end + 1;
+}
+
+/**
+ * Extracts the kept blocks from a previously written skill file
+ */
+export function extractKeepBlocks(content, marker) {
+  const lines = content.split('\n');
+  const footerStart = findFooterStart(lines, marker);
+  const blocks = [];
+  let heading = null;
+
+  for (let i = findBodyStart(lines); i < footerStart; i++) {
+    const match = lines[i].match(HEADING);
+    if (match) {
+      heading = lines[i].trim();
+      continue;
+    }
+    if (lines[i].trim() !== KEEP_START) continue;
+
+    // An unterminated block runs up to the next heading or keep block rather than being lost
+    let end = -1;
+    let firstHeading = -1;
+    for (let j = i + 1; j < footerStart; j++) {
+      const line = lines[j].trim();
+      if (line === KEEP_END) {
+        end = j;
+        break;
+      }
+      if (line === KEEP_START) break;
+      if (firstHeading === -1 && HEADING.test(line)) firstHeading = j;
+    }
+    if (end === -1) {
+      end = (firstHeading !== -1 ? firstHeading : footerStart) - 1;
+    }
+
+    const blockLines = lines.slice(i, end + 1);
+    if (blockLines[blockLines.length - 1].trim() !== KEEP_END) {
+      while (blockLines.length > 1 && blockLines[blockLines.length - 1].trim() === '') blockLines.pop();
+      blockLines.push(KEEP_END);
+    }
+    blocks.push({ heading, text: blockLines.join('\n') });
+    i = end;
+  }
+
+  return blocks;
+}
+
+/**
+ * Re-inserts kept blocks into freshly generated skill content
+ */
+export function mergeKeepBlocks(content, blocks, marker) {
+  if (blocks.length === 0) return content;
+
+  const lines = content.split('\n');
+  const bodyStart = findBodyStart(lines);
+  const insertions = new Map();
+  const recreated = new Set();
+
+  for (const block of blocks) {
+    const footerStart = findFooterStart(lines, marker);
+    let at = footerStart;
+    let text = block.text;
+    let orphaned = false;
+
+    const headingIndex = block.heading
+      ? lines.findIndex((line, idx) => idx >= bodyStart && idx < footerStart && line.trim() === block.heading)
+      : -1;
+
+    if (headingIndex === -1 && block.heading) {
+      // Recreate the hand-written section the block lived in, once
+      orphaned = true;
+      if (!recreated.has(block.heading)) {
+        text = `${block.heading}\n\n${block.text}`;
+        recreated.add(block.heading);
+      }
+    } else if (headingIndex !== -1) {
+      // The section ends at the next heading of the same or a higher level
+      const level = block.heading.match(HEADING)[1].length;
+      for (let i = headingIndex + 1; i < footerStart; i++) {
+        const match = lines[i].match(HEADING);
+        if (match && match[1].length <= level) {
+          at = i;
+          break;
+        }
+      }
+    }
+
+    // Step back over blank lines so the block sits right after the section's content
+    while (at > bodyStart && lines[at - 1].trim() === '') at--;
+
+    if (!insertions.has(at)) insertions.set(at, []);
+    insertions.get(at).push({ text, orphaned });
+  }
+
+  // Insert from the bottom up so earlier indexes stay valid. Recreated
+  // sections go last so they do not capture blocks of the section above.
+  for (const at of [...insertions.keys()].sort((a, b) => b - a)) {
+    const entries = insertions.get(at);
+    const ordered = [...entries.filter(e => !e.orphaned), ...entries.filter(e => e.orphaned)];
+    lines.splice(at, 0, '', ordered.map(e => e.text).join('\n\n'));
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,215 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { Minimatch } from 'minimatch';
+
+/**
+ * Language census
+ *
+ * Counts source files and non-blank lines per language, so a Python codebase
+ * with a package.json for its tooling is known to be a Python codebase.
+ * Vendored and generated code is left out: directories such as third_party/
+ * and generated/, minified bundles, protobuf and other generated outputs,
+ * files whose header says they are generated, and paths marked
+ * linguist-vendored or linguist-generated in .gitattributes. So are tool
+ * configuration files such as eslint.config.js.
+ *
+ * Files are streamed line by line rather than read whole, and with a cache
+ * their counts are reused while their size and mtime stay the same.
+ */
+
+const LANGUAGE_EXTENSIONS = {
+  '.js': 'JavaScript',
+  '.jsx': 'JavaScript',
+  '.mjs': 'JavaScript',
+  '.cjs': 'JavaScript',
+  '.ts': 'TypeScript',
+  '.tsx': 'TypeScript',
+  '.mts': 'TypeScript',
+  '.cts': 'TypeScript',
+  '.py': 'Python',
+  '.java': 'Java',
+  '.kt': 'Kotlin',
+  '.go': 'Go',
+  '.rs': 'Rust',
+  '.rb': 'Ruby',
+  '.php': 'PHP',
+  '.cs': 'C#',
+  '.c': 'C',
+  '.h': 'C',
+  '.cc': 'C++',
+  '.cpp': 'C++',
+  '.cxx': 'C++',
+  '.hpp': 'C++',
+  '.swift': 'Swift',
+  '.scala': 'Scala',
+  '.sh': 'Shell',
+  '.bash': 'Shell'
+};
+
+const EXCLUDED = [
+  '**/{third_party,third-party,vendored,generated,__generated__,bower_components,Pods}/**',
+  '**/*.{min,bundle}.js',
+  '**/*-min.js',
+  '**/*.pb.go',
+  '**/*_pb2{,_grpc}.py',
+  '**/*{.generated,_generated,.g}.*',
+  // Tool configuration is not application code
+  '**/*.config.{js,cjs,mjs,ts,cts,mts}',
+  '**/.*rc.{js,cjs,mjs}'
+].map(pattern => new Minimatch(pattern, { dot: true }));
+
+// Headers of generated files, e.g. "// Code generated by protoc-gen-go. DO NOT EDIT."
+const GENERATED_HEADER = /@generated|DO NOT EDIT|auto-?generated/i;
+const HEADER_LINES = 5;
+
+// Minified code has few, very long lines
+const MINIFIED_LINE_LENGTH = 200;
+
+// Languages with more files are estimated from an even sample of them
+const MAX_FILES_READ = 2000;
+
+// Share of the counted lines that makes a language primary
+export const PRIMARY_SHARE = 0.2;
+
+/**
+ * Matchers for the paths .gitattributes marks linguist-vendored or
+ * linguist-generated (and not unset again with -linguist-... or =false)
+ */
+function parseGitattributes(content) {
+  const rules = [];
+  for (const line of content.split(/\r?\n/)) {
+    const [pattern, ...attributes] = line.trim().split(/\s+/);
+    if (!pattern || pattern.startsWith('#')) continue;
+
+    const excluded = attributes.some(attribute => /^linguist-(vendored|generated)(=true)?$/.test(attribute));
+    const included = attributes.some(attribute => /^(-linguist-(vendored|generated)|linguist-(vendored|generated)=false)$/.test(attribute));
+    if (!excluded && !included) continue;
+
+    // Like .gitignore: a pattern without a slash matches at any depth
+    const glob = pattern.includes('/') ? pattern.replace(/^\//, '') : `**/${pattern}`;
+    rules.push({ matcher: new Minimatch(glob.endsWith('/') ? `${glob}**` : glob, { dot: true }), excluded });
+  }
+  return rules;
+}
+
+/**
+ * Counts the non-blank lines of a file and tells whether it is generated.
+ * Resolves to { lines, generated }, or null when the file cannot be read.
+ */
+export async function countFileLines(filePath) {
+  const header = [];
+  let lines = 0;
+  let length = 0;
+  try {
+    const input = fs.createReadStream(filePath, { encoding: 'utf-8' });
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (header.length < HEADER_LINES) header.push(line);
+      if (line.trim()) lines++;
+      length += line.length + 1;
+    }
+  } catch (e) {
+    // Deleted or unreadable since the scan
+    return null;
+  }
+  const generated = GENERATED_HEADER.test(header.join('\n')) || length / Math.max(lines, 1) > MINIFIED_LINE_LENGTH;
+  return { lines, generated };
+}
+
+/**
+ * Picks up to `count` files spread evenly over the list
+ */
+function sample(list, count) {
+  if (list.length <= count) return list;
+  return Array.from({ length: count }, (_, index) => list[Math.floor(index * list.length / count)]);
+}
+
+/**
+ * Counts the source files and non-blank lines of every language in the
+ * workspace. Pass the run's `cache` to reuse the counts of unchanged files.
+ *
+ * Resolves to { [language]: { files, lines, share } } ordered from the most
+ * lines to the fewest, where `share` is the language's fraction of all
+ * counted lines. Languages without source files are left out.
+ */
+export async function countLanguages(workspaceRoot, files, { cache = null } = {}) {
+  const countFile = (file) => cache
+    ? cache.countFile(file, countFileLines)
+    : countFileLines(path.join(workspaceRoot, file));
+
+  const attributes = parseGitattributes((await files.read('.gitattributes')) ?? '');
+  const isExcluded = (file) => {
+    let excluded = EXCLUDED.some(matcher => matcher.match(file));
+    for (const rule of attributes) {
+      if (rule.matcher.match(file)) excluded = rule.excluded;
+    }
+    return excluded;
+  };
+
+  const byLanguage = new Map();
+  for (const file of files.files) {
+    const language = LANGUAGE_EXTENSIONS[path.posix.extname(file)];
+    if (!language || isExcluded(file)) continue;
+    if (!byLanguage.has(language)) byLanguage.set(language, []);
+    byLanguage.get(language).push(file);
+  }
+
+  const counts = [];
+  for (const [language, sources] of byLanguage) {
+    const read = sample(sources, MAX_FILES_READ);
+    let fileCount = 0;
+    let lines = 0;
+    for (const file of read) {
+      const counted = await countFile(file);
+      if (!counted || counted.generated) continue;
+      fileCount++;
+      lines += counted.lines;
+    }
+    // Scale a sample up to the whole language
+    const scale = sources.length / read.length;
+    if (fileCount > 0) counts.push({ language, files: Math.round(fileCount * scale), lines: Math.round(lines * scale) });
+  }
+
+  const total = counts.reduce((sum, count) => sum + count.lines, 0);
+  counts.sort((a, b) => b.lines - a.lines || b.files - a.files || a.language.localeCompare(b.language));
+
+  const stats = {};
+  for (const { language, files: fileCount, lines } of counts) {
+    stats[language] = { files: fileCount, lines, share: total > 0 ? Math.round(lines / total * 1000) / 1000 : 0 };
+  }
+  return stats;
+}
+
+/**
+ * Returns the languages holding at least PRIMARY_SHARE of the counted lines,
+ * and always the largest one
+ */
+export function primaryLanguages(languageStats) {
+  return Object.entries(languageStats)
+    .filter(([, stats], index) => index === 0 || stats.share >= PRIMARY_SHARE)
+    .map(([language]) => language);
+}
+
+/**
+ * Orders per-language guideline sections for a skill, given as
+ * [{ languages: ['Python'], guidelines: [...] }]: sections for the languages
+ * with the most code come first, and sections for languages the census found
+ * no source for are dropped. Without a census the sections keep their order.
+ *
+ * Only the census order is used, not its counts, so cached skills stay valid
+ * while the line counts change.
+ */
+export function orderByLanguage(techStack, sections) {
+  const ranked = Object.keys(techStack.languageStats ?? {});
+  if (ranked.length === 0) return sections.flatMap(section => section.guidelines);
+
+  const rank = (section) => Math.min(...section.languages.map(language => {
+    const index = ranked.indexOf(language);
+    return index === -1 ? Infinity : index;
+  }));
+  return sections
+    .map((section, index) => ({ section, index, rank: rank(section) }))
+    .filter(({ rank }) => rank !== Infinity)
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .flatMap(({ section }) => section.guidelines);
+}
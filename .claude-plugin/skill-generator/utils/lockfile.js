@@ -0,0 +1,188 @@
+import { minVersion, versionEntry } from './versions.js';
+
+/**
+ * Lockfiles
+ *
+ * The lockfile tells which package manager a project uses and which version
+ * of each dependency is actually installed, whatever range package.json
+ * declares. The `packageManager` field of package.json (Corepack) wins when a
+ * project has several lockfiles.
+ */
+
+// In order of preference: a stray package-lock.json next to another lockfile
+// is more likely left over than the other way round
+export const LOCKFILES = [
+  { file: 'bun.lock', manager: 'Bun' },
+  { file: 'bun.lockb', manager: 'Bun' },
+  { file: 'pnpm-lock.yaml', manager: 'pnpm' },
+  { file: 'yarn.lock', manager: 'Yarn' },
+  { file: 'package-lock.json', manager: 'npm' },
+  { file: 'npm-shrinkwrap.json', manager: 'npm' }
+];
+
+const CORE_PACKAGE_MANAGERS = { npm: 'npm', pnpm: 'pnpm', yarn: 'Yarn', bun: 'Bun' };
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+/**
+ * Strips quotes and pnpm's peer dependency suffix, e.g. 18.2.0(react@18.2.0)
+ */
+function cleanVersion(value) {
+  return value.replace(/^['"]|['"]$/g, '').replace(/\(.*$/, '').trim();
+}
+
+/**
+ * package-lock.json and npm-shrinkwrap.json: lockfileVersion 2 and 3 list
+ * packages by install path, version 1 nests dependencies by name
+ */
+function parseNpmLock(content, names) {
+  const lock = JSON.parse(content);
+  const versions = {};
+  for (const name of names) {
+    const version = lock.packages?.[`node_modules/${name}`]?.version ?? lock.dependencies?.[name]?.version;
+    if (version) versions[name] = version;
+  }
+  return versions;
+}
+
+/**
+ * pnpm-lock.yaml: the root project's direct dependencies are listed under
+ * importers['.'] (lockfile v6 and later) or at the top level, either as
+ * `name: version` or as `name:` followed by `specifier:` and `version:` lines
+ */
+function parsePnpmLock(content, names) {
+  const versions = {};
+  const stack = [];
+
+  for (const line of content.split('\n')) {
+    if (/^\s*(#|$)/.test(line)) continue;
+    const match = line.match(/^(\s*)(['"]?)([^'"\s:][^:]*?)\2:(?:\s+(.*))?$/);
+    if (!match) continue;
+
+    const [, indent, , key, value = ''] = match;
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent.length) stack.pop();
+    stack.push({ indent: indent.length, key });
+
+    const keys = stack.map(entry => entry.key);
+    const root = keys[0] === 'importers' ? (keys[1] === '.' ? keys.slice(2) : null) : keys;
+    if (!root || !DEPENDENCY_FIELDS.includes(root[0]) || !names.includes(root[1])) continue;
+
+    if ((root.length === 2 && value) || (root.length === 3 && root[2] === 'version')) {
+      const version = cleanVersion(value);
+      // link: and file: dependencies have no version
+      if (/^\d/.test(version)) versions[root[1]] ??= version;
+    }
+  }
+  return versions;
+}
+
+/**
+ * Returns the package name of a yarn.lock descriptor such as
+ * "@babel/core@^7.0.0" or "react@npm:^18.2.0", and the range it names
+ */
+function splitDescriptor(descriptor) {
+  const at = descriptor.indexOf('@', 1);
+  if (at === -1) return { name: descriptor, range: '' };
+  return { name: descriptor.slice(0, at), range: descriptor.slice(at + 1).replace(/^npm:/, '') };
+}
+
+/**
+ * yarn.lock, classic and Berry: an entry lists every descriptor it resolves,
+ * followed by an indented version line. When a package is resolved more than
+ * once, the entry for the range declared in package.json wins.
+ */
+function parseYarnLock(content, names, ranges) {
+  const versions = {};
+  let descriptors = null;
+
+  for (const line of content.split('\n')) {
+    if (/^[^\s#].*:$/.test(line)) {
+      descriptors = line.slice(0, -1).split(/,\s*/).map(d => splitDescriptor(d.replace(/^"|"$/g, '')));
+      continue;
+    }
+    const match = descriptors && line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+    if (!match) continue;
+
+    for (const { name, range } of descriptors) {
+      if (!names.includes(name)) continue;
+      if (!(name in versions) || range === ranges[name]) versions[name] = match[1];
+    }
+    descriptors = null;
+  }
+  return versions;
+}
+
+/**
+ * bun.lock (text, Bun 1.2 and later): "name": ["name@version", ...]
+ */
+function parseBunLock(content, names) {
+  const versions = {};
+  for (const name of names) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    const match = content.match(new RegExp(`^\\s*"${escaped}":\\s*\\[\\s*"${escaped}@([^"]+)"`, 'm'));
+    if (match) versions[name] = match[1];
+  }
+  return versions;
+}
+
+const PARSERS = {
+  'package-lock.json': parseNpmLock,
+  'npm-shrinkwrap.json': parseNpmLock,
+  'pnpm-lock.yaml': parsePnpmLock,
+  'yarn.lock': parseYarnLock,
+  'bun.lock': parseBunLock
+  // bun.lockb is binary; its versions come from package.json
+};
+
+/**
+ * Returns the package manager named by the packageManager field, e.g.
+ * "pnpm@9.1.0", or null
+ */
+function declaredPackageManager(packageJson) {
+  const name = typeof packageJson.packageManager === 'string' ? packageJson.packageManager.split('@')[0] : null;
+  return CORE_PACKAGE_MANAGERS[name] ?? null;
+}
+
+/**
+ * Detects the package manager of a Node.js project and resolves the versions
+ * of the given direct dependencies.
+ *
+ * Resolves to { packageManager, lockfile, versions } where `lockfile` is null
+ * when there is none and `versions` maps package names to version entries.
+ * Packages the lockfile does not resolve fall back to the lowest version their
+ * package.json range allows. An unreadable lockfile is reported through the
+ * logger and treated the same way.
+ */
+export async function readLockfile(files, packageJson, names, logger) {
+  const declared = declaredPackageManager(packageJson);
+  const present = LOCKFILES.filter(({ file }) => files.has(file));
+  const lock = present.find(({ manager }) => manager === declared) ?? present[0] ?? null;
+
+  const ranges = Object.fromEntries(
+    DEPENDENCY_FIELDS.flatMap(field => Object.entries(packageJson[field] ?? {})).reverse()
+  );
+
+  let resolved = {};
+  const parse = lock && PARSERS[lock.file];
+  if (parse) {
+    try {
+      resolved = parse(await files.read(lock.file) ?? '', names, ranges);
+    } catch (error) {
+      logger?.error(`  ⚠️  Could not read ${lock.file}: ${error.message}`);
+    }
+  }
+
+  const versions = {};
+  for (const name of names) {
+    const entry = resolved[name]
+      ? versionEntry(resolved[name], lock.file)
+      : versionEntry(minVersion(ranges[name]) ?? '', 'package.json');
+    if (entry) versions[name] = entry;
+  }
+
+  return {
+    packageManager: declared ?? lock?.manager ?? 'npm',
+    lockfile: lock?.file ?? null,
+    versions
+  };
+}
@@ -0,0 +1,71 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createRequire } from 'module';
+import { resolveSkillsDir } from './skill-writer.js';
+import { estimateTokens } from './budget.js';
+
+const require = createRequire(import.meta.url);
+const { name: GENERATOR_NAME, version: GENERATOR_VERSION } = require('../package.json');
+
+// The run report lives next to the skills it describes
+export const MANIFEST_FILE = '.skill-generator.json';
+export const MANIFEST_VERSION = 1;
+
+export { GENERATOR_NAME, GENERATOR_VERSION };
+
+/**
+ * Returns the path of the run report / manifest
+ */
+export function getManifestPath(workspaceRoot, context) {
+  return path.join(resolveSkillsDir(workspaceRoot, context), MANIFEST_FILE);
+}
+
+/**
+ * Returns the sha256 hash of a file's content
+ */
+export function hashContent(content) {
+  return `sha256-${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Builds the manifest entry for a generated file. `skill` is null for a file
+ * shared by all skills, such as CLAUDE.md.
+ */
+export function createManifestEntry(skill, filePath, content, workspaceRoot, target = 'skills') {
+  return {
+    path: path.relative(workspaceRoot, filePath).split(path.sep).join('/'),
+    target,
+    skill: skill?.name ?? null,
+    category: skill ? skill.category || 'general' : null,
+    hash: hashContent(content),
+    tokens: estimateTokens(content),
+    analyzer: skill?.generatedBy?.analyzer ?? null,
+    analyzerVersion: skill?.generatedBy?.version ?? null
+  };
+}
+
+/**
+ * Reads the manifest of the previous run, or null when there is none
+ */
+export async function readManifest(workspaceRoot, context) {
+  try {
+    return JSON.parse(await fs.readFile(getManifestPath(workspaceRoot, context), 'utf-8'));
+  } catch (e) {
+    // No previous run, or an unreadable manifest
+    return null;
+  }
+}
+
+/**
+ * Serializes the run report together with the manifest of generated files
+ */
+export function formatManifest(report, files) {
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    generator: { name: GENERATOR_NAME, version: GENERATOR_VERSION },
+    ...report,
+    files: [...files].sort((a, b) => a.path.localeCompare(b.path))
+  };
+  return `${JSON.stringify(manifest, null, 2)}\n`;
+}
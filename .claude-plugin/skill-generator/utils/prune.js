@@ -0,0 +1,87 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { hashContent } from './manifest.js';
+import { KEEP_START } from './keep-regions.js';
+
+export const PRUNE_MODES = ['warn', 'remove', 'archive'];
+
+// Directory (relative to the workspace) that archived skills are moved to
+export const ARCHIVE_DIR = path.join('.claude', 'skill-generator', 'archive');
+
+/**
+ * Splits the previous manifest's files into those that are stale (their
+ * analyzer ran and no longer produces them) and those carried over unchanged
+ * (their analyzer was not run or failed this time, or their target was not
+ * written). Files shared by all skills, such as CLAUDE.md, are hand-written
+ * around the generated section and are never stale.
+ */
+export function findStaleSkills(previousManifest, files, completedAnalyzers, targets = ['skills']) {
+  const current = new Set(files.map(f => f.path));
+  const stale = [];
+  const carried = [];
+
+  for (const entry of previousManifest?.files || []) {
+    if (current.has(entry.path) || entry.skill === null) continue;
+    if (completedAnalyzers.includes(entry.analyzer) && targets.includes(entry.target)) {
+      stale.push(entry);
+    } else {
+      carried.push(entry);
+    }
+  }
+
+  return { stale, carried };
+}
+
+/**
+ * Warns about, removes or archives stale skills. Only files recorded in the
+ * manifest are considered, and a file whose content no longer matches the
+ * recorded hash (edited by hand, or replaced) is never touched. Files with
+ * hand-edited keep blocks are archived but never removed. Removals and
+ * archive copies are recorded in the run's transaction and applied with it.
+ * Returns the entries that are still on disk and still ours.
+ */
+export async function pruneStaleSkills(stale, mode, workspaceRoot, context, transaction) {
+  const logger = context?.logger || {
+    info: (msg) => console.log(msg),
+    error: (msg) => console.error(msg)
+  };
+  const kept = [];
+  const archiveDir = path.join(workspaceRoot, ARCHIVE_DIR, new Date().toISOString().replace(/[:.]/g, '-'));
+
+  for (const entry of stale) {
+    const filePath = path.join(workspaceRoot, entry.path);
+
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (e) {
+      // Already gone
+      continue;
+    }
+
+    if (hashContent(content) !== entry.hash) {
+      logger.info(`  ⚠️  Stale skill modified since generation, leaving it in place: ${entry.path}`);
+      kept.push(entry);
+      continue;
+    }
+
+    if (mode === 'remove' && content.includes(KEEP_START)) {
+      // Like clean, never delete hand-edited keep blocks; archiving keeps them
+      logger.info(`  ↷ Kept stale skill with hand-edited blocks: ${entry.path} (use --prune archive to move it away)`);
+      kept.push(entry);
+    } else if (mode === 'remove') {
+      transaction.remove(filePath);
+      logger.info(`  ✓ Removed stale skill: ${entry.path}`);
+    } else if (mode === 'archive') {
+      const archivePath = path.join(archiveDir, entry.path);
+      transaction.write(archivePath, content);
+      transaction.remove(filePath);
+      logger.info(`  ✓ Archived stale skill: ${entry.path} → ${path.relative(workspaceRoot, archivePath)}`);
+    } else {
+      logger.info(`  ⚠️  Stale skill no longer produced by ${entry.analyzer}: ${entry.path} (use --prune remove or --prune archive)`);
+      kept.push(entry);
+    }
+  }
+
+  return kept;
+}
@@ -0,0 +1,217 @@
+import path from 'path';
+import { parseToml } from './toml.js';
+
+/**
+ * Python project manifests
+ *
+ * Dependencies are collected from every manifest a Python project may use:
+ *
+ *   pyproject.toml  [project] (PEP 621), [dependency-groups] (PEP 735),
+ *                   [tool.poetry] and [tool.pdm]
+ *   Pipfile         [packages] and [dev-packages]
+ *   setup.cfg       install_requires, tests_require and extras_require
+ *   setup.py        install_requires and tests_require lists
+ *   requirements*.txt, and any .txt file under requirements/
+ *
+ * Manifests are found at any depth, so services in subdirectories of a
+ * monorepo are covered like go.mod and Cargo.toml files are.
+ *
+ * Names are normalized as pip compares them (PEP 503): lowercase, with runs
+ * of "-", "_" and "." replaced by "-", so Django, django and DJANGO match.
+ */
+
+export const PYTHON_MANIFESTS = '**/{pyproject.toml,Pipfile,setup.cfg,setup.py,requirements*.txt,requirements/**/*.txt}';
+
+/**
+ * Normalizes a distribution name, e.g. "Flask_SQLAlchemy" → "flask-sqlalchemy"
+ */
+export function normalizeName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * Parses a PEP 508 requirement such as "requests[socks]>=2.31; python_version>'3.8'"
+ * into { name, specifier }. Returns null for comments, pip options (-r, -e,
+ * --index-url), URLs and local paths.
+ */
+export function parseRequirement(text) {
+  const requirement = text.replace(/(^|\s)#.*$/, '').trim();
+  if (!requirement || requirement.startsWith('-') || /^[a-z][a-z0-9+.-]*:\/\//i.test(requirement)) return null;
+
+  const match = requirement.match(/^([A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?)\s*(?:\[[^\]]*\])?\s*(.*)$/);
+  if (!match) return null;
+
+  // Environment markers and direct URLs are not part of the version
+  const specifier = match[2].split(';')[0].trim();
+  return {
+    name: normalizeName(match[1]),
+    specifier: specifier.startsWith('@') ? '' : specifier.replace(/^\(|\)$/g, '').trim()
+  };
+}
+
+/**
+ * Returns a pattern finding a dependency in any manifest, whatever its
+ * spelling, without matching longer names that contain it
+ */
+export function dependencyPattern(name) {
+  const spelled = normalizeName(name).split('-').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[-_.]+');
+  return new RegExp(`(?:^|[^A-Za-z0-9._-])${spelled}(?![A-Za-z0-9._-]*[A-Za-z0-9])`, 'i');
+}
+
+/**
+ * Requirement strings from a requirements file, with backslash line
+ * continuations joined
+ */
+function parseRequirementsFile(content) {
+  return content.replace(/\\\r?\n/g, ' ').split(/\r?\n/);
+}
+
+/**
+ * Poetry and Pipfile tables map names to a version string or a table with a
+ * version; "*" means any version
+ */
+function fromTable(table) {
+  return Object.entries(table ?? {})
+    .filter(([name]) => name !== 'python')
+    .map(([name, value]) => {
+      const version = typeof value === 'string' ? value : value?.version ?? '';
+      return `${name} ${version === '*' ? '' : version}`;
+    });
+}
+
+function fromLists(table) {
+  return Object.values(table ?? {}).flat().filter(item => typeof item === 'string');
+}
+
+function parsePyproject(content) {
+  const { project, tool, 'dependency-groups': groups } = parseToml(content);
+  const poetry = tool?.poetry;
+  return {
+    requirements: [
+      ...(project?.dependencies ?? []),
+      ...fromLists(project?.['optional-dependencies']),
+      ...fromLists(groups),
+      ...fromTable(poetry?.dependencies),
+      ...fromTable(poetry?.['dev-dependencies']),
+      ...Object.values(poetry?.group ?? {}).flatMap(group => fromTable(group.dependencies)),
+      ...fromLists(tool?.pdm?.['dev-dependencies'])
+    ],
+    packageManager: poetry ? 'Poetry' : tool?.pdm ? 'PDM' : tool?.uv ? 'uv' : null
+  };
+}
+
+function parsePipfile(content) {
+  const pipfile = parseToml(content);
+  return [...fromTable(pipfile.packages), ...fromTable(pipfile['dev-packages'])];
+}
+
+/**
+ * setup.cfg is an INI file; requirement lists are indented continuation
+ * lines of the install_requires, tests_require and extras_require options
+ */
+function parseSetupCfg(content) {
+  const requirements = [];
+  let section = null;
+  let key = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || /^\s*[#;]/.test(line)) continue;
+
+    const header = line.match(/^\[([^\]]+)\]/);
+    if (header) {
+      section = header[1].trim();
+      key = null;
+      continue;
+    }
+
+    let value = line.trim();
+    const entry = !/^\s/.test(line) && line.match(/^([^=:]+?)\s*[=:]\s*(.*)$/);
+    if (entry) [, key, value] = entry;
+
+    const isRequirementList = section === 'options.extras_require' ||
+      (section === 'options' && ['install_requires', 'tests_require'].includes(key));
+    if (isRequirementList && value) requirements.push(value);
+  }
+  return requirements;
+}
+
+/**
+ * setup.py is code; only string literals in install_requires=[...] and
+ * tests_require=[...] are read
+ */
+function parseSetupPy(content) {
+  const requirements = [];
+  const item = /\s*(?:#[^\n]*\s*)*(?:'([^']*)'|"([^"]*)")\s*,?/y;
+  for (const match of content.matchAll(/\b(?:install_requires|tests_require)\s*=\s*\[/g)) {
+    item.lastIndex = match.index + match[0].length;
+    let found;
+    while ((found = item.exec(content))) {
+      requirements.push(found[1] ?? found[2]);
+    }
+  }
+  return requirements;
+}
+
+/**
+ * Reads every Python manifest in the workspace, shallowest first.
+ *
+ * Resolves to null when there is none, or to
+ * { packageManager, manifests, dependencies } where `dependencies` maps
+ * normalized names to { specifier, file } for the first manifest declaring
+ * them. A manifest that cannot be parsed is skipped, and reported through
+ * the logger when one is given; the tech stack analyzer reports it once.
+ */
+export async function readPythonProject(files, logger) {
+  // A dependency declared at the root wins over the same one in a subproject
+  const depth = (file) => file.split('/').length;
+  const manifests = files.match(PYTHON_MANIFESTS).sort((a, b) => depth(a) - depth(b) || a.localeCompare(b));
+  if (manifests.length === 0) return null;
+
+  const dependencies = new Map();
+  let toolManager = null;
+
+  for (const file of manifests) {
+    const content = await files.read(file);
+    if (content === null) continue;
+
+    const name = path.posix.basename(file);
+    let requirements;
+    try {
+      if (name === 'pyproject.toml') {
+        const pyproject = parsePyproject(content);
+        requirements = pyproject.requirements;
+        toolManager ??= pyproject.packageManager;
+      } else if (name === 'Pipfile') {
+        requirements = parsePipfile(content);
+      } else if (name === 'setup.cfg') {
+        requirements = parseSetupCfg(content);
+      } else if (name === 'setup.py') {
+        requirements = parseSetupPy(content);
+      } else {
+        requirements = parseRequirementsFile(content);
+      }
+    } catch (error) {
+      logger?.error(`  ⚠️  Could not read ${file}: ${error.message}`);
+      continue;
+    }
+
+    for (const text of requirements) {
+      const requirement = parseRequirement(text);
+      if (requirement && !dependencies.has(requirement.name)) {
+        dependencies.set(requirement.name, { specifier: requirement.specifier, file });
+      }
+    }
+  }
+
+  // A lockfile is the surest sign of the tool in use
+  const has = (...names) => files.byBasename(...names).length > 0;
+  const packageManager =
+    (has('poetry.lock') && 'Poetry') ||
+    (has('Pipfile', 'Pipfile.lock') && 'Pipenv') ||
+    (has('pdm.lock') && 'PDM') ||
+    (has('uv.lock') && 'uv') ||
+    toolManager ||
+    'pip';
+
+  return { packageManager, manifests, dependencies };
+}
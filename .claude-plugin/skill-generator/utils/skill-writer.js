@@ -1,102 +1,367 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { extractKeepBlocks, mergeKeepBlocks, KEEP_START } from './keep-regions.js';
+import { guidelineText, guidelineEvidence } from './evidence.js';
+import { splitSkill, estimateTokens, DEFAULT_TOKEN_BUDGET } from './budget.js';
+import { stringifyYaml } from './yaml.js';
+import { templateFor } from './template.js';
+
+// Footer line written into every generated skill; used to recognise our own files
+export const GENERATED_MARKER = '*Generated by Skill Generator Plugin*';
+
+/**
+ * Output layouts:
+ *   flat      - <category>/<skill-name>.md
+ *   directory - <skill-name>/SKILL.md, the Agent Skills layout Claude loads
+ */
+export const LAYOUTS = ['flat', 'directory'];
+
+/**
+ * Resolves the directory skills are written to, honouring context.outputDir
+ */
+export function resolveSkillsDir(workspaceRoot, context) {
+  return context?.outputDir
+    ? path.resolve(workspaceRoot, context.outputDir)
+    : path.join(workspaceRoot, '.claude', 'skills');
+}
+
+/**
+ * Returns the path a skill is written to in the layout set by context.layout
+ */
+export function getSkillFilePath(skill, workspaceRoot, context) {
+  const skillsDir = resolveSkillsDir(workspaceRoot, context);
+  if (context?.layout === 'directory') {
+    return path.join(skillsDir, skill.name, 'SKILL.md');
+  }
+  return path.join(skillsDir, skill.category || 'general', `${skill.name}.md`);
+}
+
+/**
+ * Returns the path of one of a skill's reference files: in the skill's
+ * references/ directory, or in a directory named after the skill next to a
+ * flat skill file
+ */
+export function getReferenceFilePath(skill, name, workspaceRoot, context) {
+  const skillFilePath = getSkillFilePath(skill, workspaceRoot, context);
+  const referencesDir = context?.layout === 'directory' ? 'references' : skill.name;
+  return path.join(path.dirname(skillFilePath), referencesDir, `${name}.md`);
+}
+
+/**
+ * Returns the markdown link from one generated file to another
+ */
+function relativeLink(fromFile, toFile) {
+  return path.relative(path.dirname(fromFile), toFile).split(path.sep).join('/');
+}
+
+/**
+ * Carries the hand-edited keep blocks of the previous version of a file over
+ */
+export function mergeWithExisting(content, existingContent) {
+  if (!existingContent) return content;
+  return mergeKeepBlocks(content, extractKeepBlocks(existingContent, GENERATED_MARKER), GENERATED_MARKER);
+}
+
+/**
+ * Renders a skill in memory. A skill over the token budget (context.tokenBudget)
+ * is split into its main file and reference files.
+ * Resolves to [{ filePath, content, existing, label }], main file first, where
+ * `existing` is the current content on disk or null.
+ */
+export async function renderSkillFiles(skill, workspaceRoot, context) {
+  const budget = context?.tokenBudget ?? DEFAULT_TOKEN_BUDGET;
+  const layout = context?.layout ?? 'flat';
+  const skillFilePath = getSkillFilePath(skill, workspaceRoot, context);
+  const referenceLink = (name) =>
+    relativeLink(skillFilePath, getReferenceFilePath(skill, name, workspaceRoot, context));
+  const template = templateFor(context?.templates, skill);
+  const render = (candidate) => generateSkillMarkdown(candidate, { layout, referenceLink, template });
+
+  const { skill: main, references } = splitSkill(
+    skill,
+    budget,
+    candidate => estimateTokens(render(candidate))
+  );
+  
+  const parts = [
+    { filePath: skillFilePath, markdown: render(main), label: 'skill' },
+    ...references.map(reference => {
+      const filePath = getReferenceFilePath(skill, reference.name, workspaceRoot, context);
+      return {
+        filePath,
+        markdown: generateReferenceMarkdown(skill, reference, relativeLink(filePath, skillFilePath)),
+        label: 'reference'
+      };
+    })
+  ];
+  
+  const files = [];
+  for (const { filePath, markdown, label } of parts) {
+    const existing = await readExistingFile(filePath);
+    files.push({ filePath, content: mergeWithExisting(markdown, existing), existing, label });
+  }
+  return files;
+}
 
 /**
- * Saves a generated skill to the .claude/skills directory
+ * Reads the current content of a generated file, or null when it does not exist
  */
-export async function saveSkill(skill, workspaceRoot, context) {
+export async function readExistingFile(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (e) {
+    // Not generated yet
+    return null;
+  }
+}
+
+/**
+ * Removes the generated files of a directory and its subdirectories, such as
+ * a category directory with the reference files of split skills, then the
+ * directory itself once empty. Only files with the given extension are read.
+ */
+export async function cleanDirectory(dir, removed, logger, { extension = '.md' } = {}) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  
+  for (const entry of entries) {
+    const filePath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await cleanDirectory(filePath, removed, logger, { extension });
+      continue;
+    }
+    if (!entry.name.endsWith(extension)) continue;
+    
+    const content = await fs.readFile(filePath, 'utf-8');
+    if (content.includes(GENERATED_MARKER) && content.includes(KEEP_START)) {
+      logger.info(`  ↷ Kept skill with hand-edited blocks: ${filePath}`);
+    } else if (content.includes(GENERATED_MARKER)) {
+      await fs.unlink(filePath);
+      removed.push(filePath);
+      logger.info(`  ✓ Removed skill: ${filePath}`);
+    }
+  }
+  
+  // Drop the directory once it is empty
+  if ((await fs.readdir(dir)).length === 0) {
+    await fs.rmdir(dir);
+  }
+}
+
+/**
+ * Removes generated skill files from the skills directory.
+ * Only files carrying the generator footer are deleted, so hand-written
+ * skills living next to generated ones are left alone. Generated files
+ * with hand-edited keep blocks are kept as well.
+ */
+export async function cleanSkills(workspaceRoot, context) {
   const logger = context?.logger || {
     info: (msg) => console.log(msg),
     error: (msg) => console.error(msg)
   };
+  const skillsDir = resolveSkillsDir(workspaceRoot, context);
+  const removed = [];
   
+  let categories;
   try {
-    // Create .claude/skills directory if it doesn't exist
-    const skillsDir = path.join(workspaceRoot, '.claude', 'skills');
-    await fs.mkdir(skillsDir, { recursive: true });
-    
-    // Create category subdirectory
-    const categoryDir = path.join(skillsDir, skill.category || 'general');
-    await fs.mkdir(categoryDir, { recursive: true });
-    
-    // Generate skill file name
-    const skillFileName = `${skill.name}.md`;
-    const skillFilePath = path.join(categoryDir, skillFileName);
-    
-    // Generate skill content in markdown format
-    const skillContent = generateSkillMarkdown(skill);
-    
-    // Write skill file
-    await fs.writeFile(skillFilePath, skillContent, 'utf-8');
-    
-    logger.info(`  ✓ Saved skill: ${skillFilePath}`);
-    
-    return skillFilePath;
-  } catch (error) {
-    logger.error(`Error saving skill ${skill.name}: ${error.message}`);
-    throw error;
+    categories = await fs.readdir(skillsDir, { withFileTypes: true });
+  } catch (e) {
+    // Nothing generated yet
+    return removed;
+  }
+  
+  for (const category of categories.filter(entry => entry.isDirectory())) {
+    await cleanDirectory(path.join(skillsDir, category.name), removed, logger);
   }
+  
+  return removed;
 }
 
 /**
- * Generates markdown content for a skill in Agent Skills format
- * with YAML frontmatter
+ * Fences a code snippet, using a longer fence when the code contains one
  */
-function generateSkillMarkdown(skill) {
-  // YAML frontmatter
-  const frontmatter = {
+function formatCodeBlock(code, language) {
+  const longestRun = Math.max(2, ...(code.match(/`+/g) ?? []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}${language ?? ''}\n${code}\n${fence}`;
+}
+
+/**
+ * Formats a guideline's evidence as a note, e.g.
+ * `react/use-state` (high confidence): src/App.tsx:3, src/Form.tsx:12
+ */
+function formatEvidence({ rule, confidence, files }) {
+  const locations = files.map(f => (f.line ? `${f.path}:${f.line}` : f.path));
+  return `\`${rule}\` (${confidence} confidence)${locations.length > 0 ? `: ${locations.join(', ')}` : ''}`;
+}
+
+/**
+ * Numbers the evidence of a skill's guidelines: one note per detection rule,
+ * shared by the guidelines it triggered.
+ * Returns { guidelines: [{ text, evidence, note }], notes: [{ number, evidence }] }.
+ */
+function numberEvidence(guidelines) {
+  const footnotes = new Map();
+  const numbered = guidelines.map(guideline => {
+    const evidence = guidelineEvidence(guideline);
+    if (evidence && !footnotes.has(evidence.rule)) {
+      footnotes.set(evidence.rule, { number: footnotes.size + 1, evidence });
+    }
+    return { text: guidelineText(guideline), evidence, note: evidence ? footnotes.get(evidence.rule).number : null };
+  });
+  return { guidelines: numbered, notes: [...footnotes.values()] };
+}
+
+/**
+ * Renders the guidelines, examples, reference links and evidence of a skill
+ */
+function renderSections(skill, referenceLink) {
+  let content = '';
+  
+  if (skill.guidelines.length > 0) {
+    content += `## Guidelines\n\n`;
+  }
+  
+  const { guidelines, notes } = numberEvidence(skill.guidelines);
+  for (const { text, note } of guidelines) {
+    content += `- ${text}${note ? ` [${note}]` : ''}\n`;
+  }
+  
+  if (skill.examples?.length > 0) {
+    content += `${content ? '\n' : ''}## Examples from Codebase\n`;
+    for (const example of skill.examples) {
+      content += `\n### ${example.title}\n\n`;
+      content += `From \`${example.file}:${example.line}\`:\n\n`;
+      content += `${formatCodeBlock(example.code, example.language)}\n`;
+    }
+  }
+  
+  if (skill.references?.length > 0) {
+    content += `\n## Reference Files\n\n`;
+    content += `Read these when the guidelines above do not cover the task:\n\n`;
+    for (const reference of skill.references) {
+      content += `- [${reference.title}](${referenceLink(reference.name)})\n`;
+    }
+  }
+  
+  if (notes.length > 0) {
+    content += `\n## Why This Applies\n\n`;
+    for (const { number, evidence } of notes) {
+      content += `${number}. ${formatEvidence(evidence)}\n`;
+    }
+  }
+  
+  return content;
+}
+
+/**
+ * Generates markdown for a reference file split off an over-budget skill.
+ * `skillLink` is the link back to the skill's main file.
+ */
+function generateReferenceMarkdown(skill, reference, skillLink) {
+  let content = `# ${skill.displayName}: ${reference.title}\n\n`;
+  content += `Additional guidance for [${skill.displayName}](${skillLink}).\n\n`;
+  content += renderSections(reference);
+  content += `\n---\n\n`;
+  content += `${GENERATED_MARKER}\n`;
+  return content;
+}
+
+/**
+ * Builds the frontmatter of a skill. The directory layout only uses the keys
+ * the Agent Skills format defines and keeps the rest under `metadata`.
+ */
+function buildFrontmatter(skill, layout) {
+  const extra = {
+    displayName: skill.displayName,
+    category: skill.category || 'general',
+    ...(skill.techStack && skill.techStack.length > 0 && { techStack: skill.techStack })
+  };
+  
+  if (layout === 'directory') {
+    return {
+      name: skill.name,
+      description: skill.description || '',
+      metadata: { ...extra, ...skill.metadata }
+    };
+  }
+  
+  return {
+    name: skill.name,
+    displayName: extra.displayName,
+    description: skill.description || '',
+    category: extra.category,
+    ...(extra.techStack && { techStack: extra.techStack }),
+    ...(skill.metadata && { metadata: skill.metadata })
+  };
+}
+
+/**
+ * Builds the values a template can use for a skill
+ */
+function buildTemplateView(skill, referenceLink) {
+  const { guidelines, notes } = numberEvidence(skill.guidelines);
+  return {
     name: skill.name,
     displayName: skill.displayName,
     description: skill.description || '',
     category: skill.category || 'general',
-    ...(skill.techStack && skill.techStack.length > 0 && { techStack: skill.techStack }),
-    ...(skill.metadata && { metadata: skill.metadata })
+    techStack: skill.techStack ?? [],
+    metadata: skill.metadata ?? {},
+    guidelines,
+    evidence: notes.map(({ number, evidence }) => ({
+      number,
+      ...evidence,
+      files: evidence.files.map(f => ({ ...f, location: f.line ? `${f.path}:${f.line}` : f.path })),
+      summary: formatEvidence(evidence)
+    })),
+    examples: (skill.examples ?? []).map(example => ({
+      ...example,
+      codeBlock: formatCodeBlock(example.code, example.language)
+    })),
+    references: (skill.references ?? []).map(reference => ({
+      ...reference,
+      link: referenceLink(reference.name)
+    })),
+    sections: renderSections(skill, referenceLink),
+    generatedMarker: GENERATED_MARKER
   };
-  
-  // Convert frontmatter to YAML string
-  let yaml = '---\n';
-  for (const [key, value] of Object.entries(frontmatter)) {
-    if (value !== undefined && value !== null) {
-      if (Array.isArray(value)) {
-        yaml += `${key}:\n`;
-        for (const item of value) {
-          yaml += `  - ${item}\n`;
-        }
-      } else if (typeof value === 'object') {
-        yaml += `${key}:\n`;
-        for (const [subKey, subValue] of Object.entries(value)) {
-          if (Array.isArray(subValue)) {
-            yaml += `  ${subKey}:\n`;
-            for (const item of subValue) {
-              yaml += `    - ${item}\n`;
-            }
-          } else {
-            yaml += `  ${subKey}: ${subValue}\n`;
-          }
-        }
-      } else {
-        yaml += `${key}: ${value}\n`;
-      }
-    }
+}
+
+/**
+ * Generates the markdown of a skill below its frontmatter: title,
+ * description, sections and the generator footer. With a template, the
+ * template renders the body instead.
+ */
+export function generateSkillBody(skill, { referenceLink, template = null } = {}) {
+  if (template) {
+    const content = template(buildTemplateView(skill, referenceLink)).trimEnd();
+    // The footer marks the file as generated for clean and prune; keep it when the template drops it
+    return content.includes(GENERATED_MARKER)
+      ? `${content}\n`
+      : `${content}\n\n<!-- ${GENERATED_MARKER} -->\n`;
   }
-  yaml += '---\n\n';
   
-  // Markdown content
-  let content = yaml;
-  content += `# ${skill.displayName}\n\n`;
+  let content = `# ${skill.displayName}\n\n`;
   
   if (skill.description) {
     content += `${skill.description}\n\n`;
   }
   
-  content += `## Guidelines\n\n`;
-  
-  for (const guideline of skill.guidelines) {
-    content += `- ${guideline}\n`;
-  }
+  content += renderSections(skill, referenceLink);
   
   content += `\n---\n\n`;
-  content += `*Generated by Skill Generator Plugin*\n`;
+  content += `${GENERATED_MARKER}\n`;
   
   return content;
 }
+
+/**
+ * Generates markdown content for a skill in Agent Skills format
+ * with YAML frontmatter
+ */
+function generateSkillMarkdown(skill, { layout, referenceLink, template }) {
+  // YAML frontmatter
+  const frontmatter = buildFrontmatter(skill, layout);
+  
+  return `---\n${stringifyYaml(frontmatter)}---\n\n${generateSkillBody(skill, { referenceLink, template })}`;
+}
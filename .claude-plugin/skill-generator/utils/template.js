@@ -0,0 +1,189 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ConfigError } from './errors.js';
+
+/**
+ * Skill templates
+ *
+ * A template replaces the built-in markdown body of a skill (everything
+ * below the frontmatter, which is always generated). Templates live in
+ * .claude/skill-generator/templates/ (or the configured templatesDir):
+ *
+ *   <category>.md  - used for the skills of that category, e.g. react.md
+ *   skill.md       - used for every other skill
+ *
+ * They use a Mustache subset:
+ *
+ *   {{name}} {{metadata.framework}}    values; lists are joined with ", "
+ *   {{#guidelines}}- {{text}}{{/guidelines}}   repeat for each item, or render once when truthy
+ *   {{^examples}}No examples{{/examples}}      render when missing, false or empty
+ *   {{.}}                               the current item
+ *   {{! comment }}
+ *
+ * Values are inserted as-is, without HTML escaping. Section tags standing
+ * alone on a line leave no blank line behind.
+ */
+
+export const WORKSPACE_TEMPLATES_DIR = path.join('.claude', 'skill-generator', 'templates');
+
+// Template used when a skill's category has none of its own
+export const GLOBAL_TEMPLATE = 'skill';
+
+const TAG = /\{\{\s*([#^/!]?)\s*([\s\S]*?)\s*\}\}/g;
+
+/**
+ * Splits a template into text and tag tokens. Section, inverted, closing and
+ * comment tags alone on their line swallow the line's whitespace and break.
+ */
+function tokenize(source) {
+  const tokens = [];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const [raw, type, name] = match;
+    let start = match.index;
+    let end = start + raw.length;
+
+    if (type) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const lineEnd = source.indexOf('\n', end);
+      const before = source.slice(lineStart, start);
+      const after = source.slice(end, lineEnd === -1 ? source.length : lineEnd);
+      if (!before.trim() && !after.trim() && lineStart >= last) {
+        start = lineStart;
+        end = lineEnd === -1 ? source.length : lineEnd + 1;
+      }
+    }
+
+    if (start > last) tokens.push({ type: 'text', value: source.slice(last, start) });
+    tokens.push({ type: type || 'name', name, offset: match.index });
+    last = end;
+  }
+
+  if (last < source.length) tokens.push({ type: 'text', value: source.slice(last) });
+  return tokens;
+}
+
+/**
+ * Nests the tokens of sections inside their opening token
+ */
+function buildTree(tokens, fail) {
+  const root = [];
+  const stack = [{ children: root }];
+
+  for (const token of tokens) {
+    if (token.type === '!') continue;
+    if (token.type === '#' || token.type === '^') {
+      const section = { ...token, children: [] };
+      stack[stack.length - 1].children.push(section);
+      stack.push(section);
+    } else if (token.type === '/') {
+      const open = stack.pop();
+      if (stack.length === 0 || open.name !== token.name) {
+        fail(`unexpected {{/${token.name}}}${open.name ? `, expected {{/${open.name}}}` : ''}`);
+      }
+    } else {
+      stack[stack.length - 1].children.push(token);
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  return root;
+}
+
+/**
+ * Looks a dotted name up through the context stack, innermost first
+ */
+function lookup(stack, name) {
+  if (name === '.') return stack[stack.length - 1];
+
+  const [head, ...rest] = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const scope = stack[i];
+    if (scope !== null && typeof scope === 'object' && head in scope) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+    }
+  }
+  return undefined;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === false || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function renderTree(nodes, stack) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      out += node.value;
+    } else if (node.type === 'name') {
+      out += formatValue(lookup(stack, node.name));
+    } else if (node.type === '#') {
+      const value = lookup(stack, node.name);
+      if (isEmpty(value)) continue;
+      const items = Array.isArray(value) ? value : [value];
+      for (const item of items) {
+        out += renderTree(node.children, [...stack, item]);
+      }
+    } else if (node.type === '^') {
+      if (isEmpty(lookup(stack, node.name))) out += renderTree(node.children, stack);
+    }
+  }
+  return out;
+}
+
+/**
+ * Compiles a template into a function rendering a view object.
+ * Throws a ConfigError naming the template for unbalanced sections.
+ */
+export function compileTemplate(source, templatePath = null) {
+  const fail = (message) => { throw new ConfigError(`invalid template: ${message}`, templatePath); };
+  const tree = buildTree(tokenize(source), fail);
+  return (view) => renderTree(tree, [view]);
+}
+
+/**
+ * Loads and compiles the templates of a workspace.
+ * Resolves to a Map of template name (category or 'skill') to render function;
+ * empty when the workspace has no templates.
+ */
+export async function loadTemplates(workspaceRoot, { templatesDir = null } = {}) {
+  const dir = path.resolve(workspaceRoot, templatesDir ?? WORKSPACE_TEMPLATES_DIR);
+  const templates = new Map();
+
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw new ConfigError(`could not read templates directory: ${e.message}`, dir, { cause: e });
+    }
+    // A configured directory must exist; the default one is optional
+    if (templatesDir) throw new ConfigError('templates directory not found', dir);
+    return templates;
+  }
+
+  for (const entry of entries.filter(e => e.endsWith('.md')).sort()) {
+    const templatePath = path.join(dir, entry);
+    const source = await fs.readFile(templatePath, 'utf-8');
+    templates.set(path.basename(entry, '.md'), compileTemplate(source, templatePath));
+  }
+  return templates;
+}
+
+/**
+ * Returns the template for a skill: its category's, else the global one, else null
+ */
+export function templateFor(templates, skill) {
+  return templates?.get(skill.category || 'general') ?? templates?.get(GLOBAL_TEMPLATE) ?? null;
+}
@@ -0,0 +1,252 @@
+/**
+ * TOML for project manifests
+ *
+ * A parser for the TOML in pyproject.toml, Pipfile and Cargo.toml: tables,
+ * arrays of tables, dotted and quoted keys, basic and literal strings
+ * (multi-line too), integers, floats, booleans, arrays and inline tables.
+ * Dates and times are returned as strings. It reads valid documents; it does
+ * not reject every invalid one.
+ */
+
+const BARE_KEY = /[A-Za-z0-9_-]+/y;
+const SCALAR = /[^\s,\]}#]+/y;
+const LINE_ENDING_BACKSLASH = /\\[ \t]*\n\s*/y;
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+
+function isTable(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parses a TOML document into plain objects.
+ * Throws a SyntaxError naming the line for input it cannot read.
+ */
+export function parseToml(text) {
+  const source = text.replace(/\r\n/g, '\n');
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new SyntaxError(`TOML line ${source.slice(0, pos).split('\n').length}: ${message}`);
+  };
+  const peek = () => source[pos];
+  const startsWith = (token) => source.startsWith(token, pos);
+
+  function skipSpace() {
+    while (peek() === ' ' || peek() === '\t') pos++;
+  }
+
+  function skipComment() {
+    if (peek() !== '#') return;
+    while (pos < source.length && peek() !== '\n') pos++;
+  }
+
+  // Whitespace, comments and line breaks, as allowed between array items
+  function skipBlank() {
+    for (;;) {
+      skipSpace();
+      skipComment();
+      if (peek() !== '\n') return;
+      pos++;
+    }
+  }
+
+  function endOfLine() {
+    skipSpace();
+    skipComment();
+    if (pos < source.length && peek() !== '\n') fail(`unexpected "${peek()}"`);
+    pos++;
+  }
+
+  function parseEscape() {
+    const code = source[pos + 1];
+    if (code in ESCAPES) {
+      pos += 2;
+      return ESCAPES[code];
+    }
+    if (code === 'u' || code === 'U') {
+      const length = code === 'u' ? 4 : 8;
+      const hex = source.slice(pos + 2, pos + 2 + length);
+      if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) fail('invalid unicode escape');
+      pos += 2 + length;
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    return fail(`invalid escape \\${code ?? ''}`);
+  }
+
+  function parseMultilineString(delimiter) {
+    const basic = delimiter === '"""';
+    pos += 3;
+    // A line break right after the opening delimiter is trimmed
+    if (peek() === '\n') pos++;
+    let value = '';
+    while (!startsWith(delimiter)) {
+      if (pos >= source.length) fail('unterminated string');
+      if (basic && peek() === '\\') {
+        LINE_ENDING_BACKSLASH.lastIndex = pos;
+        if (LINE_ENDING_BACKSLASH.test(source)) {
+          pos = LINE_ENDING_BACKSLASH.lastIndex;
+        } else {
+          value += parseEscape();
+        }
+      } else {
+        value += source[pos++];
+      }
+    }
+    pos += 3;
+    return value;
+  }
+
+  function parseString() {
+    if (startsWith('"""') || startsWith("'''")) return parseMultilineString(source.slice(pos, pos + 3));
+    const quote = peek();
+    pos++;
+    let value = '';
+    while (peek() !== quote) {
+      if (pos >= source.length || peek() === '\n') fail('unterminated string');
+      value += quote === '"' && peek() === '\\' ? parseEscape() : source[pos++];
+    }
+    pos++;
+    return value;
+  }
+
+  function parseKey() {
+    const parts = [];
+    for (;;) {
+      skipSpace();
+      if (peek() === '"' || peek() === "'") {
+        parts.push(parseString());
+      } else {
+        BARE_KEY.lastIndex = pos;
+        const match = BARE_KEY.exec(source);
+        if (!match) fail('expected a key');
+        parts.push(match[0]);
+        pos += match[0].length;
+      }
+      skipSpace();
+      if (peek() !== '.') return parts;
+      pos++;
+    }
+  }
+
+  function parseScalar(token) {
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (/^[+-]?inf$/.test(token)) return token.startsWith('-') ? -Infinity : Infinity;
+    if (/^[+-]?nan$/.test(token)) return NaN;
+    const number = token.replace(/_/g, '');
+    if (/^[+-]?(?:\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)$/.test(number) || /^0(?:x[0-9a-fA-F]+|o[0-7]+|b[01]+)$/.test(number)) {
+      return Number(number);
+    }
+    // Dates and times stay strings
+    if (/^\d{4}-\d{2}-\d{2}|^\d{2}:\d{2}/.test(token)) return token;
+    return fail(`invalid value ${token}`);
+  }
+
+  function parseArray() {
+    pos++;
+    const items = [];
+    for (;;) {
+      skipBlank();
+      if (peek() === ']') break;
+      items.push(parseValue());
+      skipBlank();
+      if (peek() === ',') {
+        pos++;
+      } else if (peek() !== ']') {
+        fail('expected "," or "]" in array');
+      }
+    }
+    pos++;
+    return items;
+  }
+
+  function parseInlineTable() {
+    pos++;
+    const table = {};
+    for (;;) {
+      skipBlank();
+      if (peek() === '}') break;
+      const key = parseKey();
+      if (peek() !== '=') fail('expected "=" after key');
+      pos++;
+      skipSpace();
+      assign(table, key, parseValue());
+      skipBlank();
+      if (peek() === ',') {
+        pos++;
+      } else if (peek() !== '}') {
+        fail('expected "," or "}" in inline table');
+      }
+    }
+    pos++;
+    return table;
+  }
+
+  function parseValue() {
+    const char = peek();
+    if (char === '"' || char === "'") return parseString();
+    if (char === '[') return parseArray();
+    if (char === '{') return parseInlineTable();
+    SCALAR.lastIndex = pos;
+    const match = SCALAR.exec(source);
+    if (!match) fail('expected a value');
+    pos += match[0].length;
+    return parseScalar(match[0]);
+  }
+
+  // Walks to the table at a dotted key, creating missing tables; arrays of
+  // tables resolve to their last element
+  function descend(table, keys) {
+    let current = table;
+    for (const key of keys) {
+      current[key] ??= {};
+      const next = Array.isArray(current[key]) ? current[key][current[key].length - 1] : current[key];
+      if (!isTable(next)) fail(`"${key}" is not a table`);
+      current = next;
+    }
+    return current;
+  }
+
+  function assign(table, keys, value) {
+    const parent = descend(table, keys.slice(0, -1));
+    const last = keys[keys.length - 1];
+    if (Object.hasOwn(parent, last)) fail(`duplicate key "${keys.join('.')}"`);
+    parent[last] = value;
+  }
+
+  const root = {};
+  let current = root;
+
+  for (;;) {
+    skipBlank();
+    if (pos >= source.length) break;
+
+    if (startsWith('[[')) {
+      pos += 2;
+      const key = parseKey();
+      if (!startsWith(']]')) fail('expected "]]"');
+      pos += 2;
+      const parent = descend(root, key.slice(0, -1));
+      const last = key[key.length - 1];
+      parent[last] ??= [];
+      if (!Array.isArray(parent[last])) fail(`"${key.join('.')}" is not an array of tables`);
+      current = {};
+      parent[last].push(current);
+    } else if (peek() === '[') {
+      pos++;
+      const key = parseKey();
+      if (peek() !== ']') fail('expected "]"');
+      pos++;
+      current = descend(root, key);
+    } else {
+      const key = parseKey();
+      if (peek() !== '=') fail('expected "=" after key');
+      pos++;
+      skipSpace();
+      assign(current, key, parseValue());
+    }
+    endOfLine();
+  }
+
+  return root;
+}
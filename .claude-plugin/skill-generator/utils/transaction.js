@@ -0,0 +1,328 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { WriteError } from './errors.js';
+
+/**
+ * All-or-nothing output
+ *
+ * A run's writes and removals are collected first and applied together:
+ *
+ *   1. every new file is written to a staging directory, so a failure while
+ *      rendering or writing leaves the workspace untouched;
+ *   2. the files about to be replaced or removed are copied to a timestamped
+ *      backup in .claude/skill-generator/backups/;
+ *   3. the staged files are renamed into place. If that fails halfway, the
+ *      files already swapped are restored from the backup.
+ *
+ * A journal records which step a commit is at, so a run killed halfway is
+ * undone by recoverTransaction on the next start.
+ *
+ * The `rollback` command restores the newest backup, undoing the last run.
+ */
+
+export const BACKUPS_DIR = path.join('.claude', 'skill-generator', 'backups');
+const STAGING_PREFIX = path.join('.claude', 'skill-generator', '.staging-');
+
+// Backups kept; older ones are deleted after each run
+export const MAX_BACKUPS = 5;
+
+const BACKUP_INDEX = 'backup.json';
+
+const JOURNAL = path.join('.claude', 'skill-generator', 'transaction.json');
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (e) {
+    // Does not exist
+    return null;
+  }
+}
+
+/**
+ * Records the step of the commit in progress. Written to a temporary file and
+ * renamed, so the journal is never seen half-written.
+ */
+async function writeJournal(workspaceRoot, state, backupDir) {
+  const journalPath = path.join(workspaceRoot, JOURNAL);
+  await fs.writeFile(`${journalPath}.tmp`, `${JSON.stringify({ state, backup: path.relative(workspaceRoot, backupDir) })}\n`, 'utf-8');
+  await fs.rename(`${journalPath}.tmp`, journalPath);
+}
+
+async function removeJournal(workspaceRoot) {
+  await fs.rm(path.join(workspaceRoot, JOURNAL), { force: true });
+}
+
+/**
+ * Moves a file into place. A rename replaces the target atomically; across
+ * file systems (an output directory on another mount) it falls back to a copy.
+ */
+async function moveFile(from, to) {
+  await fs.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+/**
+ * Removes a directory and its parents up to `stopAt` while they are empty
+ */
+async function removeEmptyDirs(dir, stopAt) {
+  for (let current = dir; current.startsWith(stopAt) && current !== stopAt; current = path.dirname(current)) {
+    try {
+      if ((await fs.readdir(current)).length > 0) return;
+      await fs.rmdir(current);
+    } catch (e) {
+      // Gone already, or not ours to remove
+      return;
+    }
+  }
+}
+
+/**
+ * Deletes all but the newest MAX_BACKUPS backups
+ */
+async function pruneBackups(workspaceRoot) {
+  const backups = await listBackups(workspaceRoot);
+  for (const name of backups.slice(0, Math.max(0, backups.length - MAX_BACKUPS))) {
+    await fs.rm(path.join(workspaceRoot, BACKUPS_DIR, name), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Lists the backup directory names, oldest first
+ */
+export async function listBackups(workspaceRoot) {
+  try {
+    const entries = await fs.readdir(path.join(workspaceRoot, BACKUPS_DIR), { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+  } catch (e) {
+    // No backups yet
+    return [];
+  }
+}
+
+/**
+ * Writes files through a staging directory without backing them up
+ */
+async function writeWithoutBackup(workspaceRoot, entries) {
+  await fs.mkdir(path.dirname(path.join(workspaceRoot, STAGING_PREFIX)), { recursive: true });
+  const stagingDir = await fs.mkdtemp(path.join(workspaceRoot, STAGING_PREFIX));
+  let current = null;
+  try {
+    for (const [i, entry] of entries.entries()) {
+      current = entry.filePath;
+      const stagedPath = path.join(stagingDir, String(i));
+      await fs.writeFile(stagedPath, entry.content, 'utf-8');
+      await moveFile(stagedPath, entry.filePath);
+    }
+  } catch (error) {
+    throw new WriteError(`could not write generated files: ${error.message}`, current, { cause: error });
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Starts collecting the writes and removals of one run
+ */
+export function createTransaction(workspaceRoot) {
+  // Absolute path → { content, metadata }, content null to remove the file
+  const changes = new Map();
+
+  /**
+   * Puts every change in place, backing up what it replaces.
+   * Resolves to the backup directory, or null when nothing changed.
+   */
+  async function commit() {
+    // Files that would not change are left out, and so is their backup
+    const entries = [];
+    for (const [filePath, { content, metadata }] of changes) {
+      const previous = await readIfExists(filePath);
+      if (content === null ? previous === null : previous?.toString('utf-8') === content) continue;
+      entries.push({ filePath, content, metadata, previous, relativePath: path.relative(workspaceRoot, filePath) });
+    }
+    if (entries.length === 0) return null;
+    // The run report changes on every run; a backup of it alone would only
+    // push an older backup of real changes out
+    if (entries.every(entry => entry.metadata)) {
+      await writeWithoutBackup(workspaceRoot, entries);
+      return null;
+    }
+
+    await fs.mkdir(path.dirname(path.join(workspaceRoot, STAGING_PREFIX)), { recursive: true });
+    const stagingDir = await fs.mkdtemp(path.join(workspaceRoot, STAGING_PREFIX));
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupDir = path.join(workspaceRoot, BACKUPS_DIR, stamp);
+
+    try {
+      await writeJournal(workspaceRoot, 'staging', backupDir);
+
+      // 1. Stage
+      for (const [i, entry] of entries.entries()) {
+        entry.stagedPath = path.join(stagingDir, String(i));
+        if (entry.content !== null) await fs.writeFile(entry.stagedPath, entry.content, 'utf-8');
+      }
+
+      // 2. Back up whatever is about to change
+      // Copies are numbered: an output directory outside the workspace has
+      // relative paths starting with ../ that would escape the backup
+      const index = [];
+      await fs.mkdir(path.join(backupDir, 'files'), { recursive: true });
+      for (const [i, entry] of entries.entries()) {
+        const { previous } = entry;
+        entry.existed = previous !== null;
+        entry.backup = entry.existed ? `files/${i}` : null;
+        if (entry.existed) await fs.writeFile(path.join(backupDir, entry.backup), previous);
+        index.push({ path: entry.relativePath.split(path.sep).join('/'), existed: entry.existed, backup: entry.backup });
+      }
+      await fs.writeFile(
+        path.join(backupDir, BACKUP_INDEX),
+        `${JSON.stringify({ createdAt: new Date().toISOString(), files: index }, null, 2)}\n`,
+        'utf-8'
+      );
+      await writeJournal(workspaceRoot, 'swapping', backupDir);
+    } catch (error) {
+      await fs.rm(stagingDir, { recursive: true, force: true });
+      await fs.rm(backupDir, { recursive: true, force: true });
+      await removeJournal(workspaceRoot);
+      throw new WriteError(`could not stage generated files: ${error.message}`, stagingDir, { cause: error });
+    }
+
+    // 3. Swap in
+    const applied = [];
+    try {
+      for (const entry of entries) {
+        if (entry.content === null) {
+          await fs.rm(entry.filePath, { force: true });
+          await removeEmptyDirs(path.dirname(entry.filePath), workspaceRoot);
+        } else {
+          await moveFile(entry.stagedPath, entry.filePath);
+        }
+        applied.push(entry);
+      }
+      // Done: from here on an interrupted run must not be undone
+      await removeJournal(workspaceRoot);
+    } catch (error) {
+      await restoreFiles(workspaceRoot, backupDir, applied.map(entry => ({
+        path: entry.relativePath,
+        existed: entry.existed,
+        backup: entry.backup
+      })));
+      await fs.rm(backupDir, { recursive: true, force: true });
+      await removeJournal(workspaceRoot);
+      throw new WriteError(`could not write generated files, previous files restored: ${error.message}`, applied.at(-1)?.filePath ?? null, { cause: error });
+    } finally {
+      await fs.rm(stagingDir, { recursive: true, force: true });
+    }
+
+    await pruneBackups(workspaceRoot);
+    return backupDir;
+  }
+
+  return {
+    /**
+     * Pass { metadata: true } for bookkeeping such as the manifest: it is
+     * backed up with the other changes, but never on its own
+     */
+    write(filePath, content, { metadata = false } = {}) {
+      changes.set(path.resolve(filePath), { content, metadata });
+    },
+
+    remove(filePath) {
+      changes.set(path.resolve(filePath), { content: null, metadata: false });
+    },
+
+    commit
+  };
+}
+
+/**
+ * Puts the backed up version of each file back, deleting files that did not
+ * exist before
+ */
+async function restoreFiles(workspaceRoot, backupDir, files) {
+  for (const file of files) {
+    const filePath = path.join(workspaceRoot, file.path);
+    if (file.existed) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.copyFile(path.join(backupDir, file.backup), filePath);
+    } else {
+      await fs.rm(filePath, { force: true });
+      await removeEmptyDirs(path.dirname(filePath), workspaceRoot);
+    }
+  }
+}
+
+/**
+ * Restores the newest backup and deletes it, so repeated rollbacks step back
+ * one run at a time. Resolves to { backup, files } or null when there is no
+ * backup.
+ */
+export async function rollbackLatest(workspaceRoot) {
+  const backups = await listBackups(workspaceRoot);
+  if (backups.length === 0) return null;
+
+  const name = backups[backups.length - 1];
+  const backupDir = path.join(workspaceRoot, BACKUPS_DIR, name);
+  let files;
+  try {
+    ({ files } = JSON.parse(await fs.readFile(path.join(backupDir, BACKUP_INDEX), 'utf-8')));
+    await restoreFiles(workspaceRoot, backupDir, files);
+  } catch (error) {
+    throw new WriteError(`could not restore backup ${name}: ${error.message}`, backupDir, { cause: error });
+  }
+  await fs.rm(backupDir, { recursive: true, force: true });
+
+  return { backup: name, files };
+}
+
+/**
+ * Cleans up after a commit that was interrupted, e.g. by a killed process.
+ * Files a run had already swapped in are put back from its backup, and the
+ * backup is dropped; leftover staging directories are removed.
+ * Resolves to { backup, files } of the undone run, or null when no run was
+ * interrupted while swapping.
+ */
+export async function recoverTransaction(workspaceRoot) {
+  let journal = null;
+  try {
+    journal = JSON.parse(await fs.readFile(path.join(workspaceRoot, JOURNAL), 'utf-8'));
+  } catch (e) {
+    // No commit in progress
+  }
+
+  let recovered = null;
+  if (journal) {
+    const backupDir = path.join(workspaceRoot, journal.backup);
+    // Before swapping, nothing in the workspace had changed yet
+    if (journal.state === 'swapping') {
+      try {
+        const { files } = JSON.parse(await fs.readFile(path.join(backupDir, BACKUP_INDEX), 'utf-8'));
+        await restoreFiles(workspaceRoot, backupDir, files);
+        recovered = { backup: path.basename(backupDir), files };
+      } catch (error) {
+        throw new WriteError(`could not undo the interrupted run from backup ${path.basename(backupDir)}: ${error.message}`, backupDir, { cause: error });
+      }
+    }
+    await fs.rm(backupDir, { recursive: true, force: true });
+    await removeJournal(workspaceRoot);
+  }
+
+  const stagingParent = path.dirname(path.join(workspaceRoot, STAGING_PREFIX));
+  let leftovers = [];
+  try {
+    leftovers = (await fs.readdir(stagingParent)).filter(name => name.startsWith(path.basename(STAGING_PREFIX)));
+  } catch (e) {
+    // Nothing generated yet
+  }
+  for (const name of leftovers) {
+    await fs.rm(path.join(stagingParent, name), { recursive: true, force: true });
+  }
+
+  return recovered;
+}
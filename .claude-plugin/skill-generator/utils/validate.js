@@ -0,0 +1,82 @@
+import { SkillValidationError } from './errors.js';
+
+/**
+ * Agent Skills frontmatter rules
+ *
+ * Claude only loads a skill whose `name` is 1-64 lowercase letters, digits
+ * and single hyphens, and whose `description` is a non-empty text of at most
+ * 1024 characters. Skills breaking these rules are skipped silently by the
+ * loader, so they are rejected here before anything is written.
+ */
+
+export const MAX_NAME_LENGTH = 64;
+export const MAX_DESCRIPTION_LENGTH = 1024;
+
+const NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const RESERVED_WORDS = ['anthropic', 'claude'];
+
+/**
+ * Lists what is wrong with a skill's name and description, as
+ * [{ skill, field, message }]; empty when the skill is valid
+ */
+export function validateSkill(skill) {
+  const problems = [];
+  const problem = (field, message) => problems.push({ skill: skill.name ?? '(unnamed)', field, message });
+  const { name, description } = skill;
+
+  if (typeof name !== 'string' || name.length === 0) {
+    problem('name', 'is missing');
+  } else {
+    if (name.length > MAX_NAME_LENGTH) {
+      problem('name', `is ${name.length} characters long, the limit is ${MAX_NAME_LENGTH}`);
+    }
+    if (!NAME_PATTERN.test(name)) {
+      problem('name', 'may only contain lowercase letters, digits and single hyphens, and must not start or end with a hyphen');
+    }
+    const reserved = RESERVED_WORDS.find(word => name.toLowerCase().includes(word));
+    if (reserved) {
+      problem('name', `must not contain the reserved word "${reserved}"`);
+    }
+  }
+
+  if (typeof description !== 'string' || description.trim().length === 0) {
+    problem('description', 'is missing');
+  } else {
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      problem('description', `is ${description.length} characters long, the limit is ${MAX_DESCRIPTION_LENGTH}`);
+    }
+    if (/<\/?[a-z][^>]*>/i.test(description)) {
+      problem('description', 'must not contain XML tags');
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Checks every skill and throws a SkillValidationError listing all problems
+ * when any skill is invalid. Two skills written to the same file would
+ * overwrite each other and are rejected too; `outputPath` maps a skill to its
+ * file, by default its name. In the flat layout skills of different
+ * categories may share a name.
+ */
+export function validateSkills(skills, outputPath = (skill) => skill.name) {
+  const problems = skills.flatMap(validateSkill);
+
+  const seen = new Set();
+  for (const skill of skills) {
+    const target = outputPath(skill);
+    if (seen.has(target)) {
+      problems.push({ skill: skill.name, field: 'name', message: 'is used by another skill written to the same file' });
+    }
+    seen.add(target);
+  }
+
+  if (problems.length > 0) {
+    const lines = problems.map(p => `  - ${p.skill}: ${p.field} ${p.message}`);
+    throw new SkillValidationError(
+      `${problems.length} problem(s) in generated skills; Claude would not load them:\n${lines.join('\n')}`,
+      problems
+    );
+  }
+}
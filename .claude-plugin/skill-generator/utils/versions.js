@@ -0,0 +1,61 @@
+/**
+ * Package versions
+ *
+ * The tech stack records the version of key packages as
+ *
+ *   versions: { react: { version: '18.2.0', major: 18, source: 'package-lock.json' } }
+ *
+ * where `source` is the lockfile the version was resolved from, or
+ * package.json when only the declared range was available (its lowest version).
+ */
+
+/**
+ * Parses a version into [major, minor, patch], or null when it does not start
+ * with a number. Missing or wildcard parts count as 0.
+ */
+export function parseVersion(version) {
+  const match = String(version).trim().match(/^v?(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?/i);
+  if (!match) return null;
+  return match.slice(1).map(part => (/^\d+$/.test(part ?? '') ? Number(part) : 0));
+}
+
+/**
+ * Compares two versions; negative when a is older than b
+ */
+export function compareVersions(a, b) {
+  const [left, right] = [parseVersion(a) ?? [0, 0, 0], parseVersion(b) ?? [0, 0, 0]];
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+/**
+ * Returns the lowest version a package.json range allows, e.g. '18.2.0' for
+ * '^18.2.0', or null for tags, URLs and workspace or file references
+ */
+export function minVersion(range) {
+  if (typeof range !== 'string') return null;
+  // Only the first alternative of "^16.8 || ^17" counts
+  const first = range.split('||')[0].trim();
+  if (!/^(?:[\^~]|>=?|=)?\s*v?\d/.test(first)) return null;
+  const parsed = parseVersion(first.replace(/^(?:[\^~]|>=?|=)?\s*/, ''));
+  return parsed ? parsed.join('.') : null;
+}
+
+/**
+ * Builds a version entry for the tech stack, or null for an unusable version
+ */
+export function versionEntry(version, source) {
+  const parsed = parseVersion(version);
+  return parsed ? { version, major: parsed[0], source } : null;
+}
+
+/**
+ * True when the detected version of a package is older than `version`.
+ * An unknown version is never older, so guidance defaults to current releases.
+ */
+export function isOlderThan(techStack, name, version) {
+  const detected = techStack.versions?.[name];
+  return detected ? compareVersions(detected.version, version) < 0 : false;
+}
@@ -0,0 +1,249 @@
+/**
+ * YAML for skill frontmatter
+ *
+ * A small emitter and parser for the block-style YAML used in frontmatter:
+ * mappings, sequences and scalars (strings, numbers, booleans, null), nested
+ * to any depth. Whatever stringifyYaml emits, parseYaml reads back to an equal
+ * value. The parser also accepts what people commonly write by hand: comments,
+ * single-quoted strings, `- key: value` list items, flow lists such as
+ * `[a, b]` and `|` / `>` block strings. Anchors, tags and multi-document
+ * streams are not supported.
+ */
+
+const INDENT = '  ';
+
+// Plain scalars YAML would read as something other than a string
+const RESERVED_PLAIN = /^(?:true|false|yes|no|on|off|null|~|[-+]?(?:\d[\d_]*(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?|[-+]?\.(?:inf|nan)|0x[0-9a-f]+|0o[0-7]+)$/i;
+
+/**
+ * Whether a string can be written without quotes and read back unchanged
+ */
+function isPlainSafe(value) {
+  return value.length > 0 &&
+    value === value.trim() &&
+    !RESERVED_PLAIN.test(value) &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(value) &&
+    !/: |:$| #|[\x00-\x1f\x7f]/.test(value);
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    if (Number.isFinite(value)) return String(value);
+    return Number.isNaN(value) ? '.nan' : value > 0 ? '.inf' : '-.inf';
+  }
+  const text = String(value);
+  // JSON string escapes are valid in double-quoted YAML
+  return isPlainSafe(text) ? text : JSON.stringify(text);
+}
+
+function isCollection(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function isEmptyCollection(value) {
+  return Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+}
+
+function emit(value, depth) {
+  const pad = INDENT.repeat(depth);
+  let out = '';
+
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (isCollection(item) && !isEmptyCollection(item)) {
+        out += `${pad}-\n${emit(item, depth + 1)}`;
+      } else {
+        out += `${pad}- ${isCollection(item) ? (Array.isArray(item) ? '[]' : '{}') : formatScalar(item)}\n`;
+      }
+    }
+    return out;
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    // Like JSON, undefined values are left out
+    if (item === undefined) continue;
+    const name = formatScalar(key);
+    if (isCollection(item) && !isEmptyCollection(item)) {
+      out += `${pad}${name}:\n${emit(item, depth + 1)}`;
+    } else {
+      out += `${pad}${name}: ${isCollection(item) ? (Array.isArray(item) ? '[]' : '{}') : formatScalar(item)}\n`;
+    }
+  }
+  return out;
+}
+
+/**
+ * Serializes a mapping as block-style YAML, one key per line, ending with a
+ * newline. Strings that would be misread (containing `: `, ` #`, a leading
+ * dash or quote, looking like a number or boolean...) are double-quoted.
+ */
+export function stringifyYaml(value) {
+  if (!isCollection(value) || Array.isArray(value)) {
+    throw new TypeError('stringifyYaml expects an object');
+  }
+  return emit(value, 0);
+}
+
+/**
+ * Parses a scalar written in plain, single- or double-quoted style, or an
+ * empty or simple flow collection
+ */
+function parseScalar(text, lineNumber) {
+  const fail = (message) => { throw new SyntaxError(`YAML line ${lineNumber}: ${message}`); };
+
+  if (text.startsWith('"')) {
+    const match = text.match(/^"((?:[^"\\]|\\.)*)"\s*(?:#.*)?$/);
+    if (!match) fail('unterminated double-quoted string');
+    try {
+      return JSON.parse(`"${match[1].replace(/\\'/g, "'")}"`);
+    } catch (e) {
+      fail('invalid escape in double-quoted string');
+    }
+  }
+  if (text.startsWith("'")) {
+    const match = text.match(/^'((?:[^']|'')*)'\s*(?:#.*)?$/);
+    if (!match) fail('unterminated single-quoted string');
+    return match[1].replace(/''/g, "'");
+  }
+
+  const plain = text.replace(/\s+#.*$/, '').trim();
+  if (plain.startsWith('[') || plain.startsWith('{')) {
+    const inner = plain.slice(1, -1).trim();
+    if (plain.startsWith('{')) {
+      if (plain !== '{}' && inner !== '') fail('flow mappings are not supported');
+      return {};
+    }
+    if (!plain.endsWith(']')) fail('unterminated flow sequence');
+    return inner === '' ? [] : inner.split(',').map(item => parseScalar(item.trim(), lineNumber));
+  }
+
+  if (plain === '' || plain === '~' || plain === 'null' || plain === 'Null' || plain === 'NULL') return null;
+  if (/^(true|True|TRUE)$/.test(plain)) return true;
+  if (/^(false|False|FALSE)$/.test(plain)) return false;
+  if (/^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(plain)) return Number(plain);
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(plain)) return plain.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(nan|NaN|NAN)$/.test(plain)) return NaN;
+  return plain;
+}
+
+/**
+ * Splits `key: value` into its parts, or returns null when the text is not a
+ * mapping entry
+ */
+function splitKey(text) {
+  const quoted = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(?:\s+(.*))?$/);
+  if (quoted) return { key: parseScalar(quoted[1], 0), rest: (quoted[2] ?? '').trim() };
+  const plain = text.match(/^([^\s#'"?:,[\]{}\-][^#]*?|[-?:](?=\S)[^#]*?)\s*:(?:\s+(.*))?$/);
+  if (!plain) return null;
+  return { key: plain[1], rest: (plain[2] ?? '').trim() };
+}
+
+/**
+ * Parses block-style YAML as written by stringifyYaml into plain objects,
+ * arrays and scalars. An empty document parses to an empty object.
+ * Throws a SyntaxError naming the line for input it cannot read.
+ */
+export function parseYaml(text) {
+  const lines = text.split(/\r?\n/).map((raw, index) => ({
+    raw,
+    number: index + 1,
+    indent: raw.match(/^ */)[0].length,
+    text: raw.trim()
+  }));
+  let position = 0;
+
+  const isContent = (line) => line.text !== '' && !line.text.startsWith('#');
+  const skipBlank = () => {
+    while (position < lines.length && !isContent(lines[position])) position++;
+  };
+  const peek = () => {
+    skipBlank();
+    return lines[position] ?? null;
+  };
+  const isItem = (line) => line.text === '-' || line.text.startsWith('- ');
+
+  function parseBlockScalar(style, parentIndent) {
+    const collected = [];
+    let blockIndent = null;
+    while (position < lines.length) {
+      const line = lines[position];
+      if (line.text !== '') {
+        if (line.indent <= parentIndent) break;
+        blockIndent ??= line.indent;
+      }
+      collected.push(line.raw.slice(blockIndent ?? 0));
+      position++;
+    }
+    while (collected.length > 0 && collected[collected.length - 1].trim() === '') collected.pop();
+    const chomp = style.endsWith('-') ? '' : '\n';
+    if (style.startsWith('>')) {
+      return collected.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ') + chomp;
+    }
+    return collected.join('\n') + chomp;
+  }
+
+  // Value written after `key:` or `-`: inline, a block string or a nested block
+  function parseValue(rest, line) {
+    if (/^[|>]-?$/.test(rest)) return parseBlockScalar(rest, line.indent);
+    if (rest !== '') return parseScalar(rest, line.number);
+    const next = peek();
+    if (next && next.indent > line.indent) return parseBlock(next.indent);
+    // A sequence may sit at the same indentation as its key
+    if (next && next.indent === line.indent && isItem(next) && !isItem(line)) return parseSequence(line.indent);
+    return null;
+  }
+
+  function parseSequence(indent) {
+    const items = [];
+    for (let line = peek(); line && line.indent === indent && isItem(line); line = peek()) {
+      position++;
+      const rest = line.text.slice(1).trim();
+      if (splitKey(rest)) {
+        // `- key: value` starts a mapping indented past the dash
+        position--;
+        lines[position] = { ...line, indent: indent + line.raw.slice(indent).indexOf(rest), text: rest };
+        items.push(parseMapping(lines[position].indent));
+      } else {
+        items.push(parseValue(rest, line));
+      }
+    }
+    return items;
+  }
+
+  function parseMapping(indent) {
+    const result = {};
+    for (let line = peek(); line && line.indent === indent && !isItem(line); line = peek()) {
+      const entry = splitKey(line.text);
+      if (!entry) throw new SyntaxError(`YAML line ${line.number}: expected "key: value"`);
+      position++;
+      result[entry.key] = parseValue(entry.rest, line);
+    }
+    return result;
+  }
+
+  function parseBlock(indent) {
+    const line = peek();
+    return isItem(line) ? parseSequence(indent) : parseMapping(indent);
+  }
+
+  const first = peek();
+  if (!first) return {};
+  const result = parseBlock(first.indent);
+  const leftover = peek();
+  if (leftover) {
+    throw new SyntaxError(`YAML line ${leftover.number}: unexpected indentation`);
+  }
+  return result;
+}
+
+/**
+ * Splits a markdown file into its YAML frontmatter and body.
+ * Returns { data, body }; data is null when the file has no frontmatter.
+ */
+export function parseFrontmatter(content) {
+  const match = content.match(/^---\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/);
+  if (!match) return { data: null, body: content };
+  return { data: parseYaml(match[1] ?? ''), body: content.slice(match[0].length) };
+}
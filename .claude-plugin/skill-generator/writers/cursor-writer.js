@@ -0,0 +1,84 @@
+import path from 'path';
+import {
+  generateSkillBody,
+  mergeWithExisting,
+  readExistingFile,
+  cleanDirectory
+} from '../utils/skill-writer.js';
+import { stringifyYaml } from '../utils/yaml.js';
+import { templateFor } from '../utils/template.js';
+
+/**
+ * Cursor project rules in .cursor/rules, one .mdc file per skill.
+ *
+ * A rule with globs is attached automatically when a matching file is in
+ * context; a rule without globs is picked by the agent from its description.
+ * Skills may set their own `globs`; otherwise they come from the category.
+ */
+
+export const CURSOR_RULES_DIR = path.join('.cursor', 'rules');
+
+const CATEGORY_GLOBS = {
+  react: ['**/*.jsx', '**/*.tsx'],
+  frontend: ['**/*.jsx', '**/*.tsx', '**/*.vue', '**/*.svelte', '**/*.css', '**/*.scss', '**/*.html'],
+  testing: ['**/*.test.*', '**/*.spec.*', '**/__tests__/**', '**/tests/**', '**/test/**'],
+  database: ['**/*.sql', '**/*.prisma', '**/migrations/**', '**/models/**'],
+  devops: ['**/Dockerfile*', '**/docker-compose*.yml', '**/*.tf', '.github/workflows/**', '**/k8s/**']
+};
+
+/**
+ * Returns the globs a skill's rule is scoped to
+ */
+export function globsFor(skill) {
+  return skill.globs ?? CATEGORY_GLOBS[skill.category] ?? [];
+}
+
+/**
+ * Generates the .mdc content of a skill, using the skill's template if any
+ */
+function generateRule(skill, template) {
+  const globs = globsFor(skill);
+  let content = '---\n';
+  content += stringifyYaml({ description: skill.description || skill.displayName });
+  // Cursor reads globs as an unquoted, comma-separated list
+  content += `globs: ${globs.join(',')}\n`;
+  content += `alwaysApply: false\n`;
+  content += '---\n\n';
+  content += generateSkillBody(skill, { template });
+  return content;
+}
+
+export default {
+  name: 'cursor',
+  description: 'Cursor rules in .cursor/rules/*.mdc',
+
+  async render(skills, workspaceRoot, context) {
+    const files = [];
+    for (const skill of skills) {
+      const filePath = path.join(workspaceRoot, CURSOR_RULES_DIR, `${skill.name}.mdc`);
+      const existing = await readExistingFile(filePath);
+      files.push({
+        filePath,
+        content: mergeWithExisting(generateRule(skill, templateFor(context?.templates, skill)), existing),
+        existing,
+        skill,
+        label: 'Cursor rule'
+      });
+    }
+    return files;
+  },
+
+  async clean(workspaceRoot, context) {
+    const logger = context?.logger || {
+      info: (msg) => console.log(msg),
+      error: (msg) => console.error(msg)
+    };
+    const removed = [];
+    try {
+      await cleanDirectory(path.join(workspaceRoot, CURSOR_RULES_DIR), removed, logger, { extension: '.mdc' });
+    } catch (e) {
+      // No rules written yet
+    }
+    return removed;
+  }
+};
@@ -0,0 +1,96 @@
+import path from 'path';
+import skillsWriter from './skills-writer.js';
+import cursorWriter from './cursor-writer.js';
+import { claudeMdWriter, agentsMdWriter, copilotWriter } from './section-writer.js';
+import { createUnifiedDiff } from '../utils/diff.js';
+import { estimateTokens } from '../utils/budget.js';
+
+/**
+ * Output targets
+ *
+ * Every writer renders the same skills for one assistant:
+ *
+ *   {
+ *     name: 'cursor',
+ *     description: 'Cursor rules in .cursor/rules/*.mdc',
+ *     render(skills, workspaceRoot, context),  // → [{ filePath, content, existing, skill, label }]
+ *     clean(workspaceRoot, context)            // → paths of removed or updated files
+ *   }
+ *
+ * `existing` is the file's current content or null, `skill` is null for a file
+ * shared by all skills and `label` names the file in log lines. A managed
+ * section also lists its blocks as `sections: [{ heading, analyzer }]`.
+ */
+
+const WRITERS = new Map(
+  [skillsWriter, claudeMdWriter, agentsMdWriter, cursorWriter, copilotWriter].map(w => [w.name, w])
+);
+
+export const TARGETS = [...WRITERS.keys()];
+export const DEFAULT_TARGETS = ['skills'];
+
+/**
+ * Returns the writer of a target, or null for an unknown name
+ */
+export function getWriter(name) {
+  return WRITERS.get(name) ?? null;
+}
+
+/**
+ * Renders the skills for every target in memory.
+ * Resolves to [{ target, filePath, content, existing, skill, label, tokens }].
+ */
+export async function renderTargets(skills, targets, workspaceRoot, context) {
+  const files = [];
+  for (const target of targets) {
+    for (const file of await getWriter(target).render(skills, workspaceRoot, context)) {
+      files.push({ target, ...file, tokens: estimateTokens(file.content) });
+    }
+  }
+  return files;
+}
+
+/**
+ * Records rendered files in the run's transaction; they are written when it
+ * is committed
+ */
+export function stageRenderedFiles(files, transaction) {
+  for (const { filePath, content } of files) {
+    transaction.write(filePath, content);
+  }
+}
+
+/**
+ * Compares rendered files with the files on disk without writing anything.
+ * Each entry has a status of added, changed or unchanged and, for added and
+ * changed files, a unified diff against the current content.
+ */
+export function compareRenderedFiles(files, workspaceRoot) {
+  return files.map(({ target, skill, filePath, content, existing, tokens }) => {
+    const relativePath = path.relative(workspaceRoot, filePath);
+    const status = existing === null ? 'added' : existing === content ? 'unchanged' : 'changed';
+    return {
+      target,
+      skill: skill?.name ?? null,
+      filePath,
+      status,
+      tokens,
+      diff: status === 'unchanged' ? '' : createUnifiedDiff(existing ?? '', content, {
+        oldLabel: existing === null ? '/dev/null' : `a/${relativePath}`,
+        newLabel: `b/${relativePath}`
+      })
+    };
+  });
+}
+
+/**
+ * Removes the generated output of every target. Resolves to the paths of the
+ * removed files and of the files a managed section was removed from.
+ */
+export async function cleanTargets(targets, workspaceRoot, context) {
+  const removed = [];
+  for (const target of targets) {
+    removed.push(...await getWriter(target).clean(workspaceRoot, context));
+  }
+  return removed;
+}
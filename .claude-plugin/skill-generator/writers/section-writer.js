@@ -0,0 +1,171 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readExistingFile } from '../utils/skill-writer.js';
+import { guidelineText } from '../utils/evidence.js';
+
+/**
+ * Managed sections in shared instruction files
+ *
+ * CLAUDE.md, AGENTS.md and the Copilot instructions are mostly written by
+ * hand, so the generator owns only the part between these markers and leaves
+ * the rest of the file alone. The section is appended when the file does not
+ * have one yet.
+ */
+
+export const SECTION_START = '<!-- skill-generator:start -->';
+export const SECTION_END = '<!-- skill-generator:end -->';
+
+/**
+ * Renders the guidelines of one skill under its name
+ */
+function renderBlock(skill) {
+  let content = `### ${skill.displayName}\n\n`;
+  for (const guideline of skill.guidelines) {
+    content += `- ${guidelineText(guideline)}\n`;
+  }
+  return content;
+}
+
+/**
+ * Renders the blocks of every skill as one section
+ */
+function renderSection(blocks) {
+  let content = `${SECTION_START}\n`;
+  content += `## Project Guidelines\n\n`;
+  content += `<!-- Generated by Skill Generator Plugin from the codebase. Edits between the skill-generator markers are overwritten. -->\n`;
+
+  for (const block of blocks) {
+    content += `\n${block.content}`;
+  }
+
+  content += `${SECTION_END}\n`;
+  return content;
+}
+
+/**
+ * Splits the managed section of a file into its blocks, keyed by heading
+ */
+function readBlocks(existing) {
+  const found = existing ? findSection(existing) : null;
+  if (!found) return new Map();
+  const body = existing.slice(found.start + SECTION_START.length, existing.lastIndexOf(SECTION_END, found.end));
+  const blocks = new Map();
+  for (const part of body.split(/^(?=### )/m).filter(part => part.startsWith('### '))) {
+    blocks.set(part.slice(4, part.indexOf('\n')), `${part.trimEnd()}\n`);
+  }
+  return blocks;
+}
+
+/**
+ * Returns the start and end offsets of the managed section, or null
+ */
+function findSection(content) {
+  const start = content.indexOf(SECTION_START);
+  if (start === -1) return null;
+  const endMarker = content.indexOf(SECTION_END, start);
+  if (endMarker === -1) return null;
+  // Swallow the line break after the end marker
+  const end = endMarker + SECTION_END.length + (content[endMarker + SECTION_END.length] === '\n' ? 1 : 0);
+  return { start, end };
+}
+
+/**
+ * Replaces the managed section of a file, or appends it when there is none
+ */
+export function replaceManagedSection(existing, section) {
+  if (!existing) return section;
+  const found = findSection(existing);
+  if (found) {
+    return existing.slice(0, found.start) + section + existing.slice(found.end);
+  }
+  return `${existing.trimEnd()}\n\n${section}`;
+}
+
+/**
+ * Removes the managed section of a file. Returns the remaining content, or
+ * null when the file has no managed section.
+ */
+export function removeManagedSection(existing) {
+  const found = findSection(existing);
+  if (!found) return null;
+  const rest = `${existing.slice(0, found.start).trimEnd()}\n${existing.slice(found.end)}`.trim();
+  return rest ? `${rest}\n` : '';
+}
+
+/**
+ * Creates a writer that keeps a managed section in a file relative to the
+ * workspace root
+ */
+export function createSectionWriter({ name, file, description }) {
+  return {
+    name,
+    description,
+
+    async render(skills, workspaceRoot, context) {
+      const filePath = path.join(workspaceRoot, file);
+      const existing = await readExistingFile(filePath);
+      const blocks = skills
+        .filter(skill => skill.guidelines.length > 0)
+        .map(skill => ({ heading: skill.displayName, analyzer: skill.generatedBy?.analyzer ?? null, content: renderBlock(skill) }));
+
+      // The section holds every analyzer's skills: blocks of analyzers that
+      // were not run or failed this time are carried over from the file
+      const previous = (context?.previousManifest?.files || []).find(entry => entry.target === name);
+      const completed = context?.completedAnalyzers ?? [];
+      const headings = new Set(blocks.map(block => block.heading));
+      const existingBlocks = readBlocks(existing);
+      for (const { heading, analyzer } of previous?.sections ?? []) {
+        if (completed.includes(analyzer) || headings.has(heading) || !existingBlocks.has(heading)) continue;
+        blocks.push({ heading, analyzer, content: existingBlocks.get(heading) });
+      }
+
+      return [{
+        filePath,
+        content: replaceManagedSection(existing, renderSection(blocks)),
+        existing,
+        skill: null,
+        label: `${file} section`,
+        sections: blocks.map(({ heading, analyzer }) => ({ heading, analyzer }))
+      }];
+    },
+
+    async clean(workspaceRoot, context) {
+      const logger = context?.logger || {
+        info: (msg) => console.log(msg),
+        error: (msg) => console.error(msg)
+      };
+      const filePath = path.join(workspaceRoot, file);
+      const existing = await readExistingFile(filePath);
+      const rest = existing === null ? null : removeManagedSection(existing);
+      if (rest === null) return [];
+
+      // A file that only held the generated section goes away with it
+      if (rest === '') {
+        await fs.unlink(filePath);
+        logger.info(`  ✓ Removed ${file}`);
+      } else {
+        await fs.writeFile(filePath, rest, 'utf-8');
+        logger.info(`  ✓ Removed generated section from ${file}`);
+      }
+      return [filePath];
+    }
+  };
+}
+
+export const claudeMdWriter = createSectionWriter({
+  name: 'claude-md',
+  file: 'CLAUDE.md',
+  description: 'Managed section of CLAUDE.md'
+});
+
+export const agentsMdWriter = createSectionWriter({
+  name: 'agents-md',
+  file: 'AGENTS.md',
+  description: 'Managed section of AGENTS.md'
+});
+
+export const copilotWriter = createSectionWriter({
+  name: 'copilot',
+  file: path.join('.github', 'copilot-instructions.md'),
+  description: 'Managed section of .github/copilot-instructions.md'
+});
@@ -0,0 +1,24 @@
+import { renderSkillFiles, cleanSkills } from '../utils/skill-writer.js';
+
+/**
+ * Claude skills in .claude/skills (or the configured output directory), one
+ * file per skill plus reference files for skills over the token budget
+ */
+export default {
+  name: 'skills',
+  description: 'Claude skills in .claude/skills',
+
+  async render(skills, workspaceRoot, context) {
+    const files = [];
+    for (const skill of skills) {
+      for (const file of await renderSkillFiles(skill, workspaceRoot, context)) {
+        files.push({ ...file, skill });
+      }
+    }
+    return files;
+  },
+
+  clean(workspaceRoot, context) {
+    return cleanSkills(workspaceRoot, context);
+  }
+};